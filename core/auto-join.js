@@ -0,0 +1,244 @@
+import fs from 'fs'
+import path from 'path'
+import { normalizeId } from '../utils/formatUtils.js'
+import { incrementMetric } from '../utils/metrics.js'
+import { schedule } from '../utils/rateLimiter.js'
+import { resolveDataPath } from '../utils/storageUtils.js'
+
+// 定义常量
+const DEFAULT_LOG_FILE = 'auto-join.jsonl'
+const DEFAULT_DELAY_SECONDS = [5, 30]
+const DEFAULT_DAILY_LIMIT = 20
+
+/**
+ * 解析延迟范围，如 "5-30"（秒）；只写一个数字时固定延迟
+ * @param {string|undefined} value - AUTO_JOIN_DELAY_SECONDS
+ * @returns {[number, number]} 最短和最长延迟（秒）
+ */
+function parseDelayRange(value) {
+    const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?$/)
+    if (!match) return DEFAULT_DELAY_SECONDS
+    const min = Number(match[1])
+    const max = match[2] != null ? Number(match[2]) : min
+    return [Math.min(min, max), Math.max(min, max)]
+}
+
+/**
+ * 计算奖品价值：奖品名称中的最大数字（如“红包 100”为 100，“10 USDT × 2”为 10）
+ * @param {Array<{name: string, count: number}>} prizes - 奖品列表
+ * @returns {number} 没有可识别金额时为 0
+ */
+function getPrizeValue(prizes) {
+    let value = 0
+    for (const prize of prizes || []) {
+        for (const match of String(prize?.name ?? '').replace(/,/g, '').matchAll(/\d+(?:\.\d+)?/g)) {
+            value = Math.max(value, Number(match[0]))
+        }
+    }
+    return value
+}
+
+/**
+ * 当天的日期（本地时区），用于每日上限
+ * @param {number} [timestamp=Date.now()] - 毫秒时间戳
+ * @returns {string} YYYY-MM-DD
+ */
+function getDay(timestamp = Date.now()) {
+    const date = new Date(timestamp)
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * 创建抽奖自动参与器
+ *
+ * 抽奖通知解析出参与关键词（参与关键词或红包口令）后，由当前用户客户端在随机延迟后将关键词发送到抽奖所在群组。
+ * 默认关闭，只处理白名单中的群组，每天最多参与 AUTO_JOIN_DAILY_LIMIT 次，可按奖品价值过滤。
+ * 每次参与（包括发送失败）都会追加到日志文件（每行一条 JSON），重启后按日志恢复当天的参与次数；
+ * 发送的消息交给自动删除到期队列，按保留策略删除。
+ *
+ * 环境变量：
+ * AUTO_JOIN_ENABLED (默认 false)
+ * AUTO_JOIN_CHAT_IDS (允许自动参与的群组ID，多个用逗号分隔)
+ * AUTO_JOIN_DELAY_SECONDS (默认 5-30)
+ * AUTO_JOIN_DAILY_LIMIT (默认 20)
+ * AUTO_JOIN_MIN_PRIZE_VALUE (默认 0，不过滤)
+ * AUTO_JOIN_LOG_FILE (默认 DATA_DIR/auto-join.jsonl)
+ *
+ * @param {Object} [options] - 配置对象
+ * @param {boolean} [options.enabled] - 是否启用
+ * @param {string} [options.chatIds] - 允许自动参与的群组ID
+ * @param {string} [options.delaySeconds] - 延迟范围（秒），如 "5-30"
+ * @param {number} [options.dailyLimit] - 每日参与上限
+ * @param {number} [options.minPrizeValue] - 最低奖品价值（见 getPrizeValue）
+ * @param {string} [options.logFile] - 日志文件路径
+ * @returns {Object} 自动参与器实例
+ */
+export function createAutoJoiner(options = {}) {
+    const enabled = !!options.enabled
+    const chatIds = String(options.chatIds || '').split(',').map(id => normalizeId(id.trim())).filter(Boolean)
+    const [minDelaySeconds, maxDelaySeconds] = parseDelayRange(options.delaySeconds)
+    const dailyLimit = Number(options.dailyLimit) > 0 ? Number(options.dailyLimit) : DEFAULT_DAILY_LIMIT
+    const minPrizeValue = Number(options.minPrizeValue) > 0 ? Number(options.minPrizeValue) : 0
+    const logFile = resolveDataPath(options.logFile || DEFAULT_LOG_FILE)
+
+    // 等待发送的参与 Map<chatId:messageId, { timer, day }>
+    const pending = new Map()
+    // 当天已处理过的抽奖（避免消息编辑后重复参与），跨天时清理
+    const handled = new Set()
+    let client = null
+    let expiryQueue = null
+    let selfId = ''
+    let day = getDay()
+    let joinedToday = 0
+
+    /**
+     * 追加一条日志
+     * @param {Object} record - 日志内容
+     */
+    const writeLog = (record) => {
+        try {
+            fs.mkdirSync(path.dirname(logFile), { recursive: true })
+            fs.appendFileSync(logFile, JSON.stringify({ time: new Date().toISOString(), ...record }) + '\n')
+        } catch (error) {
+            console.error('❌ 写入自动参与日志失败:', error.message, JSON.stringify(record))
+        }
+    }
+
+    // 从日志中恢复当天已参与的次数（包括发送失败的，与上限计算一致）
+    const loadTodayCount = () => {
+        try {
+            return fs.readFileSync(logFile, 'utf8').split('\n').filter(line => {
+                if (!line.trim()) return false
+                try {
+                    return getDay(Date.parse(JSON.parse(line).time)) === day
+                } catch {
+                    return false
+                }
+            }).length
+        } catch {
+            return 0
+        }
+    }
+
+    // 跨天后重置计数，并清理已处理记录（只保留仍在等待发送的参与）
+    const rollDay = () => {
+        const today = getDay()
+        if (today !== day) {
+            day = today
+            joinedToday = 0
+            for (const key of handled) {
+                if (!pending.has(key)) handled.delete(key)
+            }
+        }
+    }
+
+    /**
+     * 发送参与关键词
+     * @param {Object} job - 参与信息
+     */
+    const join = async (job) => {
+        const { chatId, chatTitle, messageId, peer, keyword, prizeValue } = job
+        const record = { chatId, chatTitle, messageId, keyword, prizeValue }
+        try {
+            const sentMessage = await schedule('client.send', () => client.sendMessage(peer, { message: keyword }))
+            incrementMetric('lotteries_auto_joined')
+            writeLog({ ...record, status: 'joined', sentMessageId: sentMessage?.id ?? null })
+            console.log(`🎟️  已自动参与群组 ${chatTitle} (${chatId}) 的抽奖 ${messageId}，发送: ${keyword}`)
+
+            if (expiryQueue && sentMessage) {
+                await expiryQueue.track(sentMessage).catch(error => console.error('记录待删除消息时出错:', error.message))
+            }
+        } catch (error) {
+            writeLog({ ...record, status: 'failed', error: error.message })
+            console.error(`❌ 自动参与群组 ${chatTitle} (${chatId}) 的抽奖 ${messageId} 失败:`, error.message)
+        }
+    }
+
+    return {
+        enabled,
+        logFile,
+
+        /**
+         * 开始自动参与
+         * @param {Object} context - 运行时上下文
+         * @param {TelegramClient} context.client - Telegram 客户端
+         * @param {string} context.selfId - 当前账号ID（不参与自己创建的抽奖）
+         * @param {Object} [context.expiryQueue] - 自动删除到期队列（见 core/expiry-queue.js）
+         */
+        start(context) {
+            client = context.client
+            selfId = normalizeId(context.selfId)
+            expiryQueue = context.expiryQueue || null
+            if (!enabled) return
+
+            day = getDay()
+            joinedToday = loadTodayCount()
+            if (chatIds.length === 0) {
+                console.warn('⚠️  已启用 AUTO_JOIN_ENABLED，但未配置 AUTO_JOIN_CHAT_IDS，不会自动参与任何抽奖')
+                return
+            }
+            const valueLabel = minPrizeValue > 0 ? `，最低奖品价值 ${minPrizeValue}` : ''
+            console.log(`已启用抽奖自动参与: 群组 ${chatIds.join(', ')}，延迟 ${minDelaySeconds}-${maxDelaySeconds} 秒，今日已参与 ${joinedToday}/${dailyLimit}${valueLabel}`)
+        },
+
+        /**
+         * 取消等待中的参与（取消的参与不计入当天的次数）
+         */
+        stop() {
+            rollDay()
+            for (const [key, { timer, day: scheduledDay }] of pending) {
+                clearTimeout(timer)
+                handled.delete(key)
+                if (scheduledDay === day) joinedToday--
+            }
+            if (pending.size > 0) {
+                console.log(`已取消 ${pending.size} 个等待中的自动参与`)
+            }
+            pending.clear()
+        },
+
+        /**
+         * 处理解析出的抽奖：符合条件时在随机延迟后发送参与关键词
+         * @param {Object} message - 抽奖消息
+         * @param {Object} lottery - 抽奖信息
+         * @param {string} lottery.chatId - 抽奖所在群组ID
+         * @param {string} lottery.chatTitle - 群组名称
+         * @param {string} [lottery.senderId] - 规范化后的发送者ID
+         * @param {Object} lottery.info - 解析出的抽奖信息（见 utils/lotteryUtils.js）
+         * @returns {boolean} 是否已安排参与
+         */
+        handleLottery(message, { chatId, chatTitle, senderId, info }) {
+            if (!enabled || !client || !info?.keyword) return false
+            rollDay()
+
+            const normalizedChatId = normalizeId(chatId)
+            const key = `${normalizedChatId}:${message.id}`
+            if (!chatIds.includes(normalizedChatId) || handled.has(key)) return false
+            if (senderId && senderId === selfId) return false
+
+            const prizeValue = getPrizeValue(info.prizes)
+            if (minPrizeValue > 0 && prizeValue < minPrizeValue) {
+                console.log(`⏭️  群组 ${chatTitle} 的抽奖 ${message.id} 奖品价值 ${prizeValue} 低于 ${minPrizeValue}，不自动参与`)
+                return false
+            }
+
+            if (joinedToday >= dailyLimit) {
+                console.log(`⏭️  今日已自动参与 ${joinedToday} 次，达到上限 ${dailyLimit}，跳过群组 ${chatTitle} 的抽奖 ${message.id}`)
+                return false
+            }
+
+            // 安排时即计入次数，避免延迟期间超出上限
+            handled.add(key)
+            joinedToday++
+            const delayMs = Math.round((minDelaySeconds + Math.random() * (maxDelaySeconds - minDelaySeconds)) * 1000)
+            const job = { chatId: normalizedChatId, chatTitle, messageId: message.id, peer: message.peerId, keyword: info.keyword, prizeValue }
+            const timer = setTimeout(() => {
+                pending.delete(key)
+                join(job).catch(error => console.error('❌ 自动参与抽奖时出错:', error.message))
+            }, delayMs)
+            pending.set(key, { timer, day })
+            console.log(`⏳ 将在 ${Math.round(delayMs / 1000)} 秒后自动参与群组 ${chatTitle} 的抽奖 ${message.id} (关键词: ${info.keyword})`)
+            return true
+        }
+    }
+}
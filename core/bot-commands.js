@@ -0,0 +1,265 @@
+import { Bot } from 'grammy'
+import { normalizeId, NOTIFICATION_CALLBACKS, NOTIFICATION_MUTE_MINUTES } from '../utils/formatUtils.js'
+import { getMetrics, getStartedAt, METRIC_DESCRIPTIONS } from '../utils/metrics.js'
+
+// 命令列表（用于 setMyCommands 和 /help）
+const BOT_COMMANDS = [
+    { command: 'status', description: '查看监控状态' },
+    { command: 'pause', description: '暂停发送通知' },
+    { command: 'resume', description: '恢复发送通知' },
+    { command: 'addkeyword', description: '添加监控关键词: /addkeyword <关键词>' },
+    { command: 'rmkeyword', description: '移除监控关键词: /rmkeyword <关键词>' },
+    { command: 'mute', description: '静音群组: /mute <群组ID> <分钟>' },
+    { command: 'unmutesender', description: '取消屏蔽发送者: /unmutesender <用户ID>' },
+    { command: 'clear', description: '删除之前发送的通知消息' },
+    { command: 'stats', description: '查看运行统计' },
+    { command: 'queue', description: '查看通知重试队列' }
+]
+
+/**
+ * 将毫秒时长格式化为易读文本
+ * @param {number} ms - 毫秒数
+ * @returns {string} 格式化后的时长
+ */
+function formatDuration(ms) {
+    const totalMinutes = Math.floor(ms / 60000)
+    const days = Math.floor(totalMinutes / 1440)
+    const hours = Math.floor((totalMinutes % 1440) / 60)
+    const minutes = totalMinutes % 60
+    return [days ? `${days}天` : '', hours ? `${hours}小时` : '', `${minutes}分钟`].filter(Boolean).join('')
+}
+
+/**
+ * 构建 /status 命令的回复文本
+ * @param {Object} state - 运行时监控状态
+ * @returns {string} 回复文本
+ */
+function buildStatusText(state) {
+    const cfg = state.config
+    const now = Date.now()
+    const mutedChats = [...state.mutedChats.entries()].filter(([, until]) => until > now)
+
+    const lines = [
+        `📡 监控状态: ${state.paused ? '⏸ 已暂停' : '▶️ 运行中'}`,
+        `⏱ 运行时长: ${formatDuration(now - getStartedAt())}`,
+        `👥 监控群组: ${cfg.normalizedMonitorIds.length > 0 ? cfg.normalizedMonitorIds.join(', ') : '全部'}`,
+        `🚫 排除群组: ${cfg.normalizedNotMonitorIds.join(', ') || '无'}`,
+        `🔑 监控关键词: ${cfg.monitorKeywordsNormalized.join(', ') || '无'}`,
+        `👤 目标用户: ${cfg.targetUserIdsNormalized.join(', ') || '无'}`,
+        `📐 过滤规则: ${cfg.rules.map(rule => rule.name).join(', ') || '无'}`,
+        `📨 通知目标: ${cfg.notificationChatId || '未配置'}`,
+        `🔇 静音群组: ${mutedChats.length > 0
+            ? mutedChats.map(([chatId, until]) => `${chatId} (剩余 ${formatDuration(until - now)})`).join(', ')
+            : '无'}`,
+        `🙈 屏蔽发送者: ${[...state.mutedSenders].join(', ') || '无'}`
+    ]
+    return lines.join('\n')
+}
+
+/**
+ * 构建 /stats 命令的回复文本
+ * @returns {string} 回复文本
+ */
+function buildStatsText() {
+    const metrics = getMetrics()
+    const lines = ['📊 运行统计']
+    for (const [name, value] of Object.entries(metrics)) {
+        lines.push(`${METRIC_DESCRIPTIONS[name] || name}: ${value}`)
+    }
+    return lines.join('\n')
+}
+
+/**
+ * 构建 /queue 命令的回复文本
+ * @param {Object} queue - 通知重试队列（见 core/notification-queue.js）
+ * @returns {string} 回复文本
+ */
+function buildQueueText(queue) {
+    const status = queue.getStatus(10)
+    const formatTime = (iso) => new Date(iso).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })
+    const lines = [
+        `📮 待重试通知: ${status.pending}`,
+        `☠️ 死信: ${status.deadLetters}${status.deadLetters > 0 ? ` (${status.deadLetterFile})` : ''}`
+    ]
+    for (const item of status.items) {
+        lines.push(`• ${item.label || item.id} → ${item.target} [${item.channel}]，已失败 ${item.attempts} 次，`
+            + `下次重试 ${formatTime(item.nextAttemptAt)}${item.lastError ? `\n  错误: ${item.lastError}` : ''}`)
+    }
+    if (status.pending > status.items.length) {
+        lines.push(`… 另有 ${status.pending - status.items.length} 条`)
+    }
+    return lines.join('\n')
+}
+
+/**
+ * 启动通知机器人的管理命令
+ *
+ * 只有 BOT_ADMIN_IDS 中的用户可以执行命令，其他用户的消息会被忽略。
+ *
+ * @param {Object} options - 配置对象
+ * @param {string} options.token - Telegram Bot Token
+ * @param {Array<string>} options.adminIds - 允许执行命令的用户ID列表
+ * @param {Object} options.controller - 监控控制器（见 core/telegram-monitor.js 的 createMonitorController）
+ * @param {Object} options.queue - 通知重试队列（见 core/notification-queue.js）
+ * @returns {Promise<Bot|null>} 已启动的机器人实例，未启用时返回 null
+ */
+export async function startBotCommands({ token, adminIds, controller, queue }) {
+    if (!token) {
+        console.log('未配置 TELEGRAM_BOT_TOKEN，机器人管理命令已禁用')
+        return null
+    }
+
+    const normalizedAdminIds = (adminIds || []).map(id => normalizeId(id)).filter(Boolean)
+    if (normalizedAdminIds.length === 0) {
+        console.log('未配置 BOT_ADMIN_IDS，机器人管理命令已禁用')
+        return null
+    }
+
+    const bot = new Bot(token)
+
+    // 只允许白名单中的管理员执行命令
+    bot.use(async (ctx, next) => {
+        const fromId = normalizeId(ctx.from?.id)
+        if (!fromId || !normalizedAdminIds.includes(fromId)) {
+            // 应答非管理员点击的通知按钮，避免客户端一直显示加载状态
+            if (ctx.callbackQuery) {
+                await ctx.answerCallbackQuery({ text: '无权限' }).catch(() => {})
+            }
+            return
+        }
+        await next()
+    })
+
+    bot.command(['start', 'help'], ctx => ctx.reply(
+        BOT_COMMANDS.map(({ command, description }) => `/${command} - ${description}`).join('\n')
+    ))
+
+    bot.command('status', ctx => ctx.reply(buildStatusText(controller.getState())))
+
+    bot.command('stats', ctx => ctx.reply(buildStatsText()))
+
+    bot.command('queue', ctx => ctx.reply(buildQueueText(queue)))
+
+    bot.command('pause', async ctx => {
+        controller.pause()
+        console.log(`⏸ 管理员 ${ctx.from.id} 暂停了通知`)
+        await ctx.reply('⏸ 已暂停发送通知，使用 /resume 恢复')
+    })
+
+    bot.command('resume', async ctx => {
+        controller.resume()
+        console.log(`▶️ 管理员 ${ctx.from.id} 恢复了通知`)
+        await ctx.reply('▶️ 已恢复发送通知')
+    })
+
+    bot.command('addkeyword', async ctx => {
+        const keyword = ctx.match.trim()
+        if (!keyword) {
+            await ctx.reply('用法: /addkeyword <关键词>')
+            return
+        }
+        const added = controller.addKeyword(keyword)
+        if (added) {
+            console.log(`🔑 管理员 ${ctx.from.id} 添加了监控关键词: ${keyword}`)
+        }
+        await ctx.reply(added ? `✅ 已添加关键词: ${keyword}` : `⚠️ 关键词已存在: ${keyword}`)
+    })
+
+    bot.command('rmkeyword', async ctx => {
+        const keyword = ctx.match.trim()
+        if (!keyword) {
+            await ctx.reply('用法: /rmkeyword <关键词>')
+            return
+        }
+        const removed = controller.removeKeyword(keyword)
+        if (removed) {
+            console.log(`🔑 管理员 ${ctx.from.id} 移除了监控关键词: ${keyword}`)
+        }
+        await ctx.reply(removed ? `✅ 已移除关键词: ${keyword}` : `⚠️ 关键词不存在: ${keyword}`)
+    })
+
+    bot.command('mute', async ctx => {
+        const [chatId, minutesRaw] = ctx.match.trim().split(/\s+/)
+        const minutes = parseInt(minutesRaw, 10)
+        if (!normalizeId(chatId) || isNaN(minutes) || minutes <= 0) {
+            await ctx.reply('用法: /mute <群组ID> <分钟>')
+            return
+        }
+        const until = controller.muteChat(chatId, minutes)
+        console.log(`🔇 管理员 ${ctx.from.id} 静音了群组 ${chatId} ${minutes} 分钟`)
+        await ctx.reply(`🔇 已静音群组 ${chatId}，到 ${new Date(until).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })} 结束`)
+    })
+
+    bot.command('unmutesender', async ctx => {
+        const senderId = normalizeId(ctx.match.trim())
+        if (!senderId) {
+            await ctx.reply('用法: /unmutesender <用户ID>')
+            return
+        }
+        const removed = controller.unmuteSender(senderId)
+        if (removed) {
+            console.log(`🔔 管理员 ${ctx.from.id} 取消屏蔽了发送者 ${senderId}`)
+        }
+        await ctx.reply(removed ? `✅ 已取消屏蔽发送者: ${senderId}` : `⚠️ 发送者未被屏蔽: ${senderId}`)
+    })
+
+    bot.command('clear', async ctx => {
+        await ctx.reply('🧹 正在删除之前发送的通知消息...')
+        const count = await controller.clearNotifications()
+        await ctx.reply(`✅ 已处理 ${count} 条通知消息`)
+    })
+
+    // 通知消息上的按钮（见 utils/formatUtils.js 的 buildNotificationKeyboard）
+    bot.callbackQuery(new RegExp(`^${NOTIFICATION_CALLBACKS.muteChat}:(\\d+)$`), async ctx => {
+        const chatId = ctx.match[1]
+        const until = controller.muteChat(chatId, NOTIFICATION_MUTE_MINUTES)
+        console.log(`🔇 管理员 ${ctx.from.id} 通过通知按钮静音了群组 ${chatId} ${NOTIFICATION_MUTE_MINUTES} 分钟`)
+        await ctx.answerCallbackQuery({
+            text: `🔇 已静音群组 ${chatId}，到 ${new Date(until).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })} 结束`
+        })
+    })
+
+    bot.callbackQuery(new RegExp(`^${NOTIFICATION_CALLBACKS.muteSender}:(\\d+)$`), async ctx => {
+        const senderId = ctx.match[1]
+        if (controller.muteSender(senderId)) {
+            console.log(`🙈 管理员 ${ctx.from.id} 通过通知按钮屏蔽了发送者 ${senderId}`)
+        }
+        await ctx.answerCallbackQuery({ text: `🙈 已屏蔽发送者 ${senderId}，使用 /unmutesender ${senderId} 取消` })
+    })
+
+    bot.callbackQuery(NOTIFICATION_CALLBACKS.dismiss, async ctx => {
+        // 超过 48 小时的消息不再随回调提供，也无法删除
+        if (!ctx.callbackQuery.message) {
+            await ctx.answerCallbackQuery({ text: '⚠️ 通知消息已无法删除' })
+            return
+        }
+        const chatId = ctx.chat.id
+        const messageIds = controller.dismissNotification(chatId, ctx.callbackQuery.message.message_id)
+        for (const messageId of messageIds) {
+            await ctx.api.deleteMessage(chatId, messageId).catch(error => {
+                console.warn(`⚠️  删除通知消息 ${messageId} 失败:`, error.message)
+            })
+        }
+        await ctx.answerCallbackQuery()
+    })
+
+    bot.catch(err => {
+        console.error('❌ 处理机器人命令时出错:', err.error?.message || err.message)
+    })
+
+    try {
+        await bot.api.setMyCommands(BOT_COMMANDS)
+    } catch (error) {
+        console.warn('⚠️  设置机器人命令列表失败:', error.message)
+    }
+
+    // 长轮询在后台运行，bot.start() 在机器人停止后才会 resolve
+    bot.start({
+        drop_pending_updates: true,
+        onStart: (botInfo) => console.log(`✅ 机器人管理命令已启动: @${botInfo.username}，管理员: ${normalizedAdminIds.join(', ')}`)
+    }).catch(error => {
+        console.error('❌ 机器人管理命令已停止:', error.message)
+    })
+
+    return bot
+}
@@ -0,0 +1,168 @@
+import fs from 'fs'
+import path from 'path'
+import { parse } from 'dotenv'
+
+// 支持热重载的环境变量，其余配置（如 APP_ID、TELEGRAM_BOT_TOKEN）修改后仍需重启
+export const RELOADABLE_ENV_KEYS = [
+    'MONITOR_CHAT_IDS',
+    'NOT_MONITOR_CHAT_IDS',
+    'MONITOR_KEYWORDS',
+    'TARGET_USER_IDS',
+    'USER_KEYWORDS',
+    'NOTIFICATION_CHAT_ID',
+    'DELETE_NOTIFICATION_KEYWORDS',
+    'RULES_FILE',
+    'LOTTERY_PARSERS_DIR',
+    // 以下配置由自动删除在每次执行时读取
+    'AUTO_DELETE_CHAT_IDS',
+    'RETENTION_POLICY_FILE'
+]
+
+// 文件轮询间隔：.env 在 Docker 中通常以单文件挂载，inotify 在编辑器替换文件后会失效，因此使用轮询
+const WATCH_INTERVAL_MS = 2000
+// 文件变化后等待写入完成再重载
+const RELOAD_DEBOUNCE_MS = 500
+
+/**
+ * 读取配置文件
+ *
+ * `.json` 文件按 `{ "MONITOR_CHAT_IDS": "..." }` 形式解析，其余文件按 .env 格式解析。
+ *
+ * @param {string} filePath - 配置文件路径
+ * @returns {Object<string, string>} 配置键值对
+ */
+export function readConfigFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8')
+    if (path.extname(filePath).toLowerCase() !== '.json') {
+        return parse(content)
+    }
+
+    const data = JSON.parse(content)
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('配置文件必须是 JSON 对象')
+    }
+    const values = {}
+    for (const [key, value] of Object.entries(data)) {
+        if (value == null) continue
+        values[key] = Array.isArray(value) ? value.join(',') : String(value)
+    }
+    return values
+}
+
+/**
+ * 将配置文件中可热重载的配置写入 process.env
+ *
+ * 文件中不存在的键保持原值，因此通过容器环境变量传入的配置不会被清空；
+ * 要清空某个配置，请在文件中保留该键并将值设置为空。
+ *
+ * @param {Object<string, string>} values - 配置键值对
+ * @returns {{changedKeys: Array<string>, previousValues: Object<string, string|undefined>}} 值发生变化的键，以及写入前的原值（用于回滚）
+ */
+function applyReloadableEnv(values) {
+    const changedKeys = []
+    const previousValues = {}
+    for (const key of RELOADABLE_ENV_KEYS) {
+        if (!(key in values)) continue
+        previousValues[key] = process.env[key]
+        if ((process.env[key] ?? '') !== values[key]) {
+            changedKeys.push(key)
+        }
+        process.env[key] = values[key]
+    }
+    return { changedKeys, previousValues }
+}
+
+/**
+ * 恢复 applyReloadableEnv 写入前的环境变量
+ * @param {Object<string, string|undefined>} previousValues - 原值，undefined 表示原来未设置
+ */
+function restoreEnv(previousValues) {
+    for (const [key, value] of Object.entries(previousValues)) {
+        if (value === undefined) {
+            delete process.env[key]
+        } else {
+            process.env[key] = value
+        }
+    }
+}
+
+/**
+ * 启动配置热重载
+ *
+ * 配置文件发生变化或进程收到 SIGHUP 信号时，重新读取配置文件并写入 process.env，然后调用 onReload。
+ * onReload 失败时 process.env 恢复为重载前的值，避免之后读取环境变量的功能使用未生效的配置。
+ * 重载过程串行执行，重载进行中收到的新请求会在本次完成后再执行一次。
+ *
+ * 环境变量：
+ * CONFIG_FILE (默认 .env，支持 .env 格式或 .json 文件)
+ * CONFIG_WATCH (默认 true，设置为 false 时只响应 SIGHUP)
+ *
+ * @param {Object} options - 配置对象
+ * @param {string} [options.filePath] - 配置文件路径
+ * @param {boolean} [options.watch] - 是否监听文件变化
+ * @param {Function} options.onReload - 重载回调，参数为触发原因，可返回 Promise
+ * @returns {Function} 停止热重载的函数
+ */
+export function startConfigReloader({ filePath, watch, onReload }) {
+    const configFile = path.resolve(filePath || process.env.CONFIG_FILE || '.env')
+    const watchEnabled = watch ?? process.env.CONFIG_WATCH !== 'false'
+
+    let reloading = false
+    let pendingReason = null
+    let debounceTimer = null
+
+    const reload = async (reason) => {
+        if (reloading) {
+            pendingReason = reason
+            return
+        }
+        reloading = true
+        let previousValues = null
+
+        try {
+            if (fs.existsSync(configFile)) {
+                const applied = applyReloadableEnv(readConfigFile(configFile))
+                previousValues = applied.previousValues
+                console.log(`🔄 重新加载配置 (${reason})，${configFile} 中变化的配置: ${applied.changedKeys.join(', ') || '无'}`)
+            } else {
+                console.warn(`⚠️  配置文件 ${configFile} 不存在，仅使用当前环境变量重新加载 (${reason})`)
+            }
+            await onReload(reason)
+        } catch (error) {
+            if (previousValues) restoreEnv(previousValues)
+            console.error('❌ 重新加载配置失败，继续使用原配置:', error.message)
+        } finally {
+            reloading = false
+        }
+
+        if (pendingReason) {
+            const nextReason = pendingReason
+            pendingReason = null
+            await reload(nextReason)
+        }
+    }
+
+    const onSighup = () => {
+        reload('SIGHUP')
+    }
+    process.on('SIGHUP', onSighup)
+
+    const onFileChange = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return
+        clearTimeout(debounceTimer)
+        debounceTimer = setTimeout(() => reload('文件变化'), RELOAD_DEBOUNCE_MS)
+    }
+    if (watchEnabled) {
+        fs.watchFile(configFile, { interval: WATCH_INTERVAL_MS, persistent: false }, onFileChange)
+    }
+
+    console.log(`✅ 配置热重载已启用: ${watchEnabled ? `监听 ${configFile}，` : ''}发送 SIGHUP 信号可手动重载`)
+
+    return () => {
+        clearTimeout(debounceTimer)
+        process.off('SIGHUP', onSighup)
+        if (watchEnabled) {
+            fs.unwatchFile(configFile, onFileChange)
+        }
+    }
+}
@@ -0,0 +1,148 @@
+import { resolveDataPath, readJsonFile, writeJsonFileAtomic } from '../utils/storageUtils.js'
+
+// 定义常量
+const CHECKPOINT_FILE_VERSION = 1
+const DEFAULT_CHECKPOINT_FILE = 'delete-history-checkpoint.json'
+
+/**
+ * 创建空的检查点数据
+ * @param {Object} options - 本次运行的过滤条件
+ * @returns {Object} 检查点数据
+ */
+function createEmptyCheckpoint(options) {
+    return {
+        version: CHECKPOINT_FILE_VERSION,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        finishedAt: null,
+        runs: 0,
+        options,
+        // 已处理完成的群组 { [chatId]: { chatTitle, messageCount, deletedCount, error?, completedAt } }
+        completedChats: {},
+        // 处理中的群组进度 { [chatId]: { chatTitle, offsetId, messageCount, deletedCount } }
+        inProgress: {}
+    }
+}
+
+/**
+ * 创建历史消息删除的检查点（用于中断后继续删除）
+ *
+ * 每处理完一页消息就会写入一次检查点，记录已完成的群组、每个群组最后的 offsetId 以及计数。
+ * 检查点在全部群组处理完成后标记为已完成，下次运行时会重新开始。
+ *
+ * 环境变量：
+ * DELETE_CHECKPOINT_FILE (默认 DATA_DIR/delete-history-checkpoint.json)
+ *
+ * @param {Object} [options] - 配置对象
+ * @param {string} [options.filePath] - 检查点文件路径
+ * @returns {Object} 检查点实例
+ */
+export function createDeleteCheckpoint(options = {}) {
+    const filePath = resolveDataPath(options.filePath || DEFAULT_CHECKPOINT_FILE)
+    let data = null
+
+    const persist = () => {
+        data.updatedAt = new Date().toISOString()
+        try {
+            writeJsonFileAtomic(filePath, data)
+        } catch (error) {
+            console.error('❌ 保存删除进度失败:', error.message)
+        }
+    }
+
+    return {
+        filePath,
+
+        /**
+         * 读取上次未完成的检查点
+         * @returns {Object|null} 未完成的检查点数据，不存在或已完成时返回 null
+         */
+        readUnfinished() {
+            const saved = readJsonFile(filePath, null)
+            if (!saved || saved.version !== CHECKPOINT_FILE_VERSION || saved.finishedAt) return null
+            return saved
+        },
+
+        /**
+         * 开始一次运行
+         * @param {Object} runOptions - 本次运行的过滤条件（用于在继续时比对）
+         * @param {boolean} resume - 是否从上次未完成的检查点继续
+         * @returns {boolean} 是否成功从检查点继续
+         */
+        start(runOptions, resume) {
+            const saved = resume ? this.readUnfinished() : null
+            data = saved || createEmptyCheckpoint(runOptions)
+            data.runs += 1
+            persist()
+            return !!saved
+        },
+
+        /**
+         * 判断群组是否已在之前的运行中处理完成
+         * @param {string} chatId - 群组ID
+         * @returns {boolean}
+         */
+        isChatCompleted(chatId) {
+            return !!data.completedChats[chatId]
+        },
+
+        /**
+         * 获取群组未完成的进度
+         * @param {string} chatId - 群组ID
+         * @returns {{offsetId: number, messageCount: number, deletedCount: number}|null}
+         */
+        getChatProgress(chatId) {
+            return data.inProgress[chatId] || null
+        },
+
+        /**
+         * 更新群组进度（每处理完一页调用一次）
+         * @param {string} chatId - 群组ID
+         * @param {Object} progress - 进度
+         * @param {string} progress.chatTitle - 群组名称
+         * @param {number} progress.offsetId - 下一页的 offsetId
+         * @param {number} progress.messageCount - 累计找到的消息数
+         * @param {number} progress.deletedCount - 累计删除的消息数
+         */
+        updateChatProgress(chatId, progress) {
+            data.inProgress[chatId] = { ...progress }
+            persist()
+        },
+
+        /**
+         * 标记群组处理完成
+         * @param {string} chatId - 群组ID
+         * @param {Object} result - 处理结果（chatTitle、messageCount、deletedCount、error）
+         */
+        completeChat(chatId, result) {
+            delete data.inProgress[chatId]
+            data.completedChats[chatId] = { ...result, completedAt: new Date().toISOString() }
+            persist()
+        },
+
+        /**
+         * 标记本次删除全部完成
+         */
+        finish() {
+            data.finishedAt = new Date().toISOString()
+            persist()
+        },
+
+        /**
+         * 汇总所有运行的统计（已完成群组与处理中群组）
+         * @returns {{runs: number, chats: Array<Object>, totalMessages: number, totalDeleted: number}}
+         */
+        getSummary() {
+            const chats = [
+                ...Object.entries(data.completedChats).map(([chatId, chat]) => ({ chatId, ...chat, completed: true })),
+                ...Object.entries(data.inProgress).map(([chatId, chat]) => ({ chatId, ...chat, completed: false }))
+            ]
+            return {
+                runs: data.runs,
+                chats,
+                totalMessages: chats.reduce((sum, chat) => sum + (chat.messageCount || 0), 0),
+                totalDeleted: chats.reduce((sum, chat) => sum + (chat.deletedCount || 0), 0)
+            }
+        }
+    }
+}
@@ -0,0 +1,340 @@
+import { Api } from 'telegram'
+import { normalizeId } from '../utils/formatUtils.js'
+import { isDeletableMessage } from '../utils/messageUtils.js'
+import { getMessageMediaType } from '../utils/mediaUtils.js'
+import { incrementMetric } from '../utils/metrics.js'
+import { schedule, getFloodWaitSeconds } from '../utils/rateLimiter.js'
+import { resolveDataPath, readJsonFile, writeJsonFileAtomic } from '../utils/storageUtils.js'
+import { safeGetEntity } from '../utils/telegramUtil.js'
+import { resolveChatPolicy, getRetentionMinutes, getProtectionReason } from '../utils/retentionUtils.js'
+import { loadRetentionConfig, resolveAutoDeleteScope } from './message-deleter.js'
+import { createHistoryArchive, isArchiveBeforeDeleteEnabled } from './history-archive.js'
+
+// 定义常量
+const QUEUE_FILE_VERSION = 1
+const DEFAULT_QUEUE_FILE = 'expiry-queue.json'
+const DELETE_BATCH_SIZE = 100
+// setTimeout 的最大延迟约 24.8 天，较远的到期时间分段等待
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000
+// 删除失败后的重试间隔与最大重试次数（之后交给定期全量扫描处理）
+const RETRY_DELAY_MS = 60 * 1000
+const MAX_ATTEMPTS = 3
+
+/**
+ * 生成队列记录的键
+ * @param {string} chatId - 规范化后的群组ID
+ * @param {number} messageId - 消息ID
+ * @returns {string}
+ */
+function entryKey(chatId, messageId) {
+    return `${chatId}:${messageId}`
+}
+
+/**
+ * 将保存的 peer 转换为 InputPeer
+ * @param {Object} peer - `{ type: 'channel'|'chat', id, accessHash }`
+ * @returns {Api.InputPeerChannel|Api.InputPeerChat}
+ */
+function toInputPeer(peer) {
+    if (peer.type === 'channel') {
+        return new Api.InputPeerChannel({ channelId: BigInt(peer.id), accessHash: BigInt(peer.accessHash || 0) })
+    }
+    return new Api.InputPeerChat({ chatId: BigInt(peer.id) })
+}
+
+/**
+ * 创建自动删除的到期队列
+ *
+ * 通过更新事件记录当前用户在删除范围内发送的消息，按保留策略计算到期时间，并在到期时删除，
+ * 不再需要每次都遍历所有群组。队列持久化到数据目录，重启后继续删除到期的消息。
+ *
+ * 环境变量：
+ * EXPIRY_QUEUE_FILE (默认 DATA_DIR/expiry-queue.json)
+ * ARCHIVE_BEFORE_DELETE (默认 false，设置为 true 时删除前先归档，归档失败的消息保留在队列中，见 core/history-archive.js)
+ *
+ * @param {Object} options - 配置对象
+ * @param {TelegramClient} options.client - Telegram 客户端
+ * @param {number} options.autoDeleteMinutes - AUTO_DELETE_MINUTES
+ * @param {string} [options.filePath] - 队列文件路径
+ * @returns {Object} 到期队列实例
+ */
+export function createExpiryQueue({ client, autoDeleteMinutes, filePath }) {
+    const queueFile = resolveDataPath(filePath || DEFAULT_QUEUE_FILE)
+    const isDebug = process.env.DEBUG === 'true'
+
+    // 队列记录 Map<key, { chatId, messageId, peer, mediaType, keep, expiresAt, attempts }>
+    const entries = new Map()
+    let retentionConfig = null
+    let timer = null
+    let nextRunAt = null
+    let running = false
+    let stopped = false
+
+    const persist = () => {
+        try {
+            writeJsonFileAtomic(queueFile, { version: QUEUE_FILE_VERSION, entries: [...entries.values()] })
+        } catch (error) {
+            console.error('❌ 保存自动删除队列失败:', error.message)
+        }
+    }
+
+    // 只保留一个定时器，指向最早到期的记录
+    const scheduleNextRun = () => {
+        if (stopped || running) return
+        let earliest = Infinity
+        for (const entry of entries.values()) {
+            earliest = Math.min(earliest, entry.expiresAt)
+        }
+        if (earliest === Infinity) {
+            clearTimeout(timer)
+            timer = null
+            nextRunAt = null
+            return
+        }
+        if (timer && nextRunAt <= earliest) return
+
+        clearTimeout(timer)
+        nextRunAt = earliest
+        timer = setTimeout(() => {
+            timer = null
+            nextRunAt = null
+            processDue().catch(error => console.error('❌ 删除到期消息时出错:', error.message))
+        }, Math.min(Math.max(0, earliest - Date.now()), MAX_TIMER_DELAY_MS))
+    }
+
+    /**
+     * 删除一个群组中到期的消息
+     * @param {Array<Object>} chatEntries - 同一群组的到期记录
+     * @param {Object|null} archive - 删除前归档时的归档实例（见 createHistoryArchive）
+     * @returns {Promise<{deleted: number, archived: number}>} 删除和归档的消息数
+     * @throws {Error} 删除或归档失败时抛出，归档失败的错误带有 `archiveFailed: true`
+     */
+    const deleteChatEntries = async (chatEntries, archive) => {
+        const peer = toInputPeer(chatEntries[0].peer)
+        let targets = chatEntries
+
+        // 置顶状态可能在发送后改变，删除前重新获取确认；删除前归档时需要获取所有消息
+        const fetchEntries = archive ? targets : targets.filter(entry => entry.keep.pinned)
+        const messages = []
+        for (let i = 0; i < fetchEntries.length; i += DELETE_BATCH_SIZE) {
+            const ids = fetchEntries.slice(i, i + DELETE_BATCH_SIZE).map(entry => entry.messageId)
+            messages.push(...(await schedule('client.read', () => client.getMessages(peer, { ids }))).filter(Boolean))
+        }
+
+        const keepPinnedIds = new Set(targets.filter(entry => entry.keep.pinned).map(entry => entry.messageId))
+        const pinnedIds = new Set(messages.filter(msg => msg.pinned && keepPinnedIds.has(Number(msg.id))).map(msg => Number(msg.id)))
+        if (pinnedIds.size > 0) {
+            if (isDebug) {
+                console.log(`📌 保留 ${pinnedIds.size} 条置顶消息 (群组 ${chatEntries[0].chatId})`)
+            }
+            targets = targets.filter(entry => !pinnedIds.has(entry.messageId))
+        }
+
+        // 删除前归档，归档失败时不删除
+        let archived = 0
+        const archiveMessages = messages.filter(msg => !pinnedIds.has(Number(msg.id)))
+        if (archive && archiveMessages.length > 0) {
+            try {
+                const chat = await schedule('client.read', () => safeGetEntity(client, peer))
+                archived = await archive.archiveMessages(chat || { id: chatEntries[0].chatId }, archiveMessages)
+            } catch (error) {
+                throw Object.assign(new Error(`归档失败: ${error.message}`), { archiveFailed: true })
+            }
+        }
+
+        let deleted = 0
+        for (let i = 0; i < targets.length; i += DELETE_BATCH_SIZE) {
+            const batch = targets.slice(i, i + DELETE_BATCH_SIZE).map(entry => entry.messageId)
+            // 遇到 FLOOD_WAIT 不在调度器中等待，由队列重新安排到期时间
+            await schedule('client.delete', () => client.deleteMessages(peer, batch, { revoke: true }), { maxFloodWaitSeconds: 0 })
+            deleted += batch.length
+        }
+        return { deleted, archived }
+    }
+
+    // 删除所有到期的消息，按群组分批
+    const processDue = async () => {
+        if (running || stopped) return
+        running = true
+
+        try {
+            const now = Date.now()
+            const byChat = new Map()
+            for (const entry of entries.values()) {
+                if (entry.expiresAt > now) continue
+                if (!byChat.has(entry.chatId)) byChat.set(entry.chatId, [])
+                byChat.get(entry.chatId).push(entry)
+            }
+
+            const archive = byChat.size > 0 && isArchiveBeforeDeleteEnabled() ? createHistoryArchive({ client }) : null
+            let archivedTotal = 0
+            for (const [chatId, chatEntries] of byChat) {
+                try {
+                    const { deleted, archived } = await deleteChatEntries(chatEntries, archive)
+                    archivedTotal += archived
+                    chatEntries.forEach(entry => entries.delete(entryKey(entry.chatId, entry.messageId)))
+                    incrementMetric('messages_auto_deleted', deleted)
+                    console.log(`✅ 已删除群组 ${chatId} 中 ${deleted} 条到期消息`)
+                } catch (error) {
+                    const floodWaitSeconds = getFloodWaitSeconds(error)
+                    const delayMs = floodWaitSeconds != null ? floodWaitSeconds * 1000 : RETRY_DELAY_MS
+
+                    for (const entry of chatEntries) {
+                        // FLOOD_WAIT 和归档失败不计入失败次数，归档失败的记录保留在队列中等待重试
+                        if (floodWaitSeconds == null && !error.archiveFailed) entry.attempts = (entry.attempts || 0) + 1
+                        if (entry.attempts >= MAX_ATTEMPTS) {
+                            entries.delete(entryKey(entry.chatId, entry.messageId))
+                        } else {
+                            entry.expiresAt = Date.now() + delayMs
+                        }
+                    }
+                    console.error(`❌ 删除群组 ${chatId} 中的到期消息失败，${Math.round(delayMs / 1000)} 秒后重试: ${error.message}`)
+                }
+            }
+
+            if (archivedTotal > 0) {
+                try {
+                    const indexPath = archive.renderHtml()
+                    if (isDebug) {
+                        console.log(`📦 归档页面已更新: ${indexPath}`)
+                    }
+                } catch (error) {
+                    console.error('❌ 生成归档页面失败:', error.message)
+                }
+            }
+
+            if (byChat.size > 0) persist()
+        } finally {
+            running = false
+            scheduleNextRun()
+        }
+    }
+
+    return {
+        filePath: queueFile,
+
+        /**
+         * 加载保留策略和持久化的队列，并开始调度（已过期的记录会立即删除）
+         * @returns {Promise<number>} 队列中的记录数
+         */
+        async start() {
+            stopped = false
+            await this.reloadPolicies()
+            const saved = readJsonFile(queueFile, null)
+            for (const entry of Array.isArray(saved?.entries) ? saved.entries : []) {
+                if (entry?.chatId && entry.messageId != null && entry.peer) {
+                    entries.set(entryKey(entry.chatId, entry.messageId), entry)
+                }
+            }
+            scheduleNextRun()
+            console.log(`✅ 自动删除队列已启动，待删除消息 ${entries.size} 条 (${queueFile})`)
+            return entries.size
+        },
+
+        /**
+         * 停止调度并保存队列
+         */
+        stop() {
+            stopped = true
+            clearTimeout(timer)
+            timer = null
+            persist()
+        },
+
+        /**
+         * 重新加载保留策略（策略文件修改或配置热重载后调用），新策略只对之后记录的消息生效
+         * @returns {Promise<void>}
+         */
+        async reloadPolicies() {
+            try {
+                retentionConfig = await loadRetentionConfig(autoDeleteMinutes)
+            } catch (error) {
+                console.error(`❌ 加载保留策略失败，继续使用原策略: ${error.message}`)
+            }
+        },
+
+        /**
+         * 记录当前用户发送的消息（在更新事件中调用）
+         *
+         * 只记录删除范围内、保留策略允许删除且不受保护的消息。
+         *
+         * @param {Object} message - 消息对象
+         * @returns {Promise<boolean>} 是否已加入队列
+         */
+        async track(message) {
+            if (!retentionConfig || !message?.out || message.post || !isDeletableMessage(message)) return false
+
+            const peerId = message.peerId
+            const rawId = peerId?.channelId ?? peerId?.chatId
+            if (rawId == null) return false
+            const chatId = normalizeId(rawId)
+
+            const scope = resolveAutoDeleteScope()
+            if (scope.excludeChatIds.includes(chatId)) return false
+            if (!scope.all && !scope.chatIds.includes(chatId)) return false
+
+            const policy = resolveChatPolicy(retentionConfig, chatId)
+            const mediaType = getMessageMediaType(message)
+            const minutes = getRetentionMinutes(policy, mediaType)
+            if (minutes == null || getProtectionReason(message, policy.keep, new Set())) return false
+
+            const peer = { type: peerId.channelId != null ? 'channel' : 'chat', id: rawId.toString() }
+            if (peer.type === 'channel') {
+                try {
+                    const inputPeer = await client.getInputEntity(peerId)
+                    peer.accessHash = inputPeer.accessHash?.toString()
+                } catch (error) {
+                    console.warn(`⚠️  无法获取群组 ${chatId} 的访问信息，交给定期扫描删除:`, error.message)
+                    return false
+                }
+            }
+
+            const messageId = Number(message.id)
+            entries.set(entryKey(chatId, messageId), {
+                chatId,
+                messageId,
+                peer,
+                mediaType,
+                keep: { pinned: !!policy.keep.pinned, repliedTo: !!policy.keep.repliedTo },
+                expiresAt: (message.date ? message.date * 1000 : Date.now()) + minutes * 60 * 1000,
+                attempts: 0
+            })
+            persist()
+            scheduleNextRun()
+
+            if (isDebug) {
+                console.log(`⏳ 消息 ${messageId} (群组 ${chatId}) 将在 ${new Date((message.date * 1000) + minutes * 60 * 1000).toLocaleString()} 删除 (策略: ${policy.name})`)
+            }
+            return true
+        },
+
+        /**
+         * 记录回复关系：被回复的消息如果策略要求保留，则从队列中移除
+         * @param {Object} message - 新消息
+         */
+        handleReply(message) {
+            const replyToMsgId = message?.replyTo?.replyToMsgId
+            const rawId = message?.peerId?.channelId ?? message?.peerId?.chatId
+            if (replyToMsgId == null || rawId == null) return
+
+            const key = entryKey(normalizeId(rawId), Number(replyToMsgId))
+            const entry = entries.get(key)
+            if (entry?.keep.repliedTo) {
+                entries.delete(key)
+                persist()
+                scheduleNextRun()
+                if (isDebug) {
+                    console.log(`💬 消息 ${entry.messageId} 已被回复，不再自动删除 (群组 ${entry.chatId})`)
+                }
+            }
+        },
+
+        /**
+         * 队列中的记录数
+         * @returns {number}
+         */
+        size() {
+            return entries.size
+        }
+    }
+}
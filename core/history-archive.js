@@ -0,0 +1,273 @@
+import fs from 'fs'
+import path from 'path'
+import { normalizeId } from '../utils/formatUtils.js'
+import { resolveDataPath, readJsonFile, writeJsonFileAtomic } from '../utils/storageUtils.js'
+import { serializeMessage } from '../utils/historyUtils.js'
+
+// 定义常量
+const DEFAULT_ARCHIVE_DIR = 'archive'
+const DEFAULT_MEDIA_MAX_MB = 20
+const CHATS_INDEX_FILE = 'chats.json'
+const MESSAGES_FILE = 'messages.jsonl'
+
+// 没有文件名时根据 MIME 类型推断扩展名
+const MIME_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'audio/ogg': '.ogg',
+    'audio/mpeg': '.mp3',
+    'application/x-tgsticker': '.tgs',
+    'application/pdf': '.pdf'
+}
+
+/**
+ * 判断是否在删除消息前先归档
+ *
+ * 环境变量：
+ * ARCHIVE_BEFORE_DELETE (默认 false)
+ *
+ * @returns {boolean}
+ */
+export function isArchiveBeforeDeleteEnabled() {
+    return process.env.ARCHIVE_BEFORE_DELETE === 'true'
+}
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {*} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+/**
+ * 获取媒体文件的扩展名
+ * @param {Object} record - 归档记录
+ * @returns {string} 扩展名（含点号）
+ */
+function getMediaExtension(record) {
+    const fromName = record.media.fileName ? path.extname(record.media.fileName) : ''
+    if (fromName) return fromName
+    if (record.media.type === 'photo') return '.jpg'
+    return MIME_EXTENSIONS[record.media.mimeType] || '.bin'
+}
+
+/**
+ * 读取聊天的归档记录（按消息 ID 去重，保留最后写入的记录，按时间从旧到新排序）
+ * @param {string} filePath - messages.jsonl 路径
+ * @returns {Array<Object>} 归档记录
+ */
+function readArchivedMessages(filePath) {
+    if (!fs.existsSync(filePath)) return []
+
+    const byId = new Map()
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) continue
+        try {
+            const record = JSON.parse(line)
+            byId.set(record.id, record)
+        } catch {
+            // 忽略进程中断导致的不完整行
+        }
+    }
+    return [...byId.values()].sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.id - b.id)
+}
+
+/**
+ * 渲染单条消息
+ * @param {Object} record - 归档记录
+ * @returns {string} HTML
+ */
+function renderMessageHtml(record) {
+    const parts = [
+        `<div class="meta"><a href="#msg-${record.id}">#${record.id}</a> · ${escapeHtml(record.date ? record.date.replace('T', ' ').slice(0, 19) : '')}`
+        + (record.senderId ? ` · 发送者 ${escapeHtml(record.senderId)}` : '')
+        + (record.editDate ? ' · 已编辑' : '') + '</div>'
+    ]
+
+    if (record.replyToMsgId) {
+        parts.push(`<div class="reply">回复 <a href="#msg-${record.replyToMsgId}">#${record.replyToMsgId}</a></div>`)
+    }
+
+    if (record.media) {
+        const description = [record.media.label, record.media.fileName, record.media.size ? `${(record.media.size / 1024).toFixed(1)} KB` : '']
+            .filter(Boolean).map(escapeHtml).join(' · ')
+        if (record.mediaFile && record.media.type === 'photo') {
+            parts.push(`<div class="media"><a href="${escapeHtml(record.mediaFile)}"><img src="${escapeHtml(record.mediaFile)}" alt="${description}" loading="lazy"></a></div>`)
+        } else if (record.mediaFile) {
+            parts.push(`<div class="media">📎 <a href="${escapeHtml(record.mediaFile)}">${description}</a></div>`)
+        } else {
+            parts.push(`<div class="media">📎 ${description}</div>`)
+        }
+    }
+
+    if (record.text) {
+        parts.push(`<div class="text">${escapeHtml(record.text)}</div>`)
+    }
+
+    return `<div class="message" id="msg-${record.id}">${parts.join('')}</div>`
+}
+
+/**
+ * 渲染完整的 HTML 页面
+ * @param {string} title - 页面标题
+ * @param {string} body - 页面内容
+ * @returns {string} HTML
+ */
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; max-width: 860px; margin: 0 auto; padding: 16px; background: #f4f4f5; color: #222; }
+h1 { font-size: 20px; }
+table { width: 100%; border-collapse: collapse; background: #fff; }
+th, td { padding: 8px; border-bottom: 1px solid #e4e4e7; text-align: left; }
+.message { background: #fff; border-radius: 8px; padding: 8px 12px; margin: 8px 0; }
+.message:target { outline: 2px solid #3b82f6; }
+.meta, .reply { font-size: 12px; color: #71717a; }
+.media { margin-top: 4px; }
+.media img { max-width: 320px; max-height: 320px; border-radius: 4px; }
+.text { margin-top: 4px; white-space: pre-wrap; word-break: break-word; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`
+}
+
+/**
+ * 创建历史消息归档
+ *
+ * 目录结构：
+ * - `<dir>/chats.json`：已归档的聊天列表
+ * - `<dir>/<chatId>/messages.jsonl`：每行一条消息（id、时间、发送者、文本、回复的消息 ID、媒体信息）
+ * - `<dir>/<chatId>/media/`：下载的媒体文件（开启 downloadMedia 时）
+ * - `<dir>/index.html`、`<dir>/<chatId>/index.html`：可直接在浏览器中打开的静态页面
+ *
+ * 多次归档到同一目录时追加写入，生成 HTML 时按消息 ID 去重。
+ *
+ * 环境变量：
+ * ARCHIVE_DIR (默认 DATA_DIR/archive)
+ * ARCHIVE_MEDIA (默认 false，设置为 true 时下载媒体文件)
+ * ARCHIVE_MEDIA_MAX_MB (默认 20，超过该大小的媒体只记录元数据)
+ *
+ * @param {Object} options - 配置对象
+ * @param {TelegramClient} options.client - Telegram 客户端实例（下载媒体时使用）
+ * @param {string} [options.dir] - 归档目录
+ * @param {boolean} [options.downloadMedia] - 是否下载媒体文件
+ * @param {number} [options.mediaMaxMb] - 下载媒体的大小上限（MB）
+ * @returns {Object} 归档实例
+ */
+export function createHistoryArchive(options) {
+    const { client } = options
+    const dir = resolveDataPath(options.dir || process.env.ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR)
+    const downloadMedia = options.downloadMedia ?? process.env.ARCHIVE_MEDIA === 'true'
+    const mediaMaxMb = options.mediaMaxMb ?? (parseFloat(process.env.ARCHIVE_MEDIA_MAX_MB) || DEFAULT_MEDIA_MAX_MB)
+    const chatsIndexPath = path.join(dir, CHATS_INDEX_FILE)
+
+    /**
+     * 下载消息中的媒体文件
+     * @param {Object} msg - 消息对象
+     * @param {Object} record - 归档记录
+     * @param {string} chatDir - 聊天归档目录
+     * @returns {Promise<string|null>} 相对于聊天目录的文件路径，未下载时返回 null
+     */
+    const saveMedia = async (msg, record, chatDir) => {
+        if (!downloadMedia || !record.media || record.media.type === 'webpage') return null
+        if (record.media.size > mediaMaxMb * 1024 * 1024) return null
+
+        try {
+            const buffer = await client.downloadMedia(msg)
+            if (!buffer || buffer.length === 0) return null
+            const relativePath = `media/${record.id}${getMediaExtension(record)}`
+            fs.mkdirSync(path.join(chatDir, 'media'), { recursive: true })
+            fs.writeFileSync(path.join(chatDir, relativePath), buffer)
+            return relativePath
+        } catch (error) {
+            console.warn(`⚠️  下载消息 ${record.id} 的媒体失败:`, error.message)
+            return null
+        }
+    }
+
+    return {
+        dir,
+
+        /**
+         * 将消息追加到聊天的归档文件
+         *
+         * 写入失败时抛出错误，调用方应放弃删除对应的消息。
+         *
+         * @param {Object} chat - 聊天对象
+         * @param {Array<Object>} messages - 消息列表
+         * @returns {Promise<number>} 归档的消息数
+         */
+        async archiveMessages(chat, messages) {
+            if (messages.length === 0) return 0
+
+            const chatId = normalizeId(chat.id)
+            const chatDir = path.join(dir, chatId)
+            fs.mkdirSync(chatDir, { recursive: true })
+
+            const lines = []
+            for (const msg of messages) {
+                const record = serializeMessage(msg, chatId)
+                const mediaFile = await saveMedia(msg, record, chatDir)
+                if (mediaFile) record.mediaFile = mediaFile
+                lines.push(JSON.stringify(record))
+            }
+            fs.appendFileSync(path.join(chatDir, MESSAGES_FILE), lines.join('\n') + '\n')
+
+            const chats = readJsonFile(chatsIndexPath, {})
+            chats[chatId] = {
+                title: chat.title || [chat.firstName, chat.lastName].filter(Boolean).join(' ') || 'Unknown',
+                updatedAt: new Date().toISOString()
+            }
+            writeJsonFileAtomic(chatsIndexPath, chats)
+
+            return messages.length
+        },
+
+        /**
+         * 根据归档文件生成静态 HTML 页面
+         * @returns {string} 首页路径
+         */
+        renderHtml() {
+            const chats = readJsonFile(chatsIndexPath, {})
+            const rows = []
+
+            for (const [chatId, chat] of Object.entries(chats)) {
+                const records = readArchivedMessages(path.join(dir, chatId, MESSAGES_FILE))
+                const body = `<p><a href="../index.html">← 返回</a></p>\n<h1>${escapeHtml(chat.title)} <small>(${escapeHtml(chatId)})</small></h1>\n`
+                    + `<p>共 ${records.length} 条消息</p>\n`
+                    + records.map(renderMessageHtml).join('\n')
+                fs.writeFileSync(path.join(dir, chatId, 'index.html'), renderPage(chat.title, body))
+
+                const range = records.length > 0
+                    ? `${records[0].date?.slice(0, 10) || ''} ~ ${records[records.length - 1].date?.slice(0, 10) || ''}`
+                    : ''
+                rows.push(`<tr><td><a href="${escapeHtml(chatId)}/index.html">${escapeHtml(chat.title)}</a></td><td>${escapeHtml(chatId)}</td><td>${records.length}</td><td>${range}</td></tr>`)
+            }
+
+            const indexPath = path.join(dir, 'index.html')
+            fs.mkdirSync(dir, { recursive: true })
+            fs.writeFileSync(indexPath, renderPage('消息归档', `<h1>消息归档</h1>\n<p>生成时间: ${new Date().toLocaleString()}</p>\n`
+                + `<table>\n<tr><th>群组</th><th>ID</th><th>消息数</th><th>时间范围</th></tr>\n${rows.join('\n')}\n</table>`))
+            return indexPath
+        }
+    }
+}
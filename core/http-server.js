@@ -0,0 +1,140 @@
+import http from 'http'
+import { getMetrics, getLastEvents, getStartedAt, renderPrometheusMetrics } from '../utils/metrics.js'
+import { getHealthThresholds, evaluateHealth } from '../utils/healthUtils.js'
+
+// 接口不需要认证，默认只监听本机
+const DEFAULT_HOST = '127.0.0.1'
+
+/**
+ * 将毫秒时间戳映射转换为 ISO 时间字符串
+ * @param {Object<string, number|null>} events - 事件名称到毫秒时间戳的映射
+ * @returns {Object<string, string|null>} 事件名称到 ISO 时间的映射
+ */
+function toIsoTimes(events) {
+    return Object.fromEntries(Object.entries(events).map(([name, ts]) => [name, ts ? new Date(ts).toISOString() : null]))
+}
+
+/**
+ * 构建 /status 返回的运行状态
+ * @param {Object} controller - 监控控制器
+ * @param {Object} store - 已发送通知存储
+ * @param {Object} queue - 通知重试队列
+ * @returns {Object} 运行状态
+ */
+function buildStatus(controller, store, queue) {
+    const state = controller.getState()
+    const cfg = state.config
+    const now = Date.now()
+    const health = evaluateHealth(getLastEvents(), getStartedAt(), getHealthThresholds(), now)
+    const queueStatus = queue.getStatus(0)
+
+    return {
+        healthy: health.healthy,
+        paused: state.paused,
+        startedAt: new Date(getStartedAt()).toISOString(),
+        uptimeSeconds: Math.floor((now - getStartedAt()) / 1000),
+        lastEvents: toIsoTimes(getLastEvents()),
+        metrics: getMetrics(),
+        config: {
+            monitorChatIds: cfg.normalizedMonitorIds,
+            notMonitorChatIds: cfg.normalizedNotMonitorIds,
+            monitorKeywords: cfg.monitorKeywordsNormalized,
+            targetUserIds: cfg.targetUserIdsNormalized,
+            userKeywords: cfg.userKeywordsNormalized,
+            notificationChatId: cfg.notificationChatId || null,
+            rules: cfg.rules.map(rule => ({ name: rule.name, enabled: rule.enabled, implicit: rule.implicit, targets: rule.targets, notifiers: rule.notifiers }))
+        },
+        mutedChats: [...state.mutedChats.entries()]
+            .filter(([, until]) => until > now)
+            .map(([chatId, until]) => ({ chatId, until: new Date(until).toISOString() })),
+        mutedSenders: [...state.mutedSenders],
+        notificationStore: { type: store.type, size: store.size() },
+        notificationQueue: { pending: queueStatus.pending, deadLetters: queueStatus.deadLetters, nextAttemptAt: queueStatus.nextAttemptAt }
+    }
+}
+
+/**
+ * 发送响应
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {number} statusCode - 状态码
+ * @param {string} contentType - 内容类型
+ * @param {string} body - 响应内容
+ */
+function send(res, statusCode, contentType, body) {
+    res.writeHead(statusCode, { 'Content-Type': contentType, 'Cache-Control': 'no-store' })
+    res.end(body)
+}
+
+/**
+ * 启动内置 HTTP 服务
+ *
+ * 提供以下接口：
+ * - GET /healthz：根据最近心跳和最近收到更新的时间判断存活状态，健康返回 200，否则返回 503
+ * - GET /metrics：Prometheus 文本格式的统计指标
+ * - GET /status：JSON 格式的运行状态（监控配置、静音群组、统计等）
+ * - GET /queue：通知重试队列（待重试的投递和死信数量）
+ *
+ * 环境变量：
+ * HTTP_PORT (未设置时不启动 HTTP 服务)
+ * HTTP_HOST (默认 127.0.0.1，只允许本机访问；/status 包含监控配置，对外开放前请确认网络可信)
+ *
+ * @param {Object} options - 配置对象
+ * @param {number} options.port - 监听端口
+ * @param {string} [options.host] - 监听地址
+ * @param {Object} options.controller - 监控控制器（见 core/telegram-monitor.js 的 createMonitorController）
+ * @param {Object} options.store - 已发送通知存储
+ * @param {Object} options.queue - 通知重试队列（见 core/notification-queue.js）
+ * @returns {Promise<http.Server>} 已开始监听的 HTTP 服务
+ */
+export function startHttpServer({ port, host = DEFAULT_HOST, controller, store, queue }) {
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost')
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            send(res, 405, 'text/plain; charset=utf-8', 'Method Not Allowed\n')
+            return
+        }
+
+        try {
+            switch (pathname) {
+                case '/healthz': {
+                    const health = evaluateHealth(getLastEvents(), getStartedAt(), getHealthThresholds())
+                    send(res, health.healthy ? 200 : 503, 'application/json; charset=utf-8',
+                        JSON.stringify({ status: health.healthy ? 'ok' : 'unhealthy', checks: health.checks }))
+                    return
+                }
+                case '/metrics': {
+                    const state = controller.getState()
+                    send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', renderPrometheusMetrics({
+                        paused: state.paused ? 1 : 0,
+                        muted_chats: [...state.mutedChats.values()].filter(until => until > Date.now()).length,
+                        muted_senders: state.mutedSenders.size,
+                        notification_store_records: store.size(),
+                        notification_queue_pending: queue.size()
+                    }))
+                    return
+                }
+                case '/status':
+                    send(res, 200, 'application/json; charset=utf-8', JSON.stringify(buildStatus(controller, store, queue), null, 2))
+                    return
+                case '/queue':
+                    send(res, 200, 'application/json; charset=utf-8', JSON.stringify(queue.getStatus(100), null, 2))
+                    return
+                default:
+                    send(res, 404, 'text/plain; charset=utf-8', 'Not Found\n')
+            }
+        } catch (error) {
+            console.error(`❌ 处理 HTTP 请求 ${pathname} 时出错:`, error.message)
+            send(res, 500, 'text/plain; charset=utf-8', 'Internal Server Error\n')
+        }
+    })
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(port, host, () => {
+            server.off('error', reject)
+            console.log(`✅ HTTP 服务已启动: http://${host}:${port} (/healthz, /metrics, /status, /queue)`)
+            resolve(server)
+        })
+    })
+}
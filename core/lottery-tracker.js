@@ -0,0 +1,251 @@
+import { normalizeId, buildLotteryResultMessage } from '../utils/formatUtils.js'
+import { parseLotteryResult } from '../utils/lotteryUtils.js'
+import { incrementMetric } from '../utils/metrics.js'
+import { resolveDataPath, readJsonFile, writeJsonFileAtomic } from '../utils/storageUtils.js'
+
+// 定义常量
+const TRACKER_FILE_VERSION = 1
+const DEFAULT_TRACKER_FILE = 'lotteries.json'
+// 与通知记录的默认保留时长一致，超过后已找不到可编辑的通知
+const DEFAULT_RETENTION_HOURS = 48
+
+/**
+ * 生成抽奖记录的键
+ * @param {string} chatId - 规范化后的群组ID
+ * @param {number} messageId - 抽奖消息ID
+ * @returns {string}
+ */
+function entryKey(chatId, messageId) {
+    return `${chatId}:${messageId}`
+}
+
+/**
+ * 判断当前账号是否在中奖名单中
+ *
+ * 优先使用消息中的提及实体（文字链接到用户时可以直接比较用户 ID），其次按 @用户名、用户 ID 或显示名称匹配名单。
+ *
+ * @param {Array<string>} winners - 中奖者列表
+ * @param {Object} message - 开奖消息
+ * @param {Object} self - 当前账号 `{ id, username, firstName, lastName }`
+ * @returns {boolean|null} 无法判断（没有账号信息或没有识别到名单）时返回 null
+ */
+function isSelfWinner(winners, message, self) {
+    if (!self?.id) return null
+
+    const rawText = message?.message || ''
+    for (const entity of message?.entities || []) {
+        if (entity.className !== 'MessageEntityMentionName') continue
+        const label = rawText.slice(entity.offset, entity.offset + entity.length).trim()
+        if (label && winners.some(winner => winner.includes(label)) && normalizeId(entity.userId?.value ?? entity.userId) === self.id) {
+            return true
+        }
+    }
+
+    if (winners.length === 0) return null
+
+    const username = self.username ? self.username.toLowerCase() : ''
+    const idPattern = new RegExp(`(?:^|\\D)${self.id}(?:\\D|$)`)
+    const names = [[self.firstName, self.lastName].filter(Boolean).join(' '), self.firstName].filter(Boolean)
+    return winners.some(winner => {
+        const lower = winner.toLowerCase()
+        if (username && new RegExp(`@${username}(?![\\w])`).test(lower)) return true
+        if (idPattern.test(winner)) return true
+        return names.includes(winner.replace(/^@/, '').trim())
+    })
+}
+
+/**
+ * 创建抽奖开奖跟踪器
+ *
+ * 记录已发送通知的抽奖（群组、消息ID、参与关键词和通知文本），在同一群组中出现开奖消息时关联到原抽奖：
+ * 优先按参与关键词匹配，其次按开奖消息回复的消息，群组中只有一个未开奖的抽奖时直接关联。
+ * 关联成功后在原通知中追加“已开奖”、中奖名单以及当前账号是否中奖，并原地编辑通知消息
+ * （编辑目标来自已发送通知消息的存储，附带的原始媒体不编辑）。记录持久化到数据目录，重启后仍可关联。
+ *
+ * 环境变量：
+ * LOTTERY_TRACKER_FILE (默认 DATA_DIR/lotteries.json)
+ * LOTTERY_TRACK_HOURS (默认 48)
+ *
+ * @param {Object} [options] - 配置对象
+ * @param {string} [options.filePath] - 记录文件路径
+ * @param {number} [options.retentionHours] - 等待开奖的最长时间（小时）
+ * @param {Object} [options.notificationStore] - 已发送通知消息的存储（见 core/notification-store.js）
+ * @returns {Object} 抽奖跟踪器实例
+ */
+export function createLotteryTracker(options = {}) {
+    const trackerFile = resolveDataPath(options.filePath || DEFAULT_TRACKER_FILE)
+    const retentionMs = (Number(options.retentionHours) > 0 ? Number(options.retentionHours) : DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000
+    const notificationStore = options.notificationStore || null
+
+    // 抽奖记录 Map<key, { chatId, messageId, keyword, text, replyMarkup, createdAt, drawnAt, winners, selfWon }>
+    const entries = new Map()
+    let editNotification = null
+    let self = null
+
+    const persist = () => {
+        try {
+            writeJsonFileAtomic(trackerFile, { version: TRACKER_FILE_VERSION, entries: [...entries.values()] })
+        } catch (error) {
+            console.error('❌ 保存抽奖记录失败:', error.message)
+        }
+    }
+
+    /**
+     * 在同一群组未开奖的抽奖中查找开奖消息对应的抽奖
+     * @param {Array<Object>} pending - 未开奖的抽奖记录（按创建时间倒序）
+     * @param {Object} result - 开奖结果
+     * @param {Object} message - 开奖消息
+     * @returns {Object|null}
+     */
+    const findLottery = (pending, result, message) => {
+        if (result.keyword) {
+            const byKeyword = pending.find(entry => entry.keyword === result.keyword)
+            if (byKeyword) return byKeyword
+        }
+
+        const replyToMsgId = message?.replyTo?.replyToMsgId
+        if (replyToMsgId != null) {
+            const byReply = pending.find(entry => entry.messageId === Number(replyToMsgId))
+            if (byReply) return byReply
+        }
+
+        // 关键词不一致时不关联，避免把其他机器人的开奖误认为当前抽奖
+        if (pending.length === 1 && (!result.keyword || !pending[0].keyword)) {
+            return pending[0]
+        }
+        return null
+    }
+
+    return {
+        filePath: trackerFile,
+
+        /**
+         * 加载持久化的抽奖记录
+         * @param {Object} context - 运行时上下文
+         * @param {Function} context.editNotification - 编辑通知的函数 `async (targetChatId, messageId, text, replyMarkup) => void`
+         * @param {Object} [context.self] - 当前账号 `{ id, username, firstName, lastName }`，用于判断是否中奖
+         * @returns {number} 未开奖的抽奖数
+         */
+        start(context) {
+            editNotification = context.editNotification
+            self = context.self ? { ...context.self, id: normalizeId(context.self.id) } : null
+            const saved = readJsonFile(trackerFile, null)
+            for (const entry of Array.isArray(saved?.entries) ? saved.entries : []) {
+                if (entry?.chatId && entry.messageId != null && entry.text) {
+                    entries.set(entryKey(entry.chatId, entry.messageId), entry)
+                }
+            }
+            this.prune()
+            return [...entries.values()].filter(entry => !entry.drawnAt).length
+        },
+
+        /**
+         * 记录已发送通知的抽奖
+         * @param {Object} lottery - 抽奖信息
+         * @param {string} lottery.chatId - 抽奖所在群组ID
+         * @param {number} lottery.messageId - 抽奖消息ID
+         * @param {string|null} lottery.keyword - 参与关键词
+         * @param {string} lottery.text - 通知文本（开奖后在此基础上编辑）
+         * @param {Object|null} [lottery.replyMarkup] - 通知的内联键盘（编辑时保留）
+         */
+        track({ chatId, messageId, keyword, text, replyMarkup = null }) {
+            const normalizedChatId = normalizeId(chatId)
+            if (!normalizedChatId || messageId == null || !text) return
+
+            const key = entryKey(normalizedChatId, Number(messageId))
+            if (entries.get(key)?.drawnAt) return
+            entries.set(key, {
+                chatId: normalizedChatId,
+                messageId: Number(messageId),
+                keyword: keyword || null,
+                text,
+                replyMarkup,
+                createdAt: Date.now(),
+                drawnAt: null,
+                winners: [],
+                selfWon: null
+            })
+            this.prune()
+            persist()
+        },
+
+        /**
+         * 处理可能的开奖消息：关联到原抽奖并编辑通知
+         * @param {Object} message - 消息对象
+         * @param {Object} context - 消息上下文
+         * @param {string} context.chatId - 规范化后的群组ID
+         * @param {string} context.text - 消息文本
+         * @param {string} [context.senderId] - 规范化后的发送者ID
+         * @returns {Promise<boolean>} 是否为已跟踪抽奖的开奖消息
+         */
+        async handleResult(message, { chatId, text, senderId }) {
+            // 群组中没有等待开奖的抽奖时不解析，避免每条消息都匹配开奖特征
+            const pending = [...entries.values()]
+                .filter(entry => entry.chatId === chatId && !entry.drawnAt)
+                .sort((a, b) => b.createdAt - a.createdAt)
+            if (pending.length === 0) return false
+
+            const result = parseLotteryResult(text, { senderId })
+            if (!result) return false
+
+            const entry = findLottery(pending, result, message)
+            if (!entry) {
+                if (process.env.DEBUG === 'true') {
+                    console.log(`🎲 群组 ${chatId} 中的开奖消息 ${message.id} 未找到对应的抽奖 (关键词: ${result.keyword || '无'})`)
+                }
+                return false
+            }
+
+            entry.drawnAt = Date.now()
+            entry.winners = result.winners
+            entry.selfWon = isSelfWinner(result.winners, message, self)
+            persist()
+            incrementMetric('lotteries_drawn')
+
+            const selfLabel = entry.selfWon === true ? '，当前账号已中奖' : entry.selfWon === false ? '，当前账号未中奖' : ''
+            console.log(`🎉 群组 ${chatId} 的抽奖 ${entry.messageId} 已开奖，中奖 ${entry.winners.length} 人${selfLabel}`)
+
+            const records = (notificationStore?.findBySource(chatId, entry.messageId) || []).filter(record => !record.media)
+            if (records.length === 0 || !editNotification) {
+                console.warn(`⚠️  找不到抽奖 ${entry.messageId} 的通知消息，无法更新开奖结果`)
+                return true
+            }
+
+            const resultText = buildLotteryResultMessage(entry.text, entry)
+            for (const record of records) {
+                try {
+                    await editNotification(record.targetChatId, record.messageId, resultText, entry.replyMarkup)
+                    console.log(`✅ 已更新通知 ${record.messageId} (${record.targetChatId}) 的开奖结果`)
+                } catch (error) {
+                    console.error(`❌ 更新通知 ${record.messageId} (${record.targetChatId}) 的开奖结果失败:`, error.message)
+                }
+            }
+            return true
+        },
+
+        /**
+         * 清理超过等待时长的抽奖记录
+         * @returns {number} 清理的记录数
+         */
+        prune() {
+            const cutoff = Date.now() - retentionMs
+            let removed = 0
+            for (const [key, entry] of entries) {
+                if (Number(entry.createdAt) < cutoff) {
+                    entries.delete(key)
+                    removed++
+                }
+            }
+            if (removed > 0) persist()
+            return removed
+        },
+
+        /**
+         * 未开奖的抽奖数
+         * @returns {number}
+         */
+        size() {
+            return [...entries.values()].filter(entry => !entry.drawnAt).length
+        }
+    }
+}
@@ -1,7 +1,74 @@
 import { normalizeId, parseChatIds } from '../utils/formatUtils.js';
-import { isDeletableMessage, compareSenderId, sleep } from '../utils/messageUtils.js';
+import { isDeletableMessage, compareSenderId } from '../utils/messageUtils.js';
 import { safeGetMe, safeGetEntity } from '../utils/telegramUtil.js';
-import { Api } from 'telegram';
+import { incrementMetric } from '../utils/metrics.js';
+import { schedule } from '../utils/rateLimiter.js';
+import { searchMessagePages } from '../utils/historyUtils.js';
+import { getMessageMediaType } from '../utils/mediaUtils.js';
+import {
+    buildDefaultRetentionConfig, loadRetentionPolicies, resolveChatPolicy, mergePolicy, getRetentionMinutes,
+    policyDeletesAnything, getProtectionReason, describePolicy
+} from '../utils/retentionUtils.js';
+import { createHistoryArchive, isArchiveBeforeDeleteEnabled } from './history-archive.js';
+
+// 受保护消息的原因说明（调试输出）
+const PROTECTION_LABELS = { pinned: '置顶', repliedTo: '被回复', marker: '包含标记' };
+
+/**
+ * 加载自动删除保留策略
+ *
+ * 配置了 RETENTION_POLICY_FILE 时从文件加载（每次删除前重新读取，修改后无需重启），
+ * 否则所有群组统一使用 AUTO_DELETE_MINUTES。
+ *
+ * @param {number} autoDeleteMinutes - AUTO_DELETE_MINUTES
+ * @returns {Promise<Object>} 保留策略配置（见 utils/retentionUtils.js）
+ */
+export async function loadRetentionConfig(autoDeleteMinutes) {
+    const filePath = process.env.RETENTION_POLICY_FILE;
+    return filePath
+        ? loadRetentionPolicies(filePath, autoDeleteMinutes)
+        : buildDefaultRetentionConfig(autoDeleteMinutes);
+}
+
+/**
+ * 解析自动删除的群组范围
+ *
+ * 优先使用 AUTO_DELETE_CHAT_IDS（设置为 all 时处理所有群组），未配置时与监控范围一致：
+ * 使用 MONITOR_CHAT_IDS，MONITOR_CHAT_IDS 也未配置（监控所有群组）时处理所有群组。NOT_MONITOR_CHAT_IDS 中的群组始终排除。
+ * 每次调用都重新读取环境变量，配置热重载后立即生效。
+ *
+ * @returns {{all: boolean, chatIds: Array<string>, excludeChatIds: Array<string>, source: string|null}} 删除范围
+ */
+export function resolveAutoDeleteScope() {
+    const toIds = (raw) => parseChatIds(raw).map(id => normalizeId(id)).filter(Boolean);
+    const excludeChatIds = toIds(process.env.NOT_MONITOR_CHAT_IDS);
+    const autoDeleteChatIds = (process.env.AUTO_DELETE_CHAT_IDS || '').trim();
+
+    if (/^(all|\*)$/i.test(autoDeleteChatIds)) {
+        return { all: true, chatIds: [], excludeChatIds, source: 'AUTO_DELETE_CHAT_IDS' };
+    }
+    if (autoDeleteChatIds) {
+        return { all: false, chatIds: toIds(autoDeleteChatIds), excludeChatIds, source: 'AUTO_DELETE_CHAT_IDS' };
+    }
+
+    const monitorChatIds = toIds(process.env.MONITOR_CHAT_IDS);
+    return { all: monitorChatIds.length === 0, chatIds: monitorChatIds, excludeChatIds, source: 'MONITOR_CHAT_IDS' };
+}
+
+/**
+ * 生成自动删除范围的说明（用于日志）
+ * @param {Object} scope - 删除范围（见 resolveAutoDeleteScope）
+ * @returns {string} 范围说明
+ */
+export function describeAutoDeleteScope(scope) {
+    const excluded = scope.excludeChatIds.length > 0 ? `，排除 ${scope.excludeChatIds.join(', ')}` : '';
+    if (scope.all) {
+        const reason = scope.source === 'AUTO_DELETE_CHAT_IDS' ? 'AUTO_DELETE_CHAT_IDS=all' : '未配置 AUTO_DELETE_CHAT_IDS 和 MONITOR_CHAT_IDS';
+        return `所有群组 (${reason})${excluded}`;
+    }
+    if (scope.chatIds.length === 0) return `无（${scope.source} 中没有有效的群组ID，不会删除任何消息）`;
+    return `${scope.chatIds.length} 个群组 (${scope.source}: ${scope.chatIds.join(', ')})${excluded}`;
+}
 
 /**
  * 删除过期消息（优化版）
@@ -11,9 +78,12 @@ import { Api } from 'telegram';
  *
  * 环境变量：
  * AUTO_DELETE_MINUTES (默认 10，设置为0或负数可禁用自动删除功能)
+ * RETENTION_POLICY_FILE (按群组、消息类型设置保留时长的策略文件，见 utils/retentionUtils.js)
+ * AUTO_DELETE_CHAT_IDS (默认与监控范围一致，设置为 all 时处理所有群组，见 resolveAutoDeleteScope)
  * NOT_MONITOR_CHAT_IDS
  * DELETE_CONCURRENCY (默认 3)
  * DELETE_BATCH_SIZE (默认 100)
+ * ARCHIVE_BEFORE_DELETE (默认 false，设置为 true 时删除前先归档，见 core/history-archive.js)
  *
  * @param {TelegramClient} client
  */
@@ -23,8 +93,8 @@ export async function deleteExpiredMessages(client) {
         
         const AUTO_DELETE_MINUTES = parseInt(process.env.AUTO_DELETE_MINUTES) || 10;
         
-        // 如果AUTO_DELETE_MINUTES设置为0或负数，则禁用自动删除功能
-        if (AUTO_DELETE_MINUTES <= 0) {
+        // 如果AUTO_DELETE_MINUTES设置为0或负数且没有策略文件，则禁用自动删除功能
+        if (AUTO_DELETE_MINUTES <= 0 && !process.env.RETENTION_POLICY_FILE) {
             if (isDebug) {
                 console.log('🚫 自动删除功能已禁用 (AUTO_DELETE_MINUTES <= 0)');
             } else {
@@ -46,19 +116,39 @@ export async function deleteExpiredMessages(client) {
         const fullUser = await safeGetEntity(client, me.id);
         if (!fullUser) throw new Error('无法获取完整用户实体');
 
+        // 策略文件无效时跳过本次删除，避免按错误的保留时长删除消息
+        let retentionConfig;
+        try {
+            retentionConfig = await loadRetentionConfig(AUTO_DELETE_MINUTES);
+        } catch (error) {
+            console.error(`❌ 加载保留策略失败，跳过本次删除: ${error.message}`);
+            return;
+        }
+
         const nowTimestamp = Math.floor(Date.now() / 1000);
-        const cutoffTime = nowTimestamp - AUTO_DELETE_MINUTES * 60;
         
         if (isDebug) {
-            const cutoffDate = new Date(cutoffTime * 1000);
             console.log(`当前时间: ${new Date(nowTimestamp * 1000).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}`);
-            console.log(`过期阈值: ${cutoffDate.toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })}`);
-            console.log(`AUTO_DELETE_MINUTES: ${AUTO_DELETE_MINUTES} 分钟\n`);
+            console.log(`AUTO_DELETE_MINUTES: ${AUTO_DELETE_MINUTES} 分钟`);
+            console.log(`保留策略 (${retentionConfig.source}):`);
+            console.log(`  · 默认: ${describePolicy(retentionConfig.defaults)}`);
+            for (const policy of retentionConfig.policies) {
+                const scope = policy.chats.length > 0 ? policy.chats.join(', ') : `除 ${policy.excludeChats.join(', ') || '无'} 外的所有群组`;
+                console.log(`  · ${policy.name} [${scope}]: ${describePolicy(mergePolicy(retentionConfig.defaults, policy))}`);
+            }
+            console.log('');
         }
 
-        // 不监控群组
-        const notMonitorChatIdsRaw = process.env.NOT_MONITOR_CHAT_IDS;
-        const notMonitorChatIds = parseChatIds(notMonitorChatIdsRaw);
+        // 删除范围：AUTO_DELETE_CHAT_IDS / MONITOR_CHAT_IDS，排除不监控群组
+        const scope = resolveAutoDeleteScope();
+        const notMonitorChatIds = scope.excludeChatIds;
+        if (!scope.all && scope.chatIds.length === 0) {
+            console.log('未配置自动删除的群组范围 (AUTO_DELETE_CHAT_IDS / MONITOR_CHAT_IDS)，跳过本次删除');
+            return;
+        }
+        if (isDebug) {
+            console.log(`删除范围: ${describeAutoDeleteScope(scope)}\n`);
+        }
 
         // 获取所有对话（若对话很多，可考虑分页获取）
         const dialogs = await client.getDialogs();
@@ -76,6 +166,13 @@ export async function deleteExpiredMessages(client) {
                 }
                 return false;
             }
+            if (!scope.all && !scope.chatIds.includes(chatId)) return false;
+            if (!policyDeletesAnything(resolveChatPolicy(retentionConfig, chatId))) {
+                if (isDebug) {
+                    console.log(`⏭️  跳过永不删除的群组: ${chat.title || 'Unknown'} (ID: ${chat.id}, 策略: ${resolveChatPolicy(retentionConfig, chatId).name})`);
+                }
+                return false;
+            }
             return true;
         });
 
@@ -83,7 +180,7 @@ export async function deleteExpiredMessages(client) {
             console.log('');
             if (notMonitorChatIds.length > 0) {
                 console.log(`🚫 不监控的群组数量: ${notMonitorChatIds.length} 个`);
-            } else {
+            } else if (scope.all) {
                 console.log(`🌐 处理所有群组（无排除列表）`);
             }
             console.log(`✅ 共 ${groupDialogs.length} 个群组需要检查\n`);
@@ -98,25 +195,27 @@ export async function deleteExpiredMessages(client) {
             return;
         }
 
-        // 获取最近消息（实时）
-        async function getRecentMessagesRealtime(client, chat, myUserId, cutoffTime) {
+        // 获取最近消息（实时），同时记录最近消息中被回复的消息ID（用于 keep.repliedTo）
+        async function getRecentMessagesRealtime(client, chat, myUserId, repliedToIds) {
             const recentMessages = [];
             const RECENT_LIMIT = 200;
             try {
-                const messages = await client.getMessages(chat, { limit: RECENT_LIMIT });
+                const messages = await schedule('client.read', () => client.getMessages(chat, { limit: RECENT_LIMIT }));
                 if (!messages || messages.length === 0) return [];
+                let inRecentWindow = true;
                 for (const msg of messages) {
                     if (!msg) continue;
+                    if (msg.replyTo?.replyToMsgId) repliedToIds.add(Number(msg.replyTo.replyToMsgId));
                     // 只处理最近10分钟内的消息（用于快速捕获）
-                    if (msg.date < Math.floor(Date.now() / 1000) - 600) break;
-                    if (!isDeletableMessage(msg)) continue;
+                    if (msg.date < Math.floor(Date.now() / 1000) - 600) inRecentWindow = false;
+                    if (!inRecentWindow || !isDeletableMessage(msg)) continue;
                     let isMyMessage = false;
                     try {
                         isMyMessage = compareSenderId(msg.senderId, myUserId);
                     } catch {
                         isMyMessage = false;
                     }
-                    if (isMyMessage && msg.date < cutoffTime) recentMessages.push(msg);
+                    if (isMyMessage) recentMessages.push(msg);
                 }
                 return recentMessages;
             } catch (error) {
@@ -130,43 +229,16 @@ export async function deleteExpiredMessages(client) {
         // 使用 messages.Search 查找历史消息（分页）
         async function searchOlderMessages(client, chat, userId, userAccessHash, cutoffTime, todayStartTimestamp) {
             const olderMessages = [];
-            let offsetId = 0;
-            const pageSize = 100;
-            const maxPages = 10;
-            let pageNum = 0;
-            const searchMaxDate = Math.floor(Date.now() / 1000) - 600;
+            const searchMaxDate = Math.min(Math.floor(Date.now() / 1000) - 600, cutoffTime);
             try {
-                while (pageNum < maxPages) {
-                    const result = await client.invoke(
-                        new Api.messages.Search({
-                            peer: chat,
-                            q: '',
-                            filter: new Api.InputMessagesFilterEmpty({}),
-                            fromId: new Api.InputPeerUser({
-                                userId: userId,
-                                accessHash: userAccessHash
-                            }),
-                            minDate: todayStartTimestamp,
-                            maxDate: searchMaxDate,
-                            limit: pageSize,
-                            offsetId,
-                            addOffset: 0,
-                            maxId: 0,
-                            minId: 0,
-                            hash: BigInt(0)
-                        })
-                    );
-
-                    const messages = Array.isArray(result.messages) ? result.messages : (result?.messages || []);
-                    if (!messages || messages.length === 0) break;
-                    pageNum++;
-
-                    const expiredOnes = messages.filter(msg => isDeletableMessage(msg) && msg.date < cutoffTime);
-                    olderMessages.push(...expiredOnes);
-
-                    offsetId = messages[messages.length - 1]?.id || 0;
-                    if (messages.length < pageSize) break;
-                    await sleep(200);
+                const pages = searchMessagePages(client, chat, {
+                    fromUser: { userId, accessHash: userAccessHash },
+                    minDate: todayStartTimestamp,
+                    maxDate: searchMaxDate,
+                    maxPages: 10
+                });
+                for await (const { messages } of pages) {
+                    olderMessages.push(...messages.filter(msg => isDeletableMessage(msg)));
                 }
                 return olderMessages;
             } catch (error) {
@@ -185,10 +257,10 @@ export async function deleteExpiredMessages(client) {
             }
         }
 
-        // 安全删除：先批量删除，失败退到逐条删除
+        // 安全删除：先批量删除，失败退到逐条删除（限速与 FLOOD_WAIT 重试由请求调度器处理）
         async function safeDeleteMessages(client, chat, ids) {
             try {
-                await client.deleteMessages(chat, ids, { revoke: true });
+                await schedule('client.delete', () => client.deleteMessages(chat, ids, { revoke: true }));
                 return { deleted: ids.length, failed: 0 };
             } catch (err) {
                 if (isDebug) {
@@ -198,7 +270,7 @@ export async function deleteExpiredMessages(client) {
                 let failed = 0;
                 for (const id of ids) {
                     try {
-                        await client.deleteMessages(chat, [id], { revoke: true });
+                        await schedule('client.delete', () => client.deleteMessages(chat, [id], { revoke: true }));
                         deleted++;
                     } catch (e) {
                         failed++;
@@ -206,7 +278,6 @@ export async function deleteExpiredMessages(client) {
                             console.debug(`      ❌ 删除消息 ${id} 失败: ${e.message}`);
                         }
                     }
-                    await sleep(120);
                 }
                 return { deleted, failed };
             }
@@ -216,27 +287,48 @@ export async function deleteExpiredMessages(client) {
         const tasks = groupDialogs.map((dialog, index) => async () => {
             const chat = dialog.entity;
             const chatTitle = chat.title || (chat.firstName ? `${chat.firstName}${chat.lastName ? ' ' + chat.lastName : ''}` : 'Unknown');
+            const policy = resolveChatPolicy(retentionConfig, normalizeId(chat.id));
             try {
                 if (isDebug) {
                     console.log(`📍 [${index + 1}/${groupDialogs.length}] 群组: ${chatTitle}`);
+                    console.log(`  · 策略: ${policy.name} (${describePolicy(policy)})`);
                 }
 
-                const [recentExpired, olderExpired] = await Promise.all([
-                    getRecentMessagesRealtime(client, chat, fullUser.id, cutoffTime),
-                    searchOlderMessages(client, chat, fullUser.id, fullUser.accessHash, cutoffTime, 0)
+                // 该群组所有消息类型中最短的保留时长，早于此时间的消息才可能过期
+                const minRetention = Math.min(...[policy.retention, ...Object.values(policy.contentTypes)].filter(minutes => minutes != null));
+                const repliedToIds = new Set();
+                const [recentMessages, olderMessages] = await Promise.all([
+                    getRecentMessagesRealtime(client, chat, fullUser.id, repliedToIds),
+                    searchOlderMessages(client, chat, fullUser.id, fullUser.accessHash, nowTimestamp - minRetention * 60, 0)
                 ]);
 
                 // 合并并去重（以 id 为准）
                 const map = new Map();
-                for (const msg of [...recentExpired, ...olderExpired]) {
+                for (const msg of [...recentMessages, ...olderMessages]) {
                     const mid = Number(msg.id);
                     if (!map.has(mid)) map.set(mid, msg);
                 }
-                const allExpiredMessages = Array.from(map.values());
+
+                // 按消息类型的保留时长判断是否过期，并排除受保护的消息
+                const protectedCounts = {};
+                const allExpiredMessages = Array.from(map.values()).filter(msg => {
+                    const minutes = getRetentionMinutes(policy, getMessageMediaType(msg));
+                    if (minutes == null || msg.date >= nowTimestamp - minutes * 60) return false;
+                    const reason = getProtectionReason(msg, policy.keep, repliedToIds);
+                    if (reason) {
+                        protectedCounts[reason] = (protectedCounts[reason] || 0) + 1;
+                        return false;
+                    }
+                    return true;
+                });
 
                 if (isDebug) {
+                    const protectedSummary = Object.entries(protectedCounts).map(([reason, count]) => `${PROTECTION_LABELS[reason]} ${count} 条`);
+                    if (protectedSummary.length > 0) {
+                        console.log(`  · 保留受保护的消息: ${protectedSummary.join('，')}`);
+                    }
                     if (allExpiredMessages.length > 0) {
-                        console.log(`  ✓ 找到 ${allExpiredMessages.length} 条过期消息 (最近: ${recentExpired.length}, 历史: ${olderExpired.length})`);
+                        console.log(`  ✓ 找到 ${allExpiredMessages.length} 条过期消息 (最近: ${recentMessages.length}, 历史: ${olderMessages.length})`);
                         allExpiredMessages.slice(0, 3).forEach(msg => {
                             const msgTime = new Date(msg.date * 1000).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
                             const msgType = msg.message ? '文本' : msg.media ? '媒体' : '其他';
@@ -276,11 +368,24 @@ export async function deleteExpiredMessages(client) {
         let totalDeleted = 0;
         let totalFailed = 0;
         const DELETE_BATCH_SIZE = Math.max(1, parseInt(process.env.DELETE_BATCH_SIZE) || 100);
+        const archive = isArchiveBeforeDeleteEnabled() ? createHistoryArchive({ client }) : null;
+        let archivedChats = 0;
 
         for (const res of scanResults) {
             const { chat, chatTitle, expiredMessages } = res;
             if (!expiredMessages || expiredMessages.length === 0) continue;
 
+            // 删除前归档，归档失败时跳过该群组，等待下次删除时重试
+            if (archive) {
+                try {
+                    await archive.archiveMessages(chat, expiredMessages);
+                    archivedChats++;
+                } catch (err) {
+                    console.error(`群组 "${chatTitle}" 归档失败，跳过删除: ${err.message}`);
+                    continue;
+                }
+            }
+
             const messageIds = expiredMessages.map(m => Number(m.id));
             try {
                 let groupDeleted = 0;
@@ -292,8 +397,7 @@ export async function deleteExpiredMessages(client) {
                     groupFailed += failed;
                     totalDeleted += deleted;
                     totalFailed += failed;
-                    // 小间隔以防限速
-                    await sleep(150);
+                    incrementMetric('messages_auto_deleted', deleted);
                 }
                 
                 // 调试模式显示详细信息，非调试模式只显示关键信息
@@ -316,6 +420,17 @@ export async function deleteExpiredMessages(client) {
             }
         }
 
+        if (archive && archivedChats > 0) {
+            try {
+                const indexPath = archive.renderHtml();
+                if (isDebug) {
+                    console.log(`📦 归档页面已更新: ${indexPath}`);
+                }
+            } catch (err) {
+                console.error('生成归档页面失败:', err.message);
+            }
+        }
+
         if (totalDeleted === 0 && totalFailed === 0) {
             console.log(`✅ 没有找到可删除的群组消息。`);
         } else {
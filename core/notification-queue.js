@@ -0,0 +1,267 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { incrementMetric } from '../utils/metrics.js'
+import { resolveDataPath, readJsonFile, writeJsonFileAtomic } from '../utils/storageUtils.js'
+
+// 定义常量
+const QUEUE_FILE_VERSION = 1
+const DEFAULT_QUEUE_FILE = 'notification-queue.json'
+const DEFAULT_DEAD_LETTER_FILE = 'notification-dead-letter.jsonl'
+const DEFAULT_MAX_ATTEMPTS = 8
+// 重试间隔：30 秒起按指数增长，最长 30 分钟
+const BASE_RETRY_DELAY_MS = 30 * 1000
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000
+// setTimeout 的最大延迟约 24.8 天，较远的重试时间分段等待
+const MAX_TIMER_DELAY_MS = 60 * 60 * 1000
+
+/**
+ * 统计死信文件中的记录数
+ * @param {string} filePath - 死信文件路径
+ * @returns {number}
+ */
+function countDeadLetters(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim()).length
+    } catch {
+        return 0
+    }
+}
+
+/**
+ * 计算下次重试的延迟
+ * @param {number} attempts - 已失败的次数
+ * @param {number|null} retryAfterSeconds - 服务端要求的等待秒数（429 的 retry_after / FLOOD_WAIT）
+ * @returns {number} 延迟毫秒数
+ */
+function getRetryDelayMs(attempts, retryAfterSeconds) {
+    if (retryAfterSeconds != null) return retryAfterSeconds * 1000
+    return Math.min(BASE_RETRY_DELAY_MS * (2 ** Math.max(0, attempts - 1)), MAX_RETRY_DELAY_MS)
+}
+
+/**
+ * 创建发送失败通知的重试队列
+ *
+ * 通知发送失败（Bot API 429、5xx、网络中断等）时将本次投递写入队列，按指数退避重试（遇到 429 时按 retry_after 等待），
+ * 队列持久化到数据目录，重启后继续重试。重试次数用完或遇到无法重试的错误（如找不到聊天）时写入死信文件，不会静默丢弃。
+ *
+ * 队列只负责调度，实际投递由 start() 传入的 deliver 函数完成：
+ * deliver 抛出的错误可以带有 `retryAfter`（秒）或 `permanent: true`（不再重试）。
+ *
+ * 环境变量：
+ * NOTIFICATION_QUEUE_FILE (默认 DATA_DIR/notification-queue.json)
+ * NOTIFICATION_DEAD_LETTER_FILE (默认 DATA_DIR/notification-dead-letter.jsonl)
+ * NOTIFICATION_QUEUE_MAX_ATTEMPTS (默认 8)
+ *
+ * @param {Object} [options] - 配置对象
+ * @param {string} [options.filePath] - 队列文件路径
+ * @param {string} [options.deadLetterFile] - 死信文件路径
+ * @param {number} [options.maxAttempts] - 最大投递次数
+ * @returns {Object} 通知队列实例
+ */
+export function createNotificationQueue(options = {}) {
+    const queueFile = resolveDataPath(options.filePath || DEFAULT_QUEUE_FILE)
+    const deadLetterFile = resolveDataPath(options.deadLetterFile || DEFAULT_DEAD_LETTER_FILE)
+    const maxAttempts = Number(options.maxAttempts) > 0 ? Number(options.maxAttempts) : DEFAULT_MAX_ATTEMPTS
+
+    // 待重试的投递 Map<id, { id, channel, target, text, replyMarkup, payload, source, label, attempts, createdAt, nextAttemptAt, lastError }>
+    const entries = new Map()
+    let deadLetterCount = 0
+    let deliver = null
+    let timer = null
+    let nextRunAt = null
+    let running = false
+
+    const persist = () => {
+        try {
+            writeJsonFileAtomic(queueFile, { version: QUEUE_FILE_VERSION, entries: [...entries.values()] })
+        } catch (error) {
+            console.error('❌ 保存通知队列失败:', error.message)
+        }
+    }
+
+    // 只保留一个定时器，指向最早需要重试的投递
+    const schedule = () => {
+        if (!deliver || running) return
+        let earliest = Infinity
+        for (const entry of entries.values()) {
+            earliest = Math.min(earliest, entry.nextAttemptAt)
+        }
+        if (earliest === Infinity) {
+            clearTimeout(timer)
+            timer = null
+            nextRunAt = null
+            return
+        }
+        if (timer && nextRunAt <= earliest) return
+
+        clearTimeout(timer)
+        nextRunAt = earliest
+        timer = setTimeout(() => {
+            timer = null
+            nextRunAt = null
+            processDue().catch(error => console.error('❌ 重试发送通知时出错:', error.message))
+        }, Math.min(Math.max(0, earliest - Date.now()), MAX_TIMER_DELAY_MS))
+    }
+
+    /**
+     * 将投递写入死信文件
+     * @param {Object} entry - 投递记录
+     * @param {string} reason - 放弃的原因
+     */
+    const writeDeadLetter = (entry, reason) => {
+        try {
+            fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true })
+            fs.appendFileSync(deadLetterFile, JSON.stringify({ ...entry, reason, deadAt: new Date().toISOString() }) + '\n')
+        } catch (error) {
+            console.error('❌ 写入通知死信文件失败:', error.message, JSON.stringify(entry))
+        }
+        deadLetterCount++
+        incrementMetric('notifications_dead_lettered')
+        console.error(`☠️  通知 ${entry.label || entry.id} 发送到 ${entry.target} 失败，已写入死信文件 (${reason})`)
+    }
+
+    // 依次重试所有到期的投递
+    const processDue = async () => {
+        if (running || !deliver) return
+        running = true
+
+        try {
+            const now = Date.now()
+            const due = [...entries.values()].filter(entry => entry.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+
+            for (const entry of due) {
+                if (!entries.has(entry.id)) continue
+                try {
+                    await deliver(entry)
+                    entries.delete(entry.id)
+                    incrementMetric('notifications_retried')
+                    console.log(`✅ 通知 ${entry.label || entry.id} 已重新发送到 ${entry.target} (第 ${entry.attempts + 1} 次)`)
+                } catch (error) {
+                    entry.lastError = error.message
+                    // 429 / FLOOD_WAIT 按要求等待，不计入失败次数
+                    if (error.retryAfter == null) entry.attempts++
+
+                    if (error.permanent || entry.attempts >= maxAttempts) {
+                        entries.delete(entry.id)
+                        writeDeadLetter(entry, error.permanent ? error.message : `重试 ${entry.attempts} 次后仍失败: ${error.message}`)
+                    } else {
+                        entry.nextAttemptAt = Date.now() + getRetryDelayMs(entry.attempts, error.retryAfter)
+                        console.warn(`⚠️  重试发送通知到 ${entry.target} 失败，${Math.round((entry.nextAttemptAt - Date.now()) / 1000)} 秒后再试: ${error.message}`)
+                    }
+                }
+            }
+
+            if (due.length > 0) persist()
+        } finally {
+            running = false
+            schedule()
+        }
+    }
+
+    return {
+        filePath: queueFile,
+        deadLetterFile,
+
+        /**
+         * 加载持久化的队列并开始重试
+         * @param {Function} deliverFn - 投递函数 `async (entry) => void`，失败时抛出错误
+         * @returns {number} 队列中的投递数
+         */
+        start(deliverFn) {
+            deliver = deliverFn
+            const saved = readJsonFile(queueFile, null)
+            for (const entry of Array.isArray(saved?.entries) ? saved.entries : []) {
+                if (entry?.id && entry.channel && entry.target != null && !entries.has(entry.id)) {
+                    entries.set(entry.id, entry)
+                }
+            }
+            deadLetterCount = countDeadLetters(deadLetterFile)
+            schedule()
+            return entries.size
+        },
+
+        /**
+         * 停止重试并保存队列
+         */
+        stop() {
+            deliver = null
+            clearTimeout(timer)
+            timer = null
+            nextRunAt = null
+            persist()
+        },
+
+        /**
+         * 将一次失败的投递加入队列
+         *
+         * 错误带有 `permanent: true` 时直接写入死信文件。
+         *
+         * @param {Object} job - 投递内容
+         * @param {string} job.channel - 投递方式（bot、client 或通知后端名称，如 webhook、discord、email）
+         * @param {string} job.target - 通知目标（聊天ID、Webhook 地址、收件人等）
+         * @param {string} [job.text] - 通知文本（bot、client）
+         * @param {Object} [job.replyMarkup] - 内联键盘（bot）
+         * @param {Object} [job.payload] - 通知事件（通知后端）
+         * @param {Object} [job.source] - 来源信息 `{ sourceChatId, sourceMessageId }`
+         * @param {string} [job.label] - 日志中显示的说明
+         * @param {Error} error - 首次发送的错误
+         */
+        enqueue(job, error) {
+            const entry = {
+                id: crypto.randomUUID(),
+                ...job,
+                attempts: error?.retryAfter == null ? 1 : 0,
+                createdAt: Date.now(),
+                nextAttemptAt: 0,
+                lastError: error?.message || null
+            }
+
+            if (error?.permanent) {
+                writeDeadLetter(entry, error.message)
+                return
+            }
+
+            entry.nextAttemptAt = Date.now() + getRetryDelayMs(entry.attempts, error?.retryAfter)
+            entries.set(entry.id, entry)
+            incrementMetric('notifications_queued')
+            console.warn(`📥 通知 ${entry.label || ''} 发送到 ${entry.target} 失败，已加入重试队列，${Math.round((entry.nextAttemptAt - Date.now()) / 1000)} 秒后重试`)
+            persist()
+            schedule()
+        },
+
+        /**
+         * 获取队列状态（用于 /queue 和 /status）
+         * @param {number} [limit=10] - 返回的投递明细数
+         * @returns {{pending: number, deadLetters: number, deadLetterFile: string, nextAttemptAt: string|null, items: Array<Object>}}
+         */
+        getStatus(limit = 10) {
+            const items = [...entries.values()].sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+            return {
+                pending: items.length,
+                deadLetters: deadLetterCount,
+                deadLetterFile,
+                nextAttemptAt: items.length > 0 ? new Date(items[0].nextAttemptAt).toISOString() : null,
+                items: items.slice(0, limit).map(entry => ({
+                    id: entry.id,
+                    channel: entry.channel,
+                    target: entry.target,
+                    label: entry.label || null,
+                    attempts: entry.attempts,
+                    createdAt: new Date(entry.createdAt).toISOString(),
+                    nextAttemptAt: new Date(entry.nextAttemptAt).toISOString(),
+                    lastError: entry.lastError
+                }))
+            }
+        },
+
+        /**
+         * 队列中的投递数
+         * @returns {number}
+         */
+        size() {
+            return entries.size
+        }
+    }
+}
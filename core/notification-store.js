@@ -0,0 +1,199 @@
+import { normalizeId } from '../utils/formatUtils.js'
+import { resolveDataPath, readJsonFile, writeJsonFileAtomic } from '../utils/storageUtils.js'
+
+// 定义常量
+const STORE_FILE_VERSION = 1
+const DEFAULT_STORE_FILE = 'sent-notifications.json'
+// Bot API 只能删除 48 小时内发送的消息，超过该时间的记录没有保留价值
+const DEFAULT_RETENTION_HOURS = 48
+
+/**
+ * 创建内存存储后端（不持久化，进程重启后丢失）
+ * @returns {Object} 存储后端
+ */
+function createMemoryBackend() {
+    return {
+        load: () => [],
+        save: () => {}
+    }
+}
+
+/**
+ * 创建 JSON 文件存储后端
+ * @param {string} filePath - 存储文件路径
+ * @returns {Object} 存储后端
+ */
+function createJsonFileBackend(filePath) {
+    return {
+        load: () => {
+            const data = readJsonFile(filePath, null)
+            return Array.isArray(data?.records) ? data.records : []
+        },
+        save: (records) => {
+            writeJsonFileAtomic(filePath, { version: STORE_FILE_VERSION, records })
+        }
+    }
+}
+
+// 可用的存储后端，新增后端时在此注册
+const STORE_BACKENDS = {
+    memory: () => createMemoryBackend(),
+    json: (options) => createJsonFileBackend(resolveDataPath(options.filePath || DEFAULT_STORE_FILE))
+}
+
+/**
+ * 创建已发送通知消息的存储
+ *
+ * 每条记录包含：targetChatId（通知目标）、messageId（通知消息ID）、
+ * sourceChatId / sourceMessageId（触发通知的原始消息）、media（是否为附带的原始媒体）以及 sentAt（发送时间戳）。
+ *
+ * 环境变量：
+ * NOTIFICATION_STORE (默认 json，可选 memory)
+ * NOTIFICATION_STORE_FILE (默认 DATA_DIR/sent-notifications.json)
+ * NOTIFICATION_STORE_RETENTION_HOURS (默认 48)
+ *
+ * @param {Object} [options] - 配置对象
+ * @param {string} [options.type] - 存储后端类型
+ * @param {string} [options.filePath] - 存储文件路径（json 后端）
+ * @param {number} [options.retentionHours] - 记录保留时长（小时）
+ * @returns {Object} 通知存储实例
+ */
+export function createNotificationStore(options = {}) {
+    const type = options.type || 'json'
+    const createBackend = STORE_BACKENDS[type]
+    if (!createBackend) {
+        throw new Error(`不支持的通知存储类型: ${type}，可选值: ${Object.keys(STORE_BACKENDS).join(', ')}`)
+    }
+
+    const backend = createBackend(options)
+    const retentionMs = (Number(options.retentionHours) > 0 ? Number(options.retentionHours) : DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000
+    let records = []
+
+    const persist = () => {
+        try {
+            backend.save(records)
+        } catch (error) {
+            console.error('❌ 保存通知记录失败:', error.message)
+        }
+    }
+
+    return {
+        type,
+
+        /**
+         * 从后端加载记录，并清理过期记录
+         * @returns {number} 加载后的记录数
+         */
+        load() {
+            records = backend.load().filter(record => record && record.targetChatId != null && record.messageId != null)
+            this.prune()
+            return records.length
+        },
+
+        /**
+         * 记录一条已发送的通知
+         * @param {string} targetChatId - 通知目标聊天ID
+         * @param {number} messageId - 通知消息ID
+         * @param {Object} [source] - 来源信息
+         * @param {string} [source.sourceChatId] - 原始消息所在聊天ID
+         * @param {number} [source.sourceMessageId] - 原始消息ID
+         * @param {boolean} [source.media] - 是否为通知附带的原始媒体（不能作为文本编辑）
+         */
+        add(targetChatId, messageId, source = {}) {
+            const target = String(targetChatId)
+            // 确保消息ID不会重复添加
+            if (records.some(r => r.targetChatId === target && r.messageId === messageId)) return
+
+            records.push({
+                targetChatId: target,
+                messageId,
+                sourceChatId: source.sourceChatId != null ? normalizeId(source.sourceChatId) : null,
+                sourceMessageId: source.sourceMessageId ?? null,
+                media: !!source.media,
+                sentAt: Date.now()
+            })
+            persist()
+        },
+
+        /**
+         * 获取某个通知目标中记录的所有通知消息ID
+         * @param {string} targetChatId - 通知目标聊天ID
+         * @returns {Array<number>} 消息ID列表
+         */
+        getMessageIds(targetChatId) {
+            const target = String(targetChatId)
+            return records.filter(r => r.targetChatId === target).map(r => r.messageId)
+        },
+
+        /**
+         * 获取记录中出现过的所有通知目标（包括过滤规则单独指定的目标）
+         * @returns {Array<string>} 通知目标聊天ID列表
+         */
+        getTargetChatIds() {
+            return [...new Set(records.map(r => r.targetChatId))]
+        },
+
+        /**
+         * 根据原始消息查找对应的通知记录
+         * @param {string} sourceChatId - 原始消息所在聊天ID
+         * @param {number} sourceMessageId - 原始消息ID
+         * @returns {Array<Object>} 通知记录列表
+         */
+        findBySource(sourceChatId, sourceMessageId) {
+            const source = normalizeId(sourceChatId)
+            return records.filter(r => r.sourceChatId === source && Number(r.sourceMessageId) === Number(sourceMessageId))
+        },
+
+        /**
+         * 移除一条通知及同一原始消息在该目标中附带的其他消息（如原始媒体）
+         * @param {string} targetChatId - 通知目标聊天ID
+         * @param {number} messageId - 通知消息ID
+         * @returns {Array<number>} 移除的消息ID列表（未找到记录时只包含 messageId）
+         */
+        removeNotification(targetChatId, messageId) {
+            const target = String(targetChatId)
+            const record = records.find(r => r.targetChatId === target && Number(r.messageId) === Number(messageId))
+            const related = record && record.sourceChatId != null
+                ? r => r.targetChatId === target && r.sourceChatId === record.sourceChatId && Number(r.sourceMessageId) === Number(record.sourceMessageId)
+                : r => r.targetChatId === target && Number(r.messageId) === Number(messageId)
+            const removed = records.filter(related).map(r => r.messageId)
+            if (removed.length === 0) return [messageId]
+
+            records = records.filter(r => !related(r))
+            persist()
+            return removed
+        },
+
+        /**
+         * 清空某个通知目标的记录
+         * @param {string} targetChatId - 通知目标聊天ID
+         */
+        clear(targetChatId) {
+            const target = String(targetChatId)
+            const before = records.length
+            records = records.filter(r => r.targetChatId !== target)
+            if (records.length !== before) persist()
+        },
+
+        /**
+         * 清理超过保留时长的记录
+         * @returns {number} 清理的记录数
+         */
+        prune() {
+            const cutoff = Date.now() - retentionMs
+            const before = records.length
+            records = records.filter(r => Number(r.sentAt) >= cutoff)
+            const removed = before - records.length
+            if (removed > 0) persist()
+            return removed
+        },
+
+        /**
+         * 当前记录总数
+         * @returns {number}
+         */
+        size() {
+            return records.length
+        }
+    }
+}
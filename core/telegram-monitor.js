@@ -1,14 +1,65 @@
 import { TelegramClient } from 'telegram'
 import { StringSession } from 'telegram/sessions/index.js'
 import { normalizeId } from '../utils/formatUtils.js'
-import { fetchBotInfo } from '../utils/telegramUtil.js'
-import { handleMessage } from '../utils/messageUtils.js'
+import { fetchBotInfo, deliverQueuedNotification, editNotificationMessage } from '../utils/telegramUtil.js'
+import { getConfiguredNotifiers } from '../utils/notifierUtil.js'
+import { handleMessage, deletePreviousNotifications } from '../utils/messageUtils.js'
+import { incrementMetric, recordEvent, getLastEvents, getStartedAt } from '../utils/metrics.js'
+import { DEFAULT_HEARTBEAT_STATE_FILE } from '../utils/healthUtils.js'
+import { UpdateConnectionState } from 'telegram/network/index.js'
+import { loadRulesFile, buildDefaultRules } from '../utils/ruleUtils.js'
+import { loadLotteryParsers, setLotteryParsers, getLotteryParserNames } from '../utils/lotteryUtils.js'
+import { splitKeywordList } from '../utils/keywordUtils.js'
+import { createNotificationStore } from './notification-store.js'
+import { createNotificationQueue } from './notification-queue.js'
+import { createLotteryTracker } from './lottery-tracker.js'
+import { createAutoJoiner } from './auto-join.js'
+import { resolveDataPath, readJsonFile, writeJsonFileAtomic } from '../utils/storageUtils.js'
 
-// 已处理消息缓存 Map<dedupKey, { ts: number, text: string }>
-const processedMessages = new Map()
+// 已处理消息缓存 Map<dedupKey, { ts: number, text: string }>，记录自上次落盘后是否有修改
+const processedMessages = createDirtyTrackingMap()
 
-// 存储已发送的通知消息ID，用于后续删除 Map<chatId, [messageId, ...]>
-export const sentNotificationMessages = new Map()
+// 存储已发送的通知消息，用于后续删除（持久化到数据目录，重启后仍可清理）
+export const sentNotificationMessages = createNotificationStore({
+    type: process.env.NOTIFICATION_STORE,
+    filePath: process.env.NOTIFICATION_STORE_FILE,
+    retentionHours: process.env.NOTIFICATION_STORE_RETENTION_HOURS
+})
+
+// 发送失败通知的重试队列（持久化到数据目录，重启后继续重试）
+export const notificationQueue = createNotificationQueue({
+    filePath: process.env.NOTIFICATION_QUEUE_FILE,
+    deadLetterFile: process.env.NOTIFICATION_DEAD_LETTER_FILE,
+    maxAttempts: process.env.NOTIFICATION_QUEUE_MAX_ATTEMPTS
+})
+
+// 已通知的抽奖，开奖后原地编辑通知（持久化到数据目录，重启后仍可关联开奖消息）
+export const lotteryTracker = createLotteryTracker({
+    filePath: process.env.LOTTERY_TRACKER_FILE,
+    retentionHours: process.env.LOTTERY_TRACK_HOURS,
+    notificationStore: sentNotificationMessages
+})
+
+// 抽奖自动参与（默认关闭）
+export const autoJoiner = createAutoJoiner({
+    enabled: process.env.AUTO_JOIN_ENABLED === 'true',
+    chatIds: process.env.AUTO_JOIN_CHAT_IDS,
+    delaySeconds: process.env.AUTO_JOIN_DELAY_SECONDS,
+    dailyLimit: process.env.AUTO_JOIN_DAILY_LIMIT,
+    minPrizeValue: process.env.AUTO_JOIN_MIN_PRIZE_VALUE,
+    logFile: process.env.AUTO_JOIN_LOG_FILE
+})
+
+// 运行时监控状态：机器人命令等入口通过控制器修改，事件处理器每次处理消息时读取
+const monitorState = {
+    paused: false,
+    // 临时静音的群组 Map<normalizedChatId, 静音结束时间戳>
+    mutedChats: new Map(),
+    // 屏蔽的发送者 Set<normalizedUserId>（通过通知按钮添加，进程重启后清空）
+    mutedSenders: new Set(),
+    // 当前监控配置快照（见 buildMonitorConfig）
+    config: null
+}
 
 // 定义常量
 const DEFAULT_CONNECTION_RETRIES = 5
@@ -21,6 +72,7 @@ const DEFAULT_MAX_CONCURRENT_DOWNLOADS = 1
 const DEFAULT_RETRY_LIMIT = 3
 const DEFAULT_AUTH_TIMEOUT = 5000
 const CLEANUP_INTERVAL_MS = 60 * 1000
+const DEFAULT_DEDUP_CACHE_FILE = 'processed-messages.json'
 const HEARTBEAT_INTERVAL_MS = 60000
 
 /**
@@ -71,31 +123,47 @@ export async function initializeMonitoring(client, config) {
         targetUserIdsRaw,
         userKeywordsRaw,
         dedupWindowMinutes,
-        deleteNotificationKeywords
+        deleteNotificationKeywords,
+        rulesFile,
+        lotteryParsersDir,
+        expiryQueue
     } = config;
 
-    // 解析并规范化监控配置
-    const monitorChatIds = parseConfigList(monitorChatIdsRaw)
-    const normalizedMonitorIds = monitorChatIds.map(id => normalizeId(id)).filter(Boolean)
-    const monitorKeywords = parseConfigList(monitorKeywordsRaw)
-    const monitorKeywordsNormalized = monitorKeywords.map(k => k.toLowerCase()).filter(Boolean)
-    
-    // 解析不监控的聊天ID配置
-    const notMonitorChatIds = parseConfigList(notMonitorChatIdsRaw)
-    const normalizedNotMonitorIds = notMonitorChatIds.map(id => normalizeId(id)).filter(Boolean)
-    
-    // 解析新增配置并规范化
-    const targetUserIds = parseConfigList(targetUserIdsRaw)
-    const targetUserIdsNormalized = targetUserIds.map(id => normalizeId(id)).filter(Boolean)
-    const userKeywords = parseConfigList(userKeywordsRaw)
-    const userKeywordsNormalized = userKeywords.map(k => k.toLowerCase()).filter(Boolean)
-    
-    // 解析删除通知关键词
-    const deleteNotificationKeywordsList = parseConfigList(deleteNotificationKeywords)
-    
+    // 加载过滤规则文件，并构建运行时监控配置
+    const fileRules = rulesFile ? await loadRulesFile(rulesFile) : []
+    if (rulesFile) {
+        console.log(`已从 ${rulesFile} 加载 ${fileRules.length} 条过滤规则: ${fileRules.map(rule => rule.name).join(', ') || '无'}`)
+    }
+    // 加载自定义抽奖解析器
+    setLotteryParsers(await loadLotteryParsers(lotteryParsersDir))
+    if (lotteryParsersDir) {
+        console.log(`已从 ${lotteryParsersDir} 加载抽奖解析器，当前生效: ${getLotteryParserNames().join(', ')}`)
+    }
+
+    monitorState.config = buildMonitorConfig({
+        monitorChatIdsRaw,
+        notMonitorChatIdsRaw,
+        monitorKeywordsRaw,
+        notificationChatId,
+        targetUserIdsRaw,
+        userKeywordsRaw,
+        deleteNotificationKeywords,
+        rulesFile,
+        lotteryParsersDir
+    }, fileRules)
+
     // 去重窗口（分钟）
     const DEDUP_WINDOW_MINUTES = parseInt(dedupWindowMinutes) || Math.max(1, autoDeleteMinutes)
 
+    // 加载持久化的去重缓存（避免容器重启后 Telegram 重放消息导致重复通知）
+    const dedupCacheFile = resolveDataPath(process.env.DEDUP_CACHE_FILE || DEFAULT_DEDUP_CACHE_FILE)
+    const loadedDedupCount = loadProcessedMessages(processedMessages, dedupCacheFile, DEDUP_WINDOW_MINUTES)
+    console.log(`已加载 ${loadedDedupCount} 条去重记录`)
+
+    // 加载已发送通知记录（用于重启后仍能通过 DELETE_NOTIFICATION_KEYWORDS 清理通知）
+    const loadedNotificationCount = sentNotificationMessages.load()
+    console.log(`已加载 ${loadedNotificationCount} 条通知记录 (存储类型: ${sentNotificationMessages.type})`)
+
     // 全局变量用于识别机器人和当前账号（规范化后的数字ID）
     let BOT_USER_ID_NORMALIZED = ''
     let BOT_USERNAME = ''
@@ -108,6 +176,7 @@ export async function initializeMonitoring(client, config) {
 
     // 连接到 Telegram（使用已有的 StringSession）
     await client.connect();
+    recordEvent('connected');
     console.log('✅ Telegram 客户端已连接');
     console.log('ℹ️ 系统时钟偏移已自动校正，无需担心');
 
@@ -116,6 +185,7 @@ export async function initializeMonitoring(client, config) {
         throw new Error("无法获取当前用户的 ID，请检查会话有效性");
     }
 
+    recordEvent('heartbeat');
     SELF_USER_ID_NORMALIZED = normalizeId(me.id);
     console.log('当前登录账号 ID (规范化):', SELF_USER_ID_NORMALIZED);
 
@@ -124,6 +194,28 @@ export async function initializeMonitoring(client, config) {
     BOT_USER_ID_NORMALIZED = botInfo.BOT_USER_ID_NORMALIZED;
     BOT_USERNAME = botInfo.BOT_USERNAME;
 
+    // 开始重试上次运行时未发送成功的通知
+    const pendingNotificationCount = notificationQueue.start(entry => deliverQueuedNotification(entry, {
+        client,
+        telegramBotToken,
+        sentNotificationMessages
+    }))
+    console.log(`已加载 ${pendingNotificationCount} 条待重试通知`)
+
+    // 开始跟踪已通知抽奖的开奖结果
+    const pendingLotteryCount = lotteryTracker.start({
+        editNotification: (targetChatId, messageId, text, replyMarkup) => editNotificationMessage(client, telegramBotToken, targetChatId, messageId, text, replyMarkup),
+        self: { id: me.id, username: me.username, firstName: me.firstName, lastName: me.lastName }
+    })
+    console.log(`已加载 ${pendingLotteryCount} 条待开奖抽奖`)
+
+    autoJoiner.start({ client, selfId: SELF_USER_ID_NORMALIZED, expiryQueue })
+
+    const configuredNotifiers = getConfiguredNotifiers()
+    if (configuredNotifiers.length > 0) {
+        console.log(`已启用通知后端: ${configuredNotifiers.join(', ')}`)
+    }
+
     console.log('成功连接到 Telegram!');
     console.log('开始实时监控消息...');
 
@@ -141,22 +233,45 @@ export async function initializeMonitoring(client, config) {
         'UpdateEditChannelMessage'
     ]);
 
+    // 新消息类型（不包括编辑），用于自动删除到期队列
+    const newMessageTypes = new Set(['UpdateNewMessage', 'UpdateNewChannelMessage']);
+
     // 使用事件处理器监听所有更新
     client.addEventHandler(async (update) => {
         // 忽略连接状态变更通知
         if (update.className === 'UpdateConnectionState') {
             console.log('连接状态变化:', update.state);
+            if (update.state === UpdateConnectionState.connected) {
+                recordEvent('connected');
+            }
             return;
         }
 
+        // 记录最近收到更新的时间，用于健康检查
+        recordEvent('update');
+
         try {
             // 处理有效的消息更新事件
+            // 记录自己发送的新消息，到期后自动删除（见 core/expiry-queue.js）
+            if (expiryQueue && newMessageTypes.has(update.className) && update.message) {
+                try {
+                    expiryQueue.handleReply(update.message);
+                    await expiryQueue.track(update.message);
+                } catch (error) {
+                    console.error('记录待删除消息时出错:', error.message);
+                }
+            }
+
             if (validMessageTypes.has(update.className) && update.message) {
+                incrementMetric('messages_seen');
+                // 每条消息读取一次当前配置快照，配置被替换时不影响正在处理的消息
+                const cfg = monitorState.config;
                 await handleMessage(update.message, client, processedMessages,
-                    normalizedMonitorIds, monitorChatIds, targetUserIdsNormalized, userKeywordsNormalized,
-                    monitorKeywordsNormalized, SELF_USER_ID_NORMALIZED, BOT_USER_ID_NORMALIZED,
-                    notificationChatId, telegramBotToken, userKeywordsRaw, normalizedNotMonitorIds,
-                    deleteNotificationKeywordsList, sentNotificationMessages);
+                    cfg.normalizedMonitorIds, cfg.monitorChatIds, cfg.targetUserIdsNormalized, cfg.userKeywordsNormalized,
+                    cfg.monitorKeywordsNormalized, SELF_USER_ID_NORMALIZED, BOT_USER_ID_NORMALIZED,
+                    cfg.notificationChatId, telegramBotToken, cfg.userKeywordsRaw, cfg.normalizedNotMonitorIds,
+                    cfg.deleteNotificationKeywordsList, sentNotificationMessages, cfg.rules, monitorState, notificationQueue,
+                    lotteryTracker, autoJoiner);
             }
         } catch (error) {
             console.error('处理消息时出错:', error);
@@ -171,10 +286,274 @@ export async function initializeMonitoring(client, config) {
         autoDeleteMinutes: autoDeleteMinutesNum,
         dedupWindowMinutes: DEDUP_WINDOW_MINUTES,
         processedMessages,
-        cleanupProcessedMessages: () => cleanupProcessedMessages(processedMessages, DEDUP_WINDOW_MINUTES)
+        sentNotificationMessages,
+        notificationQueue,
+        lotteryTracker,
+        autoJoiner,
+        cleanupProcessedMessages: () => {
+            cleanupProcessedMessages(processedMessages, DEDUP_WINDOW_MINUTES)
+            sentNotificationMessages.prune()
+            lotteryTracker.prune()
+            // 定期将去重缓存落盘
+            flushProcessedMessages(processedMessages, dedupCacheFile)
+        },
+        flushProcessedMessages: () => flushProcessedMessages(processedMessages, dedupCacheFile),
+        controller: createMonitorController(client, telegramBotToken)
     };
 }
 
+/**
+ * 根据原始配置构建监控配置快照
+ *
+ * 返回的对象在运行期间不会被原地修改：需要变更配置时构建新的快照并整体替换 monitorState.config。
+ *
+ * @param {Object} rawConfig - 原始配置（与 initializeMonitoring 的同名字段一致）
+ * @param {Array<Object>} fileRules - 从规则文件加载的规则
+ * @returns {Object} 监控配置快照
+ */
+function buildMonitorConfig(rawConfig, fileRules = []) {
+    const {
+        monitorChatIdsRaw,
+        notMonitorChatIdsRaw,
+        monitorKeywordsRaw,
+        notificationChatId,
+        targetUserIdsRaw,
+        userKeywordsRaw,
+        deleteNotificationKeywords
+    } = rawConfig;
+
+    // 解析并规范化监控配置
+    const monitorChatIds = parseConfigList(monitorChatIdsRaw)
+    const normalizedMonitorIds = monitorChatIds.map(id => normalizeId(id)).filter(Boolean)
+    // 关键词支持正则、排除项与与组合（见 utils/keywordUtils.js），匹配时统一忽略大小写，因此不再转换为小写
+    const monitorKeywordsNormalized = splitKeywordList(monitorKeywordsRaw)
+
+    // 解析不监控的聊天ID配置
+    const notMonitorChatIds = parseConfigList(notMonitorChatIdsRaw)
+    const normalizedNotMonitorIds = notMonitorChatIds.map(id => normalizeId(id)).filter(Boolean)
+
+    // 解析新增配置并规范化
+    const targetUserIds = parseConfigList(targetUserIdsRaw)
+    const targetUserIdsNormalized = targetUserIds.map(id => normalizeId(id)).filter(Boolean)
+    const userKeywordsNormalized = splitKeywordList(userKeywordsRaw)
+
+    // 解析删除通知关键词
+    const deleteNotificationKeywordsList = splitKeywordList(deleteNotificationKeywords)
+
+    // 过滤规则：规则文件中的规则 + 由环境变量生成的隐式默认规则
+    const rules = [
+        ...fileRules,
+        ...buildDefaultRules({
+            targetUserIds: targetUserIdsNormalized,
+            userKeywords: userKeywordsNormalized,
+            monitorKeywords: monitorKeywordsNormalized,
+            // 配置了规则文件时，不再生成匹配所有消息的兜底规则
+            includeCatchAll: fileRules.length === 0
+        })
+    ]
+
+    return {
+        rawConfig,
+        fileRules,
+        monitorChatIds,
+        normalizedMonitorIds,
+        normalizedNotMonitorIds,
+        targetUserIdsNormalized,
+        userKeywordsRaw,
+        userKeywordsNormalized,
+        monitorKeywordsNormalized,
+        deleteNotificationKeywordsList,
+        notificationChatId,
+        rules
+    }
+}
+
+/**
+ * 序列化规则列表用于比较（正则对象默认会被序列化为空对象）
+ * @param {Array<Object>} rules - 规则列表
+ * @returns {string} 序列化结果
+ */
+function serializeRules(rules) {
+    return JSON.stringify(rules, (key, value) => value instanceof RegExp ? String(value) : value)
+}
+
+/**
+ * 比较两个配置快照，生成可读的差异描述
+ * @param {Object} previous - 原配置快照
+ * @param {Object} next - 新配置快照
+ * @returns {Array<string>} 差异描述，每项对应一个发生变化的配置
+ */
+function diffMonitorConfig(previous, next) {
+    const fields = [
+        ['MONITOR_CHAT_IDS', cfg => cfg.normalizedMonitorIds],
+        ['NOT_MONITOR_CHAT_IDS', cfg => cfg.normalizedNotMonitorIds],
+        ['MONITOR_KEYWORDS', cfg => cfg.monitorKeywordsNormalized],
+        ['TARGET_USER_IDS', cfg => cfg.targetUserIdsNormalized],
+        ['USER_KEYWORDS', cfg => cfg.userKeywordsNormalized],
+        ['NOTIFICATION_CHAT_ID', cfg => parseConfigList(cfg.notificationChatId)],
+        ['DELETE_NOTIFICATION_KEYWORDS', cfg => cfg.deleteNotificationKeywordsList],
+        ['规则', cfg => cfg.rules.filter(rule => !rule.implicit).map(rule => rule.name)]
+    ]
+
+    const changes = []
+    for (const [label, pick] of fields) {
+        const before = pick(previous)
+        const after = pick(next)
+        const added = after.filter(item => !before.includes(item))
+        const removed = before.filter(item => !after.includes(item))
+        if (added.length === 0 && removed.length === 0) continue
+        changes.push(`${label}: ${[...added.map(item => `+${item}`), ...removed.map(item => `-${item}`)].join(', ')}`)
+    }
+
+    // 规则文件路径变化，或规则名称未变但内容变化时也需要提示
+    if (previous.rawConfig.rulesFile !== next.rawConfig.rulesFile) {
+        changes.push(`RULES_FILE: ${previous.rawConfig.rulesFile || '无'} -> ${next.rawConfig.rulesFile || '无'}`)
+    } else if (serializeRules(previous.fileRules) !== serializeRules(next.fileRules)
+        && !changes.some(change => change.startsWith('规则:'))) {
+        changes.push('规则: 规则内容已更新')
+    }
+
+    return changes
+}
+
+/**
+ * 创建运行时控制器，供机器人命令等外部入口修改正在运行的监控配置
+ * @param {TelegramClient} client - Telegram 客户端
+ * @param {string} telegramBotToken - Telegram Bot Token
+ * @returns {Object} 控制器
+ */
+function createMonitorController(client, telegramBotToken) {
+    // 以新的原始配置重建快照并整体替换
+    const replaceRawConfig = (changes) => {
+        const current = monitorState.config
+        monitorState.config = buildMonitorConfig({ ...current.rawConfig, ...changes }, current.fileRules)
+    }
+
+    return {
+        getState: () => monitorState,
+
+        /**
+         * 以新的原始配置整体替换监控配置（配置热重载）
+         *
+         * 会重新读取规则文件和抽奖解析器；新快照构建完成后才替换，构建失败时保留原配置。
+         * 通过机器人命令添加或移除的关键词会被配置文件中的值覆盖。
+         *
+         * @param {Object} rawConfig - 原始配置（与 initializeMonitoring 的同名字段一致）
+         * @returns {Promise<Array<string>>} 配置差异描述
+         */
+        async reloadConfig(rawConfig) {
+            const fileRules = rawConfig.rulesFile ? await loadRulesFile(rawConfig.rulesFile) : []
+            const lotteryParsers = await loadLotteryParsers(rawConfig.lotteryParsersDir)
+            const previous = monitorState.config
+            const next = buildMonitorConfig({ ...previous.rawConfig, ...rawConfig }, fileRules)
+            const previousParserNames = getLotteryParserNames()
+            monitorState.config = next
+            setLotteryParsers(lotteryParsers)
+
+            const changes = diffMonitorConfig(previous, next)
+            const parserNames = getLotteryParserNames()
+            if (parserNames.join() !== previousParserNames.join()) {
+                changes.push(`抽奖解析器: ${parserNames.join(', ')}`)
+            }
+            if (changes.length > 0) {
+                console.log(`✅ 监控配置已更新:\n  ${changes.join('\n  ')}`)
+            } else {
+                console.log('✅ 监控配置无变化')
+            }
+            return changes
+        },
+
+        pause() {
+            monitorState.paused = true
+        },
+
+        resume() {
+            monitorState.paused = false
+        },
+
+        /**
+         * 添加通用监控关键词
+         * @param {string} keyword - 关键词（支持 keywordUtils 语法）
+         * @returns {boolean} 是否新增成功（已存在时返回 false）
+         */
+        addKeyword(keyword) {
+            const keywords = monitorState.config.monitorKeywordsNormalized
+            if (keywords.includes(keyword)) return false
+            replaceRawConfig({ monitorKeywordsRaw: [...keywords, keyword].join(',') })
+            return true
+        },
+
+        /**
+         * 移除通用监控关键词
+         * @param {string} keyword - 关键词
+         * @returns {boolean} 是否移除成功（不存在时返回 false）
+         */
+        removeKeyword(keyword) {
+            const keywords = monitorState.config.monitorKeywordsNormalized
+            if (!keywords.includes(keyword)) return false
+            replaceRawConfig({ monitorKeywordsRaw: keywords.filter(k => k !== keyword).join(',') })
+            return true
+        },
+
+        /**
+         * 临时静音某个群组
+         * @param {string} chatId - 群组ID
+         * @param {number} minutes - 静音分钟数
+         * @returns {number} 静音结束时间戳
+         */
+        muteChat(chatId, minutes) {
+            const until = Date.now() + minutes * 60 * 1000
+            monitorState.mutedChats.set(normalizeId(chatId), until)
+            return until
+        },
+
+        /**
+         * 屏蔽某个发送者，不再通知其消息
+         * @param {string} senderId - 用户ID
+         * @returns {boolean} 是否新增成功（已屏蔽时返回 false）
+         */
+        muteSender(senderId) {
+            const id = normalizeId(senderId)
+            if (!id || monitorState.mutedSenders.has(id)) return false
+            monitorState.mutedSenders.add(id)
+            return true
+        },
+
+        /**
+         * 取消屏蔽发送者
+         * @param {string} senderId - 用户ID
+         * @returns {boolean} 是否取消成功（未屏蔽时返回 false）
+         */
+        unmuteSender(senderId) {
+            return monitorState.mutedSenders.delete(normalizeId(senderId))
+        },
+
+        /**
+         * 忽略一条通知：从通知记录中移除，返回需要删除的消息（通知及附带的原始媒体）
+         * @param {string} targetChatId - 通知所在聊天ID
+         * @param {number} messageId - 通知消息ID
+         * @returns {Array<number>} 需要删除的消息ID列表
+         */
+        dismissNotification(targetChatId, messageId) {
+            return sentNotificationMessages.removeNotification(targetChatId, messageId)
+        },
+
+        /**
+         * 删除所有通知目标中之前发送的通知消息
+         * @returns {Promise<number>} 处理前记录的通知消息数
+         */
+        async clearNotifications() {
+            // 遍历记录中的所有通知目标，包括过滤规则单独指定的目标
+            const targets = sentNotificationMessages.getTargetChatIds()
+            const count = targets.reduce((sum, target) => sum + sentNotificationMessages.getMessageIds(target).length, 0)
+            for (const target of targets) {
+                await deletePreviousNotifications(client, target, sentNotificationMessages, telegramBotToken)
+            }
+            return count
+        }
+    }
+}
+
 /**
  * 解析配置列表
  * @param {string} rawConfig - 原始配置字符串
@@ -221,6 +600,84 @@ function cleanupProcessedMessages(processedMessages, dedupWindowMinutes) {
     }
 }
 
+/**
+ * 从文件加载去重缓存
+ *
+ * 只加载仍处于去重窗口（DEDUP_WINDOW_MINUTES）内的记录，与 cleanupProcessedMessages 的过期语义保持一致。
+ *
+ * @param {Map} processedMessages - 已处理消息缓存
+ * @param {string} filePath - 缓存文件路径
+ * @param {number} dedupWindowMinutes - 去重窗口分钟数
+ * @returns {number} 加载的记录数
+ */
+function loadProcessedMessages(processedMessages, filePath, dedupWindowMinutes) {
+    const data = readJsonFile(filePath, null);
+    if (!data || typeof data.entries !== 'object') return 0;
+
+    const now = Date.now();
+    const ttl = dedupWindowMinutes * 60 * 1000;
+    let loadedCount = 0;
+
+    for (const [key, value] of Object.entries(data.entries)) {
+        if (!value || typeof value.ts !== 'number' || now - value.ts > ttl) continue;
+        // 内存中已有的记录更新，优先保留
+        if (!processedMessages.has(key)) {
+            processedMessages.set(key, value);
+            loadedCount++;
+        }
+    }
+
+    return loadedCount;
+}
+
+/**
+ * 创建记录修改状态的 Map
+ *
+ * 写入或删除记录后 `dirty` 为 true，由 flushProcessedMessages 落盘成功后重置。
+ *
+ * @returns {Map} 带有 `dirty` 属性的 Map
+ */
+function createDirtyTrackingMap() {
+    const map = new Map();
+    map.dirty = false;
+    const set = map.set;
+    const remove = map.delete;
+    const clear = map.clear;
+    map.set = function (key, value) {
+        this.dirty = true;
+        return set.call(this, key, value);
+    };
+    map.delete = function (key) {
+        const deleted = remove.call(this, key);
+        if (deleted) this.dirty = true;
+        return deleted;
+    };
+    map.clear = function () {
+        if (this.size > 0) this.dirty = true;
+        clear.call(this);
+    };
+    return map;
+}
+
+/**
+ * 将去重缓存写入文件，自上次写入后没有变化时跳过
+ * @param {Map} processedMessages - 已处理消息缓存（见 createDirtyTrackingMap）
+ * @param {string} filePath - 缓存文件路径
+ * @returns {void} 无返回值
+ */
+function flushProcessedMessages(processedMessages, filePath) {
+    if (!processedMessages.dirty) return;
+    try {
+        writeJsonFileAtomic(filePath, {
+            savedAt: Date.now(),
+            entries: Object.fromEntries(processedMessages)
+        });
+        processedMessages.dirty = false;
+    } catch (error) {
+        console.error('保存去重缓存时发生错误:', error.message);
+    }
+}
+
 /**
  * 启动定时清理任务
  * @param {Function} cleanupFn - 清理函数
@@ -233,32 +690,65 @@ export function startCleanupInterval(cleanupFn) {
 
 /**
  * 启动心跳检测
+ *
+ * 环境变量：
+ * HEARTBEAT_STATE_FILE (默认 DATA_DIR/heartbeat.json)
+ *
  * @param {TelegramClient} client - Telegram 客户端
  * @returns {NodeJS.Timeout} 定时器ID
  */
 export function startHeartbeatInterval(client) {
-    // 定期发送心跳以维持与服务器的连接
+    const stateFile = resolveDataPath(process.env.HEARTBEAT_STATE_FILE || DEFAULT_HEARTBEAT_STATE_FILE)
+    writeHeartbeatState(stateFile)
+
+    // 定期发送心跳以维持与服务器的连接，并将最近事件时间写入心跳状态文件供 healthcheck.js 检查
     return setInterval(async () => {
         try {
             await client.getMe();
+            recordEvent('heartbeat');
             console.log('保持连接活跃...');
         } catch (error) {
             console.error('心跳检测失败:', error);
         }
+        writeHeartbeatState(stateFile)
     }, HEARTBEAT_INTERVAL_MS);
 }
 
+/**
+ * 写入心跳状态文件
+ *
+ * 文件内容为最近连接成功、心跳成功、收到更新和发送通知成功的时间（毫秒时间戳，未发生过为 null）。
+ *
+ * @param {string} filePath - 状态文件路径
+ */
+function writeHeartbeatState(filePath) {
+    try {
+        writeJsonFileAtomic(filePath, {
+            pid: process.pid,
+            startedAt: getStartedAt(),
+            writtenAt: Date.now(),
+            lastEvents: getLastEvents()
+        })
+    } catch (error) {
+        console.error('写入心跳状态文件失败:', error.message)
+    }
+}
+
 /**
  * 启动自动删除过期间隔
  * @param {TelegramClient} client - Telegram 客户端
  * @param {number} intervalMs - 间隔毫秒数
  * @param {Function} deleteFn - 删除函数
+ * @param {string} [scopeDescription] - 删除范围说明（见 core/message-deleter.js 的 describeAutoDeleteScope）
  * @returns {NodeJS.Timeout|null} 定时器ID
  */
-export function startAutoDeleteInterval(client, intervalMs, deleteFn) {
+export function startAutoDeleteInterval(client, intervalMs, deleteFn, scopeDescription) {
     // 如果启用了自动删除功能，则定期执行删除操作
     if (intervalMs && intervalMs > 0) {
         console.log(`启用定期删除过期消息功能，检查间隔: ${intervalMs / (60 * 1000)} 分钟`);
+        if (scopeDescription) {
+            console.log(`自动删除范围: ${scopeDescription}`);
+        }
         return setInterval(async () => {
             try {
                 console.log('开始定期检查并删除过期消息...');
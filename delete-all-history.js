@@ -1,11 +1,83 @@
 import { config } from 'dotenv'
-import { Api, TelegramClient } from 'telegram'
+import fs from 'fs'
+import path from 'path'
+import { TelegramClient } from 'telegram'
 import { parseChatIds } from './utils/formatUtils.js'
 import { isDeletableMessage } from './utils/messageUtils.js'
+import { searchMessagePages } from './utils/historyUtils.js'
+import { schedule } from './utils/rateLimiter.js'
+import { resolveDataPath, writeJsonFileAtomic } from './utils/storageUtils.js'
+import { parseCliArgs, parseDateArg, confirmPrompt } from './utils/cliUtils.js'
+import { createDeleteCheckpoint } from './core/delete-checkpoint.js'
+import { createHistoryArchive, isArchiveBeforeDeleteEnabled } from './core/history-archive.js'
 import { StringSession } from 'telegram/sessions/index.js'
 
 config();
 
+// 命令行参数定义
+const CLI_OPTIONS = {
+    chat: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    'media-only': { type: 'boolean' },
+    'text-only': { type: 'boolean' },
+    contains: { type: 'string' },
+    yes: { type: 'boolean', short: 'y' },
+    resume: { type: 'boolean' },
+    archive: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    output: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+}
+
+const USAGE = `用法: npm run delete-all-history -- [选项]
+
+选项:
+  --chat <id>         只处理指定群组（可重复或用逗号分隔，优先于 MONITOR_CHAT_IDS）
+  --exclude <id>      排除指定群组（可重复或用逗号分隔，与 NOT_MONITOR_CHAT_IDS 合并）
+  --since <时间>      只删除该时间之后的消息，如 2025-01-01、2025-01-01T08:00 或 7d、12h
+  --until <时间>      只删除该时间之前的消息（只写日期时包含当天）
+  --media-only        只删除包含媒体的消息
+  --text-only         只删除纯文本消息
+  --contains <文本>   只删除包含指定文本的消息
+  --dry-run           只预览将要删除的消息并导出，不执行删除
+  --output <文件>     预览结果导出路径（.json 或 .csv）
+  --resume            从上次中断的位置继续删除（跳过已完成的群组）
+  --archive           删除前先将消息归档为 JSON 与 HTML（同 ARCHIVE_BEFORE_DELETE=true）
+  -y, --yes           跳过删除确认（非交互环境下必须指定）
+  -h, --help          显示帮助`
+
+/**
+ * 解析命令行参数，参数无效时输出帮助并退出
+ * @returns {Object} 解析后的参数值
+ */
+function parseCommandLine() {
+    try {
+        const { values } = parseCliArgs(process.argv.slice(2), CLI_OPTIONS)
+        if (values['media-only'] && values['text-only']) {
+            throw new Error('--media-only 与 --text-only 不能同时使用')
+        }
+        const since = values.since ? parseDateArg(values.since) : null
+        const until = values.until ? parseDateArg(values.until, { endOfDay: true }) : null
+        if (since && until && since >= until) {
+            throw new Error('--since 必须早于 --until')
+        }
+        return { ...values, since, until }
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`)
+        console.error(USAGE)
+        process.exit(1)
+    }
+}
+
+const ARGS = parseCommandLine()
+
+if (ARGS.help) {
+    console.log(USAGE)
+    process.exit(0)
+}
+
 /**
  * 配置对象，存储应用程序的各种配置参数
  * 包含Telegram客户端连接信息、监控设置和操作参数
@@ -17,9 +89,24 @@ const CONFIG = {
     MONITOR_CHAT_IDS: process.env.MONITOR_CHAT_IDS,
     NOT_MONITOR_CHAT_IDS: process.env.NOT_MONITOR_CHAT_IDS,
     DELETE_HISTORY_MODE: process.env.DELETE_HISTORY_MODE,
+    MESSAGES_LIMIT: Math.max(0, parseInt(process.env.DELETE_MESSAGES_LIMIT) || 0), // 本次运行最多删除的消息总数，0 表示不限制
+    CHAT_MESSAGES_LIMIT: Math.max(0, parseInt(process.env.DELETE_CHAT_MESSAGES_LIMIT) || 0), // 每个群组最多删除的消息数，0 表示不限制
+    MAX_PAGES: Math.max(0, parseInt(process.env.DELETE_MAX_PAGES) || 0), // 每个群组最多拉取的页数，0 表示不限制
+    CHAT_IDS: ARGS.chat, // --chat 指定的群组，优先于 MONITOR_CHAT_IDS
+    EXCLUDE_CHAT_IDS: ARGS.exclude, // --exclude 指定的群组，与 NOT_MONITOR_CHAT_IDS 合并
+    MIN_DATE: ARGS.since ? Math.floor(ARGS.since.getTime() / 1000) : 0, // messages.Search 的 minDate（Unix 秒）
+    MAX_DATE: ARGS.until ? Math.floor(ARGS.until.getTime() / 1000) : 0, // messages.Search 的 maxDate（Unix 秒）
+    CONTENT_TYPE: ARGS['media-only'] ? 'media' : ARGS['text-only'] ? 'text' : 'all', // 消息内容类型过滤
+    CONTAINS: ARGS.contains || '', // 消息需包含的文本
+    ASSUME_YES: ARGS.yes, // 跳过删除确认
+    ARCHIVE: ARGS.archive || isArchiveBeforeDeleteEnabled(), // 删除前先归档消息
+    DRY_RUN: ARGS['dry-run'], // 只列出将要删除的消息，不执行删除
+    DRY_RUN_OUTPUT: ARGS.output || process.env.DELETE_DRY_RUN_OUTPUT, // 预览结果导出路径（.json 或 .csv）
+    DRY_RUN_SAMPLE_COUNT: 3, // 预览中每个群组展示的示例消息数
     BATCH_SIZE: 100, // 每批删除的消息数（Telegram 限制）
     FETCH_LIMIT: 100, // 每次获取的消息数
-    BATCH_DELAY: 1000, // 批次间延迟（毫秒）
+    // 请求失败时的重试选项：FLOOD_WAIT 无论多久都等待后重试（同一请求最多重试 5 次），其他错误最多重试 3 次（见 utils/rateLimiter.js）
+    RATE_LIMIT: { retries: 3, maxFloodWaitSeconds: Infinity },
     CHAT_DELAY: 2000, // 群组间延迟（毫秒）
     CLIENT_OPTIONS: {
         connectionRetries: 3,
@@ -75,36 +162,6 @@ function logProgress(type, message) {
     console.log(`[${timestamp}] ${icons[type] || ''} ${message}`);
 }
 
-/**
- * 处理 Flood Wait 限流错误和通用重试逻辑
- * @param {Error} error - 捕获的错误对象
- * @param {number} retries - 当前重试次数，默认为 0
- * @returns {Promise<boolean>} 返回 Promise，resolve 时返回布尔值，true 表示需要重试，false 表示放弃重试
- */
-async function handleFloodWait(error, retries = 0) {
-    const maxRetries = 3;
-
-    // 检查是否是 Flood Wait 错误
-    if (error?.message?.includes('FLOOD_WAIT')) {
-        const match = error.message.match(/FLOOD_WAIT_(\d+)/);
-        if (match) {
-            const waitSeconds = parseInt(match[1])
-            logProgress('warning', `触发限流，等待 ${waitSeconds} 秒...`);
-            await sleep(waitSeconds * 1000);
-            return true
-        }
-    }
-
-    // 其他错误重试
-    if (retries < maxRetries) {
-        logProgress('warning', `操作失败，${2 ** retries} 秒后重试 (${retries + 1}/${maxRetries})`);
-        await sleep(1000 * (2 ** retries));
-        return true
-    }
-
-    return false
-}
-
 /**
  * 判断是否应该处理指定的聊天对象
  * @param {Object} chat - 聊天对象
@@ -123,6 +180,23 @@ function shouldProcessChat(chat) {
     return true;
 }
 
+/**
+ * 判断消息是否符合命令行指定的内容过滤条件（--media-only / --text-only / --contains）
+ * @param {Object} msg - 消息对象
+ * @returns {boolean} 是否符合
+ */
+function matchesContentFilter(msg) {
+    // 链接预览属于文本消息的附属内容，不视为媒体
+    const hasMedia = !!msg.media && msg.media.className !== 'MessageMediaWebPage'
+    if (CONFIG.CONTENT_TYPE === 'media' && !hasMedia) return false
+    if (CONFIG.CONTENT_TYPE === 'text' && hasMedia) return false
+
+    // messages.Search 的 q 按分词匹配，这里再按子串确认一次
+    if (CONFIG.CONTAINS && !(msg.message || '').toLowerCase().includes(CONFIG.CONTAINS.toLowerCase())) return false
+
+    return true
+}
+
 /**
  * 从指定聊天中获取当前用户发送的所有可删除历史消息。
  *
@@ -130,51 +204,35 @@ function shouldProcessChat(chat) {
  * @param {Object} chat - 聊天对象，表示要从中获取消息的聊天。
  * @param currentUserId - 当前用户的 ID，用于过滤消息来源。
  * @param currentUserAccessHash - 当前用户的访问哈希值，用于构造 InputPeer。
- * @returns {Promise<Array>} 返回一个包含所有符合条件消息的数组。
+ * @param {number} [limit=0] - 最多获取的消息数，0 表示不限制。
+ * @param {Object} [options] - 分页选项
+ * @param {number} [options.startOffsetId=0] - 起始 offsetId（用于从检查点继续）
+ * @param {Function} [options.onPage] - 每获取一页后调用 `onPage(pageMessages, nextOffsetId)`，可返回 Promise
+ * @returns {Promise<{messages: Array, truncated: boolean}>} 符合条件的消息，以及是否因数量限制或最大页数提前停止（还有消息未获取）
  */
-async function fetchMessagesFromChat(client, chat, currentUserId, currentUserAccessHash) {
+async function fetchMessagesFromChat(client, chat, currentUserId, currentUserAccessHash, limit = 0, { startOffsetId = 0, onPage } = {}) {
     const messages = [];
-    const pageSize = CONFIG.FETCH_LIMIT;
-    const maxPages = 20;
-    let offsetId = 0;
-    let hasMore = true;
-    let pageNum = 0;
+    let truncated = false;
+    const maxPages = CONFIG.MAX_PAGES;
+    const currentUserIdStr = currentUserId.toString();
 
     logProgress('info', `开始获取 ${chat.title || 'Unknown'} 中的所有历史消息`);
 
     try {
-        // 循环分页拉取消息，直到没有更多或达到最大页数限制
-        while (hasMore && pageNum < maxPages) {
-            pageNum++
-
-            const result = await client.invoke(
-                new Api.messages.Search({
-                    peer: chat,
-                    q: '',
-                    filter: new Api.InputMessagesFilterEmpty(),
-                    fromId: new Api.InputPeerUser({
-                        userId: currentUserId,
-                        accessHash: currentUserAccessHash || 0
-                    }),
-                    minDate: 0,
-                    maxDate: 0,
-                    limit: pageSize,
-                    offsetId: offsetId,
-                    addOffset: 0,
-                    maxId: 0,
-                    minId: 0,
-                    hash: BigInt(0)
-                })
-            );
-
-            const batch = result?.messages || (Array.isArray(result) ? result : []);
-
-            // 如果没有获取到消息，则停止继续拉取
-            if (!batch || batch.length === 0) {
-                hasMore = false;
-                break;
-            }
-
+        // 循环分页拉取消息，直到没有更多、达到数量限制或达到最大页数限制（DELETE_MAX_PAGES）
+        const pages = searchMessagePages(client, chat, {
+            fromUser: { userId: currentUserId, accessHash: currentUserAccessHash },
+            q: CONFIG.CONTAINS,
+            minDate: CONFIG.MIN_DATE,
+            maxDate: CONFIG.MAX_DATE,
+            pageSize: CONFIG.FETCH_LIMIT,
+            maxPages,
+            startOffsetId,
+            // 限速与 FLOOD_WAIT 等待由请求调度器处理
+            rateLimit: CONFIG.RATE_LIMIT
+        });
+
+        for await (const { pageNum, messages: batch, nextOffsetId, hasMore } of pages) {
             // 过滤出当前用户发送的可删除消息
             const validMessages = batch.filter(msg => {
                 // 检查是否为有效消息
@@ -184,66 +242,68 @@ async function fetchMessagesFromChat(client, chat, currentUserId, currentUserAcc
 
                 // 检查是否由当前用户发送
                 const fromUserId = msg.fromId?.userId ? msg.fromId.userId.toString() : null;
-                const currentUserIdStr = currentUserId.toString();
-
                 if (fromUserId !== currentUserIdStr) {
                     return false;
                 }
 
-                return isDeletableMessage(msg);
+                return isDeletableMessage(msg) && matchesContentFilter(msg);
             });
 
             // 统计被过滤掉的消息数量
             const filteredCount = batch.length - validMessages.length;
 
-            messages.push(...validMessages);
+            // 达到数量限制时截断并停止拉取
+            const pageMessages = limit > 0 ? validMessages.slice(0, limit - messages.length) : validMessages;
+            messages.push(...pageMessages);
+            const reachedLimit = limit > 0 && messages.length >= limit;
+            truncated = reachedLimit && (hasMore || pageMessages.length < validMessages.length);
 
-            // 更新 offsetId 为最后一条消息的 ID，以便下一页继续拉取
-            offsetId = batch[batch.length - 1].id;
+            if (onPage) {
+                // 本页只处理了一部分时，从最后处理的消息之后继续
+                await onPage(pageMessages, truncated && pageMessages.length > 0 ? pageMessages[pageMessages.length - 1].id : nextOffsetId);
+            }
             let logMsg = `第 ${pageNum} 页: 获取 ${validMessages.length} 条有效消息`;
             if (filteredCount > 0) {
                 logMsg += ` (过滤掉 ${filteredCount} 条消息)`;
             }
             logProgress('info', logMsg);
 
-            // 如果获取的消息数量少于页面大小，说明没有更多消息了
-            if (batch.length < pageSize) {
-                hasMore = false;
+            if (reachedLimit) {
+                logProgress('info', `已达到数量限制 ${limit} 条，停止获取`);
+                break;
             }
 
-            // 延迟以避免触发限流
-            if (hasMore) {
-                await sleep(CONFIG.BATCH_DELAY);
+            if (hasMore && maxPages && pageNum >= maxPages) {
+                truncated = true;
+                logProgress('warning', `已达到最大页数 ${maxPages}（DELETE_MAX_PAGES），可能还有更早的消息未获取`);
             }
         }
     } catch (error) {
         logProgress('error', `获取消息时出错: ${error.message}`);
-        if (!(await handleFloodWait(error))) {
-            throw error;
-        }
+        throw error;
     }
 
     logProgress('success', `完成获取 ${chat.title || 'Unknown'} 的消息，总共找到 ${messages.length} 条当前用户发送的有效消息`);
-    return messages;
+    return { messages, truncated };
 }
 
 /**
  * 分批删除指定聊天中的消息ID列表。
  *
  * 该函数会将 messageIds 按 CONFIG.BATCH_SIZE 分割成多个批次，逐批调用 client.deleteMessages 删除。
- * - 在多批次时会输出每批次的开始/成功日志并在批次间按 CONFIG.BATCH_DELAY 延迟以避免限流。
- * - 若遇到 FLOOD_WAIT 或可重试错误，会利用 handleFloodWait 实现等待或指数退避重试。
+ * - 在多批次时会输出每批次的开始/成功日志。
+ * - 删除请求通过请求调度器执行，由调度器限速，并在 FLOOD_WAIT 时等待、其他错误时指数退避重试（CONFIG.RATE_LIMIT）。
  * - 删除失败时会记录警告并继续处理后续批次，保证整体流程不中断。
  *
  * @param {TelegramClient} client - 已登录的 Telegram 客户端实例
  * @param {Object} chat - 要删除消息的聊天对象（dialog.entity）
  * @param {Array<number>} messageIds - 需要删除的消息 ID 数组
+ * @returns {Promise<number>} 成功删除的消息数
  */
 async function deleteMessagesInBatches(client, chat, messageIds) {
     // 如果没有要删除的消息则直接返回
     if (messageIds.length === 0) {
-        logProgress('info', `群组 ${chat.title} 中没有需要删除的消息`);
-        return;
+        return 0;
     }
 
     logProgress('info', `开始删除群组 ${chat.title} 中的 ${messageIds.length} 条消息`);
@@ -263,7 +323,7 @@ async function deleteMessagesInBatches(client, chat, messageIds) {
             }
 
             // 调用客户端 API 删除当前批消息，revoke: true 表示撤回对方可见的消息（视权限而定）
-            await client.deleteMessages(chat, batch, { revoke: true });
+            await schedule('client.delete', () => client.deleteMessages(chat, batch, { revoke: true }), CONFIG.RATE_LIMIT);
 
             // 成功则累加删除计数
             deletedCount += batch.length;
@@ -273,27 +333,15 @@ async function deleteMessagesInBatches(client, chat, messageIds) {
                 logProgress('success', `成功删除第 ${batchNum} 批: ${batch.length} 条消息`);
             }
 
-            // 如果还有后续批次，在批次间等待以降低被限流的风险
-            if (totalBatches > 1 && i + CONFIG.BATCH_SIZE < messageIds.length) {
-                await sleep(CONFIG.BATCH_DELAY);
-            }
-
         } catch (error) {
+            // 调度器重试用完后仍失败，记录并继续处理下一批，不中断整体流程
             logProgress('error', `删除消息时出错: ${error.message}`);
-
-            // 若为限流或可重试错误，handleFloodWait 会执行等待或退避逻辑并返回 true 表示应重试
-            if (await handleFloodWait(error)) {
-                // 将循环索引回退一个批次，以便重试当前批次
-                i -= CONFIG.BATCH_SIZE;
-                continue;
-            }
-
-            // 若不可重试，则记录并继续处理下一批，不中断整体流程
             logProgress('warning', `跳过本批消息，继续处理下一批`);
         }
     }
 
-    logProgress('success', `群组 ${chat.title} 总共删除了 ${deletedCount} 条消息`);
+    logProgress('success', `群组 ${chat.title} 本次删除了 ${deletedCount} 条消息`);
+    return deletedCount;
 }
 
 /**
@@ -301,8 +349,9 @@ async function deleteMessagesInBatches(client, chat, messageIds) {
  *
  * 主要流程：
  * 1. 从 dialog.entity 中提取 chat 信息（id、title 等）。
- * 2. 调用 fetchMessagesFromChat 获取当前用户在该群组的所有可删除消息。
- * 3. 若存在消息，调用 deleteMessagesInBatches 分批删除。
+ * 2. 调用 fetchMessagesFromChat 分页获取当前用户在该群组的可删除消息。
+ * 3. 每获取一页即调用 deleteMessagesInBatches 分批删除（开启归档时先归档），并将进度写入检查点（--dry-run 时只生成预览，不删除）；
+ *    因数量限制或最大页数提前停止时不标记群组完成。
  * 4. 在群组之间根据 CONFIG.CHAT_DELAY 添加延迟以降低被限流的风险。
  * 5. 捕获并记录错误，保证单个群组出错不会中断整体流程，返回结构化结果用于汇总统计。
  *
@@ -312,9 +361,12 @@ async function deleteMessagesInBatches(client, chat, messageIds) {
  * @param {number|BigInt} currentUserAccessHash - 当前用户 accessHash，用于某些 API 调用（若可用）
  * @param {number} chatIndex - 当前处理的群组序号（从 1 开始）
  * @param {number} totalChats - 总共需要处理的群组数量
- * @returns {Promise<{chatTitle: string, messageCount: number, error?: string}>}
+ * @param {number} [limit=0] - 本群组最多删除的消息数，0 表示不限制
+ * @param {Object|null} [checkpoint=null] - 删除进度检查点（见 core/delete-checkpoint.js）
+ * @param {Object|null} [archive=null] - 删除前归档消息（见 core/history-archive.js）
+ * @returns {Promise<{chatId: string, chatTitle: string, messageCount: number, deletedCount?: number, preview?: Object, truncated?: boolean, error?: string}>}
  */
-async function processChat(client, dialog, currentUserId, currentUserAccessHash, chatIndex, totalChats) {
+async function processChat(client, dialog, currentUserId, currentUserAccessHash, chatIndex, totalChats, limit = 0, checkpoint = null, archive = null) {
     // 从 dialog.entity 获取聊天对象
     const chat = dialog.entity
     const chatId = chat.id?.toString() || 'Unknown'
@@ -323,21 +375,52 @@ async function processChat(client, dialog, currentUserId, currentUserAccessHash,
 
     logProgress('info', `[${chatIndex}/${totalChats}] 处理群组: ${chatTitle} (ID: ${chatId})`)
 
+    // 从检查点恢复上次中断时的进度
+    const progress = checkpoint?.getChatProgress(chatId)
+    let messageCount = progress?.messageCount || 0
+    let deletedCount = progress?.deletedCount || 0
+    if (progress) {
+        logProgress('info', `从上次中断的位置继续 (offsetId: ${progress.offsetId}, 已删除 ${deletedCount} 条)`)
+    }
+
     try {
+        // 每获取一页立即删除并记录进度，中断后可从该页之后继续
+        const onPage = CONFIG.DRY_RUN ? undefined : async (pageMessages, nextOffsetId) => {
+            // 先归档再删除，归档失败时抛出错误，本群组不会继续删除
+            await archive?.archiveMessages(chat, pageMessages)
+            deletedCount += await deleteMessagesInBatches(client, chat, pageMessages.map(msg => msg.id))
+            messageCount += pageMessages.length
+            checkpoint?.updateChatProgress(chatId, { chatTitle, offsetId: nextOffsetId, messageCount, deletedCount })
+        }
+
         // 拉取当前用户在此群组发送的所有可删除消息（包含分页与限流保护）
-        const userMessages = await fetchMessagesFromChat(client, chat, currentUserId, currentUserAccessHash)
+        const { messages: userMessages, truncated } = await fetchMessagesFromChat(client, chat, currentUserId, currentUserAccessHash, limit, {
+            startOffsetId: progress?.offsetId || 0,
+            onPage
+        })
+
+        // 因数量限制或最大页数提前停止时还有消息未处理，不标记为完成，使用 --resume 时从最后记录的位置继续
+        const completeChat = () => {
+            if (!truncated) checkpoint?.completeChat(chatId, { chatTitle, messageCount, deletedCount })
+        }
 
         // 如果没有找到任何消息，直接返回并记录日志
         if (userMessages.length === 0) {
-            logProgress('info', `群组 ${chatTitle} 中没有当前用户发送的消息`)
-            return { chatTitle, messageCount: 0 }
+            logProgress('info', `群组 ${chatTitle} 中没有${progress ? '剩余' : ''}当前用户发送的消息`)
+            completeChat()
+            return { chatId, chatTitle, messageCount: 0, deletedCount: 0, truncated }
         }
 
         logProgress('info', `群组 ${chatTitle} 中找到 ${userMessages.length} 条当前用户发送的消息`)
 
-        // 将消息对象映射为 id 列表并分批删除
-        const messageIds = userMessages.map(msg => msg.id)
-        await deleteMessagesInBatches(client, chat, messageIds)
+        // 预览模式：只记录将要删除的内容
+        const preview = CONFIG.DRY_RUN ? buildChatPreview(chatId, chatTitle, userMessages) : undefined
+        if (preview) {
+            logProgress('info', `[预览] ${chatTitle}: ${preview.messageCount} 条 (${preview.firstDate} ~ ${preview.lastDate})`)
+        } else {
+            logProgress('success', `群组 ${chatTitle} 总共删除了 ${deletedCount} 条消息`)
+            completeChat()
+        }
 
         // 仅在还有后续群组要处理时添加群组间延迟，避免短时间内处理过多群组导致限流
         if (chatIndex < totalChats) {
@@ -345,16 +428,68 @@ async function processChat(client, dialog, currentUserId, currentUserAccessHash,
             await sleep(CONFIG.CHAT_DELAY)
         }
 
-        // 返回本群组处理结果，供上层汇总统计
-        return { chatTitle, messageCount: userMessages.length }
+        // 返回本群组处理结果（仅本次运行），供上层汇总统计
+        return { chatId, chatTitle, messageCount: userMessages.length, deletedCount: deletedCount - (progress?.deletedCount || 0), preview, truncated }
 
     } catch (error) {
         logProgress('error', `处理群组 ${chatTitle} 时出错: ${error.message}`)
         console.error(error.stack)
-        return { chatTitle, messageCount: 0, error: error.message }
+        // 出错的群组不标记为完成，使用 --resume 时会从最后记录的位置重试
+        return { chatId, chatTitle, messageCount: 0, deletedCount: 0, error: error.message }
+    }
+}
+
+/**
+ * 生成单个群组的删除预览
+ * @param {string} chatId - 群组 ID
+ * @param {string} chatTitle - 群组名称
+ * @param {Array<Object>} messages - 将要删除的消息
+ * @returns {{chatId: string, chatTitle: string, messageCount: number, firstDate: string, lastDate: string, samples: Array<string>}}
+ */
+function buildChatPreview(chatId, chatTitle, messages) {
+    const dates = messages.map(msg => msg.date).filter(Boolean)
+    const toIso = (seconds) => seconds ? new Date(seconds * 1000).toISOString() : ''
+    const samples = messages
+        .map(msg => (msg.message || '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .slice(0, CONFIG.DRY_RUN_SAMPLE_COUNT)
+        .map(text => text.length > 80 ? `${text.slice(0, 80)}…` : text)
+
+    return {
+        chatId,
+        chatTitle,
+        messageCount: messages.length,
+        firstDate: toIso(Math.min(...dates)),
+        lastDate: toIso(Math.max(...dates)),
+        samples
     }
 }
 
+/**
+ * 将删除预览导出到文件，根据扩展名选择 CSV 或 JSON 格式
+ * @param {Array<Object>} previews - 各群组的删除预览
+ * @param {string} [outputPath] - 导出路径，默认写入数据目录
+ * @returns {string} 实际写入的文件路径
+ */
+function exportPreview(previews, outputPath) {
+    const filePath = outputPath
+        ? path.resolve(outputPath)
+        : resolveDataPath(`delete-preview-${new Date().toISOString().replace(/[:.]/g, '-')}.json`)
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`
+        const header = ['chatId', 'chatTitle', 'messageCount', 'firstDate', 'lastDate', 'samples']
+        const rows = previews.map(p => [p.chatId, p.chatTitle, p.messageCount, p.firstDate, p.lastDate, p.samples.join(' | ')].map(escape).join(','))
+        fs.mkdirSync(path.dirname(filePath), { recursive: true })
+        // 写入 BOM 便于 Excel 正确识别中文
+        fs.writeFileSync(filePath, `\ufeff${[header.join(','), ...rows].join('\n')}\n`, 'utf8')
+    } else {
+        writeJsonFileAtomic(filePath, { generatedAt: new Date().toISOString(), chats: previews })
+    }
+
+    return filePath
+}
+
 /**
  * 主流程：删除符合条件的群组中当前用户的历史消息并输出汇总。
  *
@@ -368,7 +503,7 @@ async function processChat(client, dialog, currentUserId, currentUserAccessHash,
  * 7. 汇总并输出处理结果，最后关闭客户端连接。
  *
  * 注意：
- * - 使用 CONFIG 与环境变量控制行为（BATCH_SIZE、BATCH_DELAY、MONITOR_CHAT_IDS 等）。
+ * - 使用 CONFIG 与环境变量控制行为（BATCH_SIZE、RATE_LIMIT、MONITOR_CHAT_IDS 等）。
  * - 对单个群组失败采取局部捕获以保证整体流程继续。
  *
  * @returns {Promise<void>}
@@ -377,9 +512,10 @@ async function deleteAllHistory() {
     // 验证配置完整性
     validateConfig()
 
-    // 解析监控与排除列表（从环境变量字符串转为数组）
-    const monitorChatIds = parseChatIds(CONFIG.MONITOR_CHAT_IDS, true);
-    const notMonitorChatIds = parseChatIds(CONFIG.NOT_MONITOR_CHAT_IDS); // 获取不监控的群组ID
+    // 解析监控与排除列表（从环境变量字符串转为数组），命令行参数优先
+    const hasCliChats = CONFIG.CHAT_IDS.length > 0
+    const monitorChatIds = parseChatIds(hasCliChats ? CONFIG.CHAT_IDS.join(',') : CONFIG.MONITOR_CHAT_IDS, true);
+    const notMonitorChatIds = parseChatIds([CONFIG.NOT_MONITOR_CHAT_IDS, ...CONFIG.EXCLUDE_CHAT_IDS].filter(Boolean).join(',')); // 获取不监控的群组ID
     const isLimitedMode = monitorChatIds.length > 0
 
     // 创建 Telegram 客户端实例
@@ -431,7 +567,10 @@ async function deleteAllHistory() {
         };
 
         // 根据运行模式选择过滤策略
-        if (CONFIG.DELETE_HISTORY_MODE === 'true') {
+        if (hasCliChats) {
+            // 命令行指定了 --chat：只处理指定的群组（忽略 DELETE_HISTORY_MODE）
+            dialogsToProcess = filterDialogs(dialogs, 'limited');
+        } else if (CONFIG.DELETE_HISTORY_MODE === 'true') {
             // 全量删除模式：处理所有符合 shouldProcessChat 且不在 NOT_MONITOR 列表中的群组
             dialogsToProcess = filterDialogs(dialogs, 'all');
         } else if (isLimitedMode) {
@@ -444,7 +583,9 @@ async function deleteAllHistory() {
 
         // 若没有需要处理的群组，则提前退出
         if (dialogsToProcess.length === 0) {
-            logProgress('warning', CONFIG.DELETE_HISTORY_MODE === 'true' 
+            logProgress('warning', hasCliChats
+                ? '未找到 --chat 指定的群组，请检查群组 ID'
+                : CONFIG.DELETE_HISTORY_MODE === 'true' 
                 ? '未找到任何群组进行处理' 
                 : isLimitedMode 
                     ? '未找到匹配的监控群组，请检查 MONITOR_CHAT_IDS 配置' 
@@ -453,10 +594,13 @@ async function deleteAllHistory() {
         }
 
         // 输出运行配置信息与模式提示
-        logProgress('success', '开始删除 Telegram 历史消息');
-        logProgress('info', `配置 - 批量删除大小: ${CONFIG.BATCH_SIZE}, 批次延迟: ${CONFIG.BATCH_DELAY}ms`);
+        logProgress('success', CONFIG.DRY_RUN ? '开始预览将要删除的 Telegram 历史消息（--dry-run，不会删除任何消息）' : '开始删除 Telegram 历史消息');
+        logProgress('info', `配置 - 批量删除大小: ${CONFIG.BATCH_SIZE}`);
+        logProgress('info', `限制 - 总数: ${CONFIG.MESSAGES_LIMIT || '不限'}, 每个群组: ${CONFIG.CHAT_MESSAGES_LIMIT || '不限'}, 每个群组最大页数: ${CONFIG.MAX_PAGES || '不限'}`);
         
-        if (CONFIG.DELETE_HISTORY_MODE === 'true') {
+        if (hasCliChats) {
+            logProgress('info', `命令行指定群组 - 只处理: ${monitorChatIds.join(', ')}`);
+        } else if (CONFIG.DELETE_HISTORY_MODE === 'true') {
             logProgress('info', '模式: 删除所有群组中的历史消息');
         } else if (isLimitedMode) {
             logProgress('info', `限制模式 - 只处理指定的群组: ${monitorChatIds.join(', ')}`);
@@ -467,26 +611,136 @@ async function deleteAllHistory() {
             logProgress('info', `跳过的群组: ${notMonitorChatIds.join(', ')}`);
         }
         
+        // 显示命令行指定的消息过滤条件（若有）
+        const filterDescriptions = [
+            ARGS.since && `晚于 ${ARGS.since.toLocaleString()}`,
+            ARGS.until && `早于 ${ARGS.until.toLocaleString()}`,
+            CONFIG.CONTENT_TYPE === 'media' && '仅媒体消息',
+            CONFIG.CONTENT_TYPE === 'text' && '仅纯文本消息',
+            CONFIG.CONTAINS && `包含 "${CONFIG.CONTAINS}"`
+        ].filter(Boolean);
+        if (filterDescriptions.length > 0) {
+            logProgress('info', `消息过滤条件: ${filterDescriptions.join('，')}`);
+        }
+        
         logProgress('info', `准备处理 ${dialogsToProcess.length} 个群组`);
         logProgress('info', `当前用户ID: ${me.id}`);
 
+        // 删除前确认：交互终端中询问用户，非交互环境必须显式指定 --yes
+        if (!CONFIG.DRY_RUN && !CONFIG.ASSUME_YES) {
+            if (!process.stdin.isTTY) {
+                logProgress('error', '非交互环境下需要指定 --yes 确认删除（可先使用 --dry-run 预览）');
+                process.exitCode = 1;
+                return;
+            }
+            const confirmed = await confirmPrompt(`即将删除 ${dialogsToProcess.length} 个群组中当前用户发送的消息，删除后无法恢复，是否继续？`);
+            if (!confirmed) {
+                logProgress('warning', '已取消删除');
+                return;
+            }
+        }
+
+        // 删除进度检查点（预览模式不记录），--resume 时从上次中断的位置继续
+        const checkpoint = CONFIG.DRY_RUN ? null : createDeleteCheckpoint({ filePath: process.env.DELETE_CHECKPOINT_FILE });
+        if (checkpoint) {
+            const runOptions = {
+                chats: monitorChatIds,
+                exclude: notMonitorChatIds,
+                since: ARGS.since?.toISOString() || null,
+                until: ARGS.until?.toISOString() || null,
+                contentType: CONFIG.CONTENT_TYPE,
+                contains: CONFIG.CONTAINS
+            };
+            const unfinished = checkpoint.readUnfinished();
+            if (ARGS.resume && !unfinished) {
+                logProgress('warning', '没有找到未完成的删除进度，将从头开始');
+            } else if (!ARGS.resume && unfinished) {
+                logProgress('warning', `发现上次未完成的删除进度 (${unfinished.updatedAt})，本次将重新开始；如需继续请使用 --resume`);
+            } else if (unfinished && JSON.stringify(unfinished.options) !== JSON.stringify(runOptions)) {
+                logProgress('warning', `本次的群组或过滤条件与上次不同，将沿用上次的进度继续: ${JSON.stringify(unfinished.options)}`);
+            }
+
+            if (checkpoint.start(runOptions, ARGS.resume)) {
+                logProgress('info', `从检查点继续 (${checkpoint.filePath})，已完成 ${checkpoint.getSummary().chats.filter(c => c.completed).length} 个群组`);
+            }
+        }
+
+        // 删除前归档（预览模式不归档）
+        const archive = CONFIG.ARCHIVE && !CONFIG.DRY_RUN ? createHistoryArchive({ client }) : null
+        if (archive) {
+            logProgress('info', `删除前将消息归档到: ${archive.dir}`);
+        }
+
         // 逐个处理群组（串行处理以便更好地控制限流）
         const results = []
+        let remaining = CONFIG.MESSAGES_LIMIT
+        let stoppedByLimit = false
         for (let i = 0; i < dialogsToProcess.length; i++) {
+            // 达到总数限制（DELETE_MESSAGES_LIMIT）后不再处理后续群组
+            if (CONFIG.MESSAGES_LIMIT > 0 && remaining <= 0) {
+                logProgress('warning', `已达到总数限制 ${CONFIG.MESSAGES_LIMIT} 条，跳过剩余 ${dialogsToProcess.length - i} 个群组`);
+                stoppedByLimit = true;
+                break;
+            }
+
+            // 跳过之前的运行中已完成的群组
+            const chatId = dialogsToProcess[i].entity.id?.toString();
+            if (checkpoint?.isChatCompleted(chatId)) {
+                logProgress('info', `[${i + 1}/${dialogsToProcess.length}] 跳过已完成的群组: ${dialogsToProcess[i].entity.title || 'Unknown'} (ID: ${chatId})`);
+                continue;
+            }
+
+            // 本群组的数量限制取每个群组限制与剩余总数中较小的一个（0 表示不限制）
+            const chatLimit = [CONFIG.CHAT_MESSAGES_LIMIT, CONFIG.MESSAGES_LIMIT > 0 ? remaining : 0]
+                .filter(n => n > 0)
+                .reduce((min, n) => Math.min(min, n), Infinity);
+
             // processChat 内部已包含错误捕获与延迟，返回结构化结果用于汇总
-            const result = await processChat(client, dialogsToProcess[i], me.id, me.accessHash, i + 1, dialogsToProcess.length);
+            const result = await processChat(client, dialogsToProcess[i], me.id, me.accessHash, i + 1, dialogsToProcess.length,
+                Number.isFinite(chatLimit) ? chatLimit : 0, checkpoint, archive);
             results.push(result);
+            remaining -= result.messageCount || 0;
+            // 群组因数量限制或最大页数未处理完时，与达到总数限制一样保留检查点
+            if (result.truncated) stoppedByLimit = true;
         }
 
         // 汇总并输出结果统计
-        const totalDeleted = results.reduce((sum, r) => sum + (r.messageCount || 0), 0);
-        logProgress('success', `✨ 所有历史消息删除完成！`);
-        logProgress('success', `📊 总计删除消息: ${totalDeleted} 条`);
-        logProgress('success', `📋 处理群组数量: ${results.length} 个`);
+        if (CONFIG.DRY_RUN) {
+            const totalDeleted = results.reduce((sum, r) => sum + (r.messageCount || 0), 0);
+            const previews = results.filter(r => r.preview).map(r => r.preview);
+            logProgress('success', `✨ 预览完成，未删除任何消息`);
+            logProgress('success', `📊 将删除消息: ${totalDeleted} 条`);
+            logProgress('success', `📋 处理群组数量: ${results.length} 个`);
+            previews.forEach(p => {
+                logProgress('info', `${p.chatTitle} (ID: ${p.chatId}): ${p.messageCount} 条, ${p.firstDate} ~ ${p.lastDate}`);
+                p.samples.forEach(sample => console.log(`      - ${sample}`));
+            });
+            logProgress('success', `📄 预览已导出到: ${exportPreview(previews, CONFIG.DRY_RUN_OUTPUT)}`);
+            return;
+        }
+
+        if (archive) {
+            logProgress('success', `📦 归档页面已生成: ${archive.renderHtml()}`);
+        }
+
+        // 所有群组均成功处理后标记检查点完成，否则保留进度供 --resume 继续
+        const failedResults = results.filter(r => r.error);
+        if (failedResults.length === 0 && !stoppedByLimit) {
+            checkpoint.finish();
+            logProgress('success', `✨ 所有历史消息删除完成！`);
+        } else {
+            logProgress('warning', `删除未全部完成（失败 ${failedResults.length} 个群组${stoppedByLimit ? '，已达到数量或页数限制' : ''}），可使用 --resume 继续`);
+        }
+
+        // 汇总所有运行（包括之前中断的运行）的统计
+        const summary = checkpoint.getSummary();
+        logProgress('success', `📊 本次删除消息: ${results.reduce((sum, r) => sum + (r.deletedCount || 0), 0)} 条`);
+        logProgress('success', `📊 总计删除消息: ${summary.totalDeleted} 条（共 ${summary.runs} 次运行）`);
+        logProgress('success', `📋 处理群组数量: ${summary.chats.length} 个`);
         
         // 列出各群组删除详情（仅显示有删除记录的群组）
-        results.filter(r => r.messageCount > 0).forEach(r => {
-            logProgress('info', `${r.chatTitle}: ${r.messageCount} 条`);
+        summary.chats.filter(c => c.deletedCount > 0).forEach(c => {
+            logProgress('info', `${c.chatTitle}: ${c.deletedCount} 条${c.completed ? '' : '（未完成）'}`);
         })
 
     } catch (error) {
@@ -509,7 +763,7 @@ deleteAllHistory()
     .then(() => {
         logProgress('success', '脚本执行完成，准备退出。');
         // 短延迟确保所有日志输出完成后退出
-        setTimeout(() => process.exit(0), 200);
+        setTimeout(() => process.exit(), 200);
     })
     .catch(err => {
         logProgress('error', `致命错误: ${err.message}`);
@@ -0,0 +1,214 @@
+import { config } from 'dotenv'
+import { TelegramClient } from 'telegram'
+import { StringSession } from 'telegram/sessions/index.js'
+import { parseChatIds } from './utils/formatUtils.js'
+import { parseCliArgs, parseDateArg } from './utils/cliUtils.js'
+import { searchMessagePages } from './utils/historyUtils.js'
+import { createHistoryArchive } from './core/history-archive.js'
+
+config();
+
+// 命令行参数定义
+const CLI_OPTIONS = {
+    chat: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    mine: { type: 'boolean' },
+    media: { type: 'boolean' },
+    limit: { type: 'string' },
+    output: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+}
+
+const USAGE = `用法: npm run export-history -- [选项]
+
+选项:
+  --chat <id>         只导出指定群组（可重复或用逗号分隔，默认使用 MONITOR_CHAT_IDS，未配置时导出所有群组）
+  --exclude <id>      排除指定群组（可重复或用逗号分隔，与 NOT_MONITOR_CHAT_IDS 合并）
+  --since <时间>      只导出该时间之后的消息，如 2025-01-01、2025-01-01T08:00 或 7d、12h
+  --until <时间>      只导出该时间之前的消息（只写日期时包含当天）
+  --mine              只导出当前用户发送的消息
+  --media             同时下载媒体文件（大小上限见 ARCHIVE_MEDIA_MAX_MB）
+  --limit <数量>      每个群组最多导出的消息数
+  --output <目录>     导出目录（默认 DATA_DIR/exports/export-<时间>）
+  -h, --help          显示帮助`
+
+/**
+ * 解析命令行参数，参数无效时输出帮助并退出
+ * @returns {Object} 解析后的参数值
+ */
+function parseCommandLine() {
+    try {
+        const { values } = parseCliArgs(process.argv.slice(2), CLI_OPTIONS)
+        const since = values.since ? parseDateArg(values.since) : null
+        const until = values.until ? parseDateArg(values.until, { endOfDay: true }) : null
+        if (since && until && since >= until) {
+            throw new Error('--since 必须早于 --until')
+        }
+        const limit = values.limit === undefined ? 0 : parseInt(values.limit, 10)
+        if (isNaN(limit) || limit < 0) {
+            throw new Error('--limit 必须是非负整数')
+        }
+        return { ...values, since, until, limit }
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`)
+        console.error(USAGE)
+        process.exit(1)
+    }
+}
+
+const ARGS = parseCommandLine()
+
+if (ARGS.help) {
+    console.log(USAGE)
+    process.exit(0)
+}
+
+/**
+ * 配置对象
+ */
+const CONFIG = {
+    APP_ID: process.env.APP_ID,
+    APP_API_HASH: process.env.APP_API_HASH,
+    STRING_SESSION: process.env.STRING_SESSION,
+    MONITOR_CHAT_IDS: ARGS.chat.length > 0 ? ARGS.chat.join(',') : process.env.MONITOR_CHAT_IDS,
+    NOT_MONITOR_CHAT_IDS: [process.env.NOT_MONITOR_CHAT_IDS, ...ARGS.exclude].filter(Boolean).join(','),
+    MIN_DATE: ARGS.since ? Math.floor(ARGS.since.getTime() / 1000) : 0, // messages.Search 的 minDate（Unix 秒）
+    MAX_DATE: ARGS.until ? Math.floor(ARGS.until.getTime() / 1000) : 0, // messages.Search 的 maxDate（Unix 秒）
+    OUTPUT_DIR: ARGS.output || `exports/export-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+    CHAT_DELAY: 2000, // 群组间延迟（毫秒）
+    CLIENT_OPTIONS: {
+        connectionRetries: 3,
+        timeout: 10000,
+        retryDelay: 2000,
+        autoReconnect: true
+    }
+}
+
+/**
+ * 创建一个延迟执行的Promise对象
+ * @param {number} ms - 延迟等待的毫秒数
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 导出单个群组的历史消息
+ * @param {TelegramClient} client - Telegram 客户端实例
+ * @param {Object} archive - 归档实例
+ * @param {Object} chat - 聊天对象
+ * @param {Object|null} fromUser - 只导出该用户的消息（--mine）
+ * @returns {Promise<number>} 导出的消息数
+ */
+async function exportChat(client, archive, chat, fromUser) {
+    let exported = 0
+    const pages = searchMessagePages(client, chat, {
+        fromUser,
+        minDate: CONFIG.MIN_DATE,
+        maxDate: CONFIG.MAX_DATE
+    })
+
+    for await (const { pageNum, messages } of pages) {
+        // 跳过服务消息（入群、置顶等）
+        const validMessages = messages.filter(msg => msg?.id && msg.className === 'Message')
+        const pageMessages = ARGS.limit > 0 ? validMessages.slice(0, ARGS.limit - exported) : validMessages
+        exported += await archive.archiveMessages(chat, pageMessages)
+        console.log(`  第 ${pageNum} 页: 导出 ${pageMessages.length} 条，累计 ${exported} 条`)
+
+        if (ARGS.limit > 0 && exported >= ARGS.limit) break
+    }
+
+    return exported
+}
+
+/**
+ * 导出历史消息
+ *
+ * 将每个群组的消息写入 `<目录>/<群组ID>/messages.jsonl`，并生成可在浏览器中打开的 `<目录>/index.html`。
+ *
+ * @returns {Promise<void>}
+ */
+async function exportHistory() {
+    const missing = ['APP_ID', 'APP_API_HASH', 'STRING_SESSION'].filter(key => !CONFIG[key])
+    if (missing.length > 0) {
+        console.error(`❌ 缺少必要的环境变量: ${missing.join(', ')}`)
+        process.exitCode = 1
+        return
+    }
+
+    const monitorChatIds = parseChatIds(CONFIG.MONITOR_CHAT_IDS, true)
+    const notMonitorChatIds = parseChatIds(CONFIG.NOT_MONITOR_CHAT_IDS)
+
+    const client = new TelegramClient(
+        new StringSession(CONFIG.STRING_SESSION),
+        parseInt(CONFIG.APP_ID),
+        CONFIG.APP_API_HASH,
+        CONFIG.CLIENT_OPTIONS
+    )
+
+    try {
+        console.log('正在连接到 Telegram...')
+        await client.start({
+            botAuthToken: () => Promise.resolve(''),
+            onError: (err) => console.error(`连接错误: ${err.message}`)
+        })
+        console.log('✅ 成功连接到 Telegram!')
+
+        const me = await client.getMe()
+        const fromUser = ARGS.mine ? { userId: me.id, accessHash: me.accessHash } : null
+
+        // 只导出群组和超级群组，排除私聊与广播频道
+        const dialogs = (await client.getDialogs()).filter(dialog => {
+            const chat = dialog.entity
+            if (!chat || chat.className === 'User') return false
+            if (chat.className === 'Channel' && chat.broadcast) return false
+            const chatId = chat.id?.toString()
+            if (notMonitorChatIds.includes(chatId)) return false
+            return monitorChatIds.length === 0 || monitorChatIds.includes(chatId)
+        })
+
+        if (dialogs.length === 0) {
+            console.log('⚠️  未找到需要导出的群组，请检查 --chat 或 MONITOR_CHAT_IDS 配置')
+            return
+        }
+
+        const archive = createHistoryArchive({ client, dir: CONFIG.OUTPUT_DIR, downloadMedia: ARGS.media })
+        console.log(`准备导出 ${dialogs.length} 个群组${ARGS.mine ? '中当前用户发送' : ''}的消息到: ${archive.dir}`)
+
+        let total = 0
+        for (let i = 0; i < dialogs.length; i++) {
+            const chat = dialogs[i].entity
+            console.log(`[${i + 1}/${dialogs.length}] 导出群组: ${chat.title || 'Unknown'} (ID: ${chat.id})`)
+            try {
+                total += await exportChat(client, archive, chat, fromUser)
+            } catch (error) {
+                console.error(`❌ 导出群组 ${chat.title || 'Unknown'} 时出错: ${error.message}`)
+                process.exitCode = 1
+            }
+
+            if (i < dialogs.length - 1) {
+                await sleep(CONFIG.CHAT_DELAY)
+            }
+        }
+
+        console.log(`✨ 导出完成，共 ${total} 条消息`)
+        console.log(`📦 打开 ${archive.renderHtml()} 浏览导出的消息`)
+    } finally {
+        try {
+            await client.destroy()
+        } catch (destroyError) {
+            console.error(`关闭客户端时出错: ${destroyError.message}`)
+        }
+    }
+}
+
+exportHistory()
+    .then(() => setTimeout(() => process.exit(), 200))
+    .catch(err => {
+        console.error(`❌ 致命错误: ${err.message}`)
+        console.error(err.stack)
+        process.exit(1)
+    });
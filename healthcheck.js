@@ -3,15 +3,46 @@
 /**
  * 健康检查脚本
  * 用于 Docker 容器健康检查
+ *
+ * 除了检查配置外，还会读取监控进程写入的心跳状态文件（见 core/telegram-monitor.js 的 startHeartbeatInterval），
+ * 当最近心跳、最近收到更新等时间超过阈值（见 utils/healthUtils.js）时返回失败。
+ * 监控启动后连接成功前还没有心跳状态文件，启动宽限期（HEALTH_START_GRACE_SECONDS，默认 300 秒）内不视为失败。
  */
 
 import { config } from 'dotenv';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { resolveDataPath, readJsonFile } from './utils/storageUtils.js';
+import { DEFAULT_HEARTBEAT_STATE_FILE, getHealthThresholds, evaluateHealth } from './utils/healthUtils.js';
 
 // 加载环境变量
 config();
 
+// 默认启动宽限期（秒），监控连接 Telegram 成功前还没有心跳状态文件
+const DEFAULT_START_GRACE_SECONDS = 300;
+
+/**
+ * 获取容器主进程（PID 1）的启动时间
+ *
+ * 根据 /proc/1/stat 中的启动时间（开机后的时钟滴答数，USER_HZ 固定为 100）和系统运行时间计算，
+ * 非 Linux 系统或无法读取时返回 null。
+ *
+ * @returns {number|null} 毫秒时间戳
+ */
+function getProcessStartedAt() {
+  try {
+    const stat = fs.readFileSync('/proc/1/stat', 'utf8');
+    // 进程名可能包含空格，从最后一个 ")" 之后开始按字段拆分（第 3 个字段起）
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const startTicks = Number(fields[19]);
+    if (!Number.isFinite(startTicks)) return null;
+    return Date.now() - (os.uptime() - startTicks / 100) * 1000;
+  } catch {
+    return null;
+  }
+}
+
 // 检查基本文件是否存在
 const requiredFiles = ['.env'];
 const missingFiles = requiredFiles.filter(file => !fs.existsSync(path.join(process.cwd(), file)));
@@ -36,5 +67,34 @@ if (process.env.APP_ID && isNaN(process.env.APP_ID)) {
   process.exit(1);
 }
 
+// 检查心跳状态文件
+const stateFile = resolveDataPath(process.env.HEARTBEAT_STATE_FILE || DEFAULT_HEARTBEAT_STATE_FILE);
+const state = readJsonFile(stateFile, null);
+const processStartedAt = getProcessStartedAt();
+// 数据目录挂载为卷时，文件可能是上次运行留下的
+const isCurrentRun = !processStartedAt || Number(state?.startedAt) >= processStartedAt;
+
+if (!state || typeof state.lastEvents !== 'object' || !isCurrentRun) {
+  // 监控连接成功后才会写入心跳状态文件，启动宽限期内不视为失败
+  const graceSeconds = parseInt(process.env.HEALTH_START_GRACE_SECONDS, 10);
+  const uptimeSeconds = processStartedAt ? Math.floor((Date.now() - processStartedAt) / 1000) : null;
+  if (uptimeSeconds != null && uptimeSeconds <= (isNaN(graceSeconds) || graceSeconds < 0 ? DEFAULT_START_GRACE_SECONDS : graceSeconds)) {
+    console.log(`Heartbeat state file not written yet, starting for ${uptimeSeconds}s: ${stateFile}`);
+    process.exit(0);
+  }
+  console.log(`Heartbeat state file not found or invalid: ${stateFile}`);
+  process.exit(1);
+}
+
+const { healthy, checks } = evaluateHealth(state.lastEvents, state.startedAt, getHealthThresholds());
+const staleChecks = checks.filter(check => !check.ok);
+
+if (!healthy) {
+  for (const check of staleChecks) {
+    console.log(`Stale ${check.name}: last at ${check.lastAt || 'never'}, ${check.ageSeconds}s ago (max ${check.maxAgeSeconds}s)`);
+  }
+  process.exit(1);
+}
+
 console.log('Health check passed');
 process.exit(0);
\ No newline at end of file
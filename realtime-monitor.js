@@ -1,23 +1,67 @@
 import { config } from 'dotenv';
 import { createTelegramClient, initializeMonitoring, startCleanupInterval, 
          startHeartbeatInterval, startAutoDeleteInterval } from './core/telegram-monitor.js';
-import { deleteExpiredMessages } from './core/message-deleter.js';
+import { deleteExpiredMessages, loadRetentionConfig, resolveAutoDeleteScope, describeAutoDeleteScope } from './core/message-deleter.js';
+import { getMinRetentionMinutes } from './utils/retentionUtils.js';
+import { startBotCommands } from './core/bot-commands.js';
+import { startConfigReloader } from './core/config-reloader.js';
+import { startHttpServer } from './core/http-server.js';
+import { createExpiryQueue } from './core/expiry-queue.js';
 
 config();
 
 const APP_ID = process.env.APP_ID;
 const APP_API_HASH = process.env.APP_API_HASH;
 const STRING_SESSION = process.env.STRING_SESSION;
-const MONITOR_CHAT_IDS_RAW = process.env.MONITOR_CHAT_IDS;
-const NOT_MONITOR_CHAT_IDS_RAW = process.env.NOT_MONITOR_CHAT_IDS;
-const MONITOR_KEYWORDS_RAW = process.env.MONITOR_KEYWORDS;
 const AUTO_DELETE_MINUTES = parseInt(process.env.AUTO_DELETE_MINUTES) || 10;
-const NOTIFICATION_CHAT_ID = process.env.NOTIFICATION_CHAT_ID;  // 通知发送的目标群组ID
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;  // 用于发送通知的机器人Token
-const TARGET_USER_IDS_RAW = process.env.TARGET_USER_IDS;  // 优先监控的用户ID列表
-const USER_KEYWORDS_RAW = process.env.USER_KEYWORDS;       // 用户特定关键词
 const DEDUP_WINDOW_MINUTES = parseInt(process.env.DEDUP_WINDOW_MINUTES) || Math.max(1, AUTO_DELETE_MINUTES);
-const DELETE_NOTIFICATION_KEYWORDS = process.env.DELETE_NOTIFICATION_KEYWORDS; // 触发删除通知的关键词
+const HTTP_PORT = parseInt(process.env.HTTP_PORT, 10); // 内置 HTTP 服务端口（未设置时不启动）
+const AUTO_DELETE_QUEUE = process.env.AUTO_DELETE_QUEUE !== 'false'; // 按到期时间逐条删除自己发送的消息
+const AUTO_DELETE_RECONCILE_MINUTES = parseInt(process.env.AUTO_DELETE_RECONCILE_MINUTES || '60', 10); // 启用到期队列时全量扫描的间隔
+const BOT_ADMIN_IDS = (process.env.BOT_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean); // 可使用机器人管理命令的用户ID
+
+/**
+ * 从环境变量读取可热重载的监控配置（见 core/config-reloader.js 的 RELOADABLE_ENV_KEYS）
+ * @returns {Object} 原始监控配置，字段与 initializeMonitoring 的同名参数一致
+ */
+function readMonitorConfigFromEnv() {
+    return {
+        monitorChatIdsRaw: process.env.MONITOR_CHAT_IDS,
+        notMonitorChatIdsRaw: process.env.NOT_MONITOR_CHAT_IDS,
+        monitorKeywordsRaw: process.env.MONITOR_KEYWORDS,
+        notificationChatId: process.env.NOTIFICATION_CHAT_ID,  // 通知发送的目标群组ID
+        targetUserIdsRaw: process.env.TARGET_USER_IDS,  // 优先监控的用户ID列表
+        userKeywordsRaw: process.env.USER_KEYWORDS,  // 用户特定关键词
+        deleteNotificationKeywords: process.env.DELETE_NOTIFICATION_KEYWORDS,  // 触发删除通知的关键词
+        rulesFile: process.env.RULES_FILE,  // 过滤规则文件（JSON/YAML）
+        lotteryParsersDir: process.env.LOTTERY_PARSERS_DIR  // 自定义抽奖解析器目录
+    };
+}
+
+/**
+ * 计算自动删除的检查间隔
+ *
+ * 默认每 AUTO_DELETE_MINUTES 分钟检查一次；配置了 RETENTION_POLICY_FILE 时取其与策略中最短保留时长的较小值，
+ * 避免保留时长较短的群组中的消息过期后要等很久才被删除。
+ *
+ * @param {number} autoDeleteMinutes - AUTO_DELETE_MINUTES
+ * @returns {Promise<number>} 间隔毫秒数，0 表示不启用自动删除
+ */
+async function getAutoDeleteIntervalMs(autoDeleteMinutes) {
+    let minutes = autoDeleteMinutes > 0 ? autoDeleteMinutes : 0;
+    if (process.env.RETENTION_POLICY_FILE) {
+        try {
+            const minRetention = getMinRetentionMinutes(await loadRetentionConfig(autoDeleteMinutes));
+            if (minRetention != null) {
+                minutes = minutes > 0 ? Math.min(minutes, minRetention) : minRetention;
+            }
+        } catch (error) {
+            console.error(`❌ 加载保留策略失败: ${error.message}`);
+        }
+    }
+    return minutes > 0 ? Math.max(1, minutes) * 60 * 1000 : 0;
+}
 
 // 验证必要环境变量
 if (!APP_ID || !APP_API_HASH || !STRING_SESSION) {
@@ -45,6 +89,11 @@ let cleanupInterval;
 let heartbeatInterval;
 let deleteInterval;
 let telegramClient; // 保存 Telegram 客户端实例的引用
+let monitoringData; // 保存 initializeMonitoring 返回的监控数据
+let commandBot; // 机器人管理命令实例
+let stopConfigReloader; // 停止配置热重载的函数
+let httpServer; // 内置 HTTP 服务实例
+let expiryQueue; // 自动删除到期队列
 let isShuttingDown = false; // 标记是否正在关闭
 
 /**
@@ -65,6 +114,29 @@ const stopMonitoring = async () => {
     if (cleanupInterval) clearInterval(cleanupInterval);
     if (heartbeatInterval) clearInterval(heartbeatInterval);
     if (deleteInterval) clearInterval(deleteInterval);
+    if (stopConfigReloader) stopConfigReloader();
+    if (expiryQueue) expiryQueue.stop();
+
+    // 停止机器人管理命令的长轮询
+    if (commandBot) {
+        try {
+            await commandBot.stop();
+        } catch (err) {
+            console.warn("停止机器人管理命令时出错:", err.message);
+        }
+    }
+
+    // 关闭内置 HTTP 服务
+    if (httpServer) {
+        httpServer.close();
+    }
+
+    // 将去重缓存落盘，避免重启后重复通知；停止重试通知并保存队列，取消等待中的自动参与
+    if (monitoringData) {
+        monitoringData.flushProcessedMessages();
+        monitoringData.notificationQueue.stop();
+        monitoringData.autoJoiner.stop();
+    }
     
     // 断开 Telegram 客户端连接
     if (telegramClient) {
@@ -139,18 +211,24 @@ async function startMonitoring() {
             }
         });
 
+        // 自动删除：启用到期队列时，自己发送的消息在到期时立即删除，全量扫描只作为定期补漏
+        let intervalMs = await getAutoDeleteIntervalMs(AUTO_DELETE_MINUTES);
+        if (intervalMs > 0 && AUTO_DELETE_QUEUE) {
+            expiryQueue = createExpiryQueue({
+                client: telegramClient,
+                autoDeleteMinutes: AUTO_DELETE_MINUTES,
+                filePath: process.env.EXPIRY_QUEUE_FILE
+            });
+            intervalMs = AUTO_DELETE_RECONCILE_MINUTES > 0 ? AUTO_DELETE_RECONCILE_MINUTES * 60 * 1000 : 0;
+        }
+
         // 初始化监控服务
-        const monitoringData = await initializeMonitoring(telegramClient, {
-            monitorChatIdsRaw: MONITOR_CHAT_IDS_RAW,
-            notMonitorChatIdsRaw: NOT_MONITOR_CHAT_IDS_RAW,
-            monitorKeywordsRaw: MONITOR_KEYWORDS_RAW,
+        monitoringData = await initializeMonitoring(telegramClient, {
+            ...readMonitorConfigFromEnv(),
             autoDeleteMinutes: AUTO_DELETE_MINUTES,
-            notificationChatId: NOTIFICATION_CHAT_ID,
             telegramBotToken: TELEGRAM_BOT_TOKEN,
-            targetUserIdsRaw: TARGET_USER_IDS_RAW,
-            userKeywordsRaw: USER_KEYWORDS_RAW,
             dedupWindowMinutes: DEDUP_WINDOW_MINUTES,
-            deleteNotificationKeywords: DELETE_NOTIFICATION_KEYWORDS // 传递删除通知关键词
+            expiryQueue
         });
 
         // 启动定时清理任务
@@ -159,9 +237,45 @@ async function startMonitoring() {
         // 启动心跳检测
         heartbeatInterval = startHeartbeatInterval(telegramClient);
         
-        // 启动自动删除过期间隔
-        const intervalMs = monitoringData.autoDeleteMinutes > 0 ? Math.max(1, monitoringData.autoDeleteMinutes) * 60 * 1000 : 0;
-        deleteInterval = startAutoDeleteInterval(telegramClient, intervalMs, deleteExpiredMessages);
+        // 启动自动删除到期队列（重启前已到期的消息会立即删除）
+        if (expiryQueue) {
+            await expiryQueue.start();
+        }
+
+        // 启动自动删除过期间隔（启用到期队列时为全量扫描补漏，同时重新加载保留策略）
+        deleteInterval = startAutoDeleteInterval(telegramClient, intervalMs, async (client) => {
+            if (expiryQueue) await expiryQueue.reloadPolicies();
+            await deleteExpiredMessages(client);
+        }, describeAutoDeleteScope(resolveAutoDeleteScope()));
+
+        // 启动配置热重载（配置文件变化或收到 SIGHUP 时替换监控配置，无需重新连接）
+        stopConfigReloader = startConfigReloader({
+            onReload: async () => {
+                if (expiryQueue) await expiryQueue.reloadPolicies();
+                await monitoringData.controller.reloadConfig(readMonitorConfigFromEnv());
+            }
+        });
+
+        // 启动内置 HTTP 服务（/healthz、/metrics、/status、/queue）
+        if (HTTP_PORT > 0) {
+            httpServer = await startHttpServer({
+                port: HTTP_PORT,
+                host: process.env.HTTP_HOST,
+                controller: monitoringData.controller,
+                store: monitoringData.sentNotificationMessages,
+                queue: monitoringData.notificationQueue
+            });
+        }
+
+        // 启动机器人管理命令（需要 TELEGRAM_BOT_TOKEN 和 BOT_ADMIN_IDS）
+        if (TELEGRAM_BOT_TOKEN && BOT_ADMIN_IDS.length > 0) {
+            commandBot = await startBotCommands({
+                token: TELEGRAM_BOT_TOKEN,
+                adminIds: BOT_ADMIN_IDS,
+                controller: monitoringData.controller,
+                queue: monitoringData.notificationQueue
+            });
+        }
 
         console.log('✅ 监控已启动，按 Ctrl+C 停止');
     } catch (error) {
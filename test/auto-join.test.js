@@ -0,0 +1,54 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createAutoJoiner } from '../core/auto-join.js'
+
+const lottery = (messageId) => [
+    { id: messageId, peerId: { channelId: 12345n } },
+    { chatId: '12345', chatTitle: '抽奖群', senderId: '7', info: { keyword: '参加', prizes: [] } }
+]
+
+const createTempJoiner = (t, options = {}) => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2025, 0, 31, 23, 0).getTime() })
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-join-'))
+    const sent = []
+    const joiner = createAutoJoiner({ enabled: true, chatIds: '-10012345', delaySeconds: '10', logFile: path.join(dir, 'auto-join.jsonl'), ...options })
+    joiner.start({ client: { sendMessage: async (peer, { message }) => { sent.push(message); return { id: 100 } } }, selfId: '99' })
+    t.after(() => {
+        joiner.stop()
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+    return { joiner, sent }
+}
+
+test('不参与自己发送的抽奖，同一抽奖只参与一次', (t) => {
+    const { joiner } = createTempJoiner(t)
+    const [message, info] = lottery(1)
+    assert.equal(joiner.handleLottery(message, { ...info, senderId: '99' }), false)
+    assert.equal(joiner.handleLottery(message, info), true)
+    assert.equal(joiner.handleLottery(message, info), false)
+})
+
+test('stop() 取消的参与不计入当天的次数', (t) => {
+    const { joiner } = createTempJoiner(t, { dailyLimit: 1 })
+    assert.equal(joiner.handleLottery(...lottery(1)), true)
+    assert.equal(joiner.handleLottery(...lottery(2)), false)
+
+    joiner.stop()
+    assert.equal(joiner.handleLottery(...lottery(2)), true)
+})
+
+test('跨天后重置当天的参与次数', async (t) => {
+    const { joiner, sent } = createTempJoiner(t, { dailyLimit: 1 })
+    assert.equal(joiner.handleLottery(...lottery(1)), true)
+    t.mock.timers.tick(10 * 1000)
+    await new Promise(resolve => setImmediate(resolve))
+    assert.deepEqual(sent, ['参加'])
+    assert.equal(joiner.handleLottery(...lottery(2)), false)
+
+    t.mock.timers.tick(2 * 3600 * 1000)
+    assert.equal(joiner.handleLottery(...lottery(2)), true)
+})
@@ -0,0 +1,42 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseCliArgs, parseDateArg } from '../utils/cliUtils.js'
+
+const spec = {
+    chat: { type: 'string', multiple: true, short: 'c' },
+    since: { type: 'string' },
+    yes: { type: 'boolean', short: 'y' }
+}
+
+test('解析长参数、短参数、布尔开关和位置参数', () => {
+    const { values, positionals } = parseCliArgs(['-c', '1,2', '--chat=3', '--since', '7d', '-y', 'extra', '--', '--chat'], spec)
+    assert.deepEqual(values, { chat: ['1', '2', '3'], since: '7d', yes: true })
+    assert.deepEqual(positionals, ['extra', '--chat'])
+})
+
+test('未指定的参数使用默认值，负数可以作为参数值', () => {
+    assert.deepEqual(parseCliArgs([], spec).values, { chat: [], yes: false })
+    assert.deepEqual(parseCliArgs(['--chat', '-1001234'], spec).values.chat, ['-1001234'])
+})
+
+test('未知参数或缺少参数值时抛出错误', () => {
+    assert.throws(() => parseCliArgs(['--unknown'], spec), /未知参数: --unknown/)
+    assert.throws(() => parseCliArgs(['-x'], spec), /未知参数: -x/)
+    assert.throws(() => parseCliArgs(['--since'], spec), /缺少值/)
+    assert.throws(() => parseCliArgs(['--since', '--yes'], spec), /缺少值/)
+    assert.throws(() => parseCliArgs(['--yes=1'], spec), /不接受值/)
+})
+
+test('解析相对时间', () => {
+    const now = new Date(2025, 0, 31, 12, 0, 0).getTime()
+    assert.equal(parseDateArg('30m', { now }).getTime(), now - 30 * 60 * 1000)
+    assert.equal(parseDateArg('7D', { now }).getTime(), now - 7 * 86400 * 1000)
+    assert.equal(parseDateArg('2w', { now }).getTime(), now - 14 * 86400 * 1000)
+})
+
+test('仅包含日期时按本地时区解析，endOfDay 取当天结束', () => {
+    assert.equal(parseDateArg('2025-01-31').getTime(), new Date(2025, 0, 31).getTime())
+    assert.equal(parseDateArg('2025-01-31', { endOfDay: true }).getTime(), new Date(2025, 0, 31, 23, 59, 59, 999).getTime())
+    assert.equal(parseDateArg('2025-01-31 08:00').getTime(), new Date(2025, 0, 31, 8, 0).getTime())
+    assert.throws(() => parseDateArg('昨天'), /无法解析日期/)
+})
@@ -0,0 +1,83 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { startConfigReloader } from '../core/config-reloader.js'
+
+/**
+ * 测试结束后恢复环境变量
+ * @param {Object} t - 测试上下文
+ * @param {Array<string>} keys - 环境变量名
+ */
+function restoreEnvAfter(t, keys) {
+    const previous = Object.fromEntries(keys.map(key => [key, process.env[key]]))
+    t.after(() => {
+        for (const [key, value] of Object.entries(previous)) {
+            if (value === undefined) delete process.env[key]
+            else process.env[key] = value
+        }
+    })
+}
+
+/**
+ * 使用临时配置文件启动热重载，发送 SIGHUP 并等待 onReload 执行完成
+ * @param {Object} t - 测试上下文
+ * @param {string} content - 配置文件内容
+ * @param {Function} onReload - 重载回调
+ */
+async function reloadWith(t, content, onReload) {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-reloader-'))
+    const filePath = path.join(dir, '.env')
+    fs.writeFileSync(filePath, content)
+
+    let resolveReloaded
+    const reloaded = new Promise(resolve => { resolveReloaded = resolve })
+    const stop = startConfigReloader({
+        filePath,
+        watch: false,
+        onReload: async (reason) => {
+            try {
+                await onReload(reason)
+            } finally {
+                setImmediate(resolveReloaded)
+            }
+        }
+    })
+    t.after(() => {
+        stop()
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    process.emit('SIGHUP')
+    await reloaded
+}
+
+test('重载成功后使用配置文件中的值', async (t) => {
+    restoreEnvAfter(t, ['MONITOR_KEYWORDS', 'APP_ID'])
+    process.env.MONITOR_KEYWORDS = '旧关键词'
+    delete process.env.APP_ID
+
+    let seen = null
+    await reloadWith(t, 'MONITOR_KEYWORDS=新关键词\nAPP_ID=123\n', () => { seen = process.env.MONITOR_KEYWORDS })
+
+    assert.equal(seen, '新关键词')
+    assert.equal(process.env.MONITOR_KEYWORDS, '新关键词')
+    // 不支持热重载的配置不会被写入
+    assert.equal(process.env.APP_ID, undefined)
+})
+
+test('重载失败时恢复原来的环境变量', async (t) => {
+    restoreEnvAfter(t, ['MONITOR_KEYWORDS', 'RULES_FILE'])
+    process.env.MONITOR_KEYWORDS = '旧关键词'
+    delete process.env.RULES_FILE
+
+    await reloadWith(t, 'MONITOR_KEYWORDS=新关键词\nRULES_FILE=missing.json\n', () => {
+        throw new Error('规则文件不存在')
+    })
+
+    assert.equal(process.env.MONITOR_KEYWORDS, '旧关键词')
+    assert.equal(process.env.RULES_FILE, undefined)
+})
@@ -0,0 +1,122 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createExpiryQueue } from '../core/expiry-queue.js'
+
+test('到期消息通过客户端删除并从队列中移除', async (t) => {
+    t.mock.method(console, 'log', () => {})
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expiry-queue-'))
+    const filePath = path.join(dir, 'expiry-queue.json')
+    const entry = (messageId) => ({
+        chatId: '123',
+        messageId,
+        peer: { type: 'chat', id: '123' },
+        mediaType: 'text',
+        keep: { pinned: true, repliedTo: false },
+        expiresAt: Date.now() - 1000,
+        attempts: 0
+    })
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, entries: [entry(1), entry(2)] }))
+
+    const deleteCalls = []
+    let resolveDeleted
+    const deleted = new Promise(resolve => { resolveDeleted = resolve })
+    const client = {
+        // 消息 2 已被置顶，应保留
+        getMessages: async (peer, { ids }) => ids.map(id => ({ id, pinned: id === 2 })),
+        deleteMessages: async (peer, ids, options) => {
+            deleteCalls.push({ ids, options })
+            resolveDeleted()
+        }
+    }
+
+    const queue = createExpiryQueue({ client, autoDeleteMinutes: 10, filePath })
+    try {
+        await queue.start()
+        await Promise.race([
+            deleted,
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('未调用 deleteMessages')), 2000).unref())
+        ])
+        // 等待删除后的清理完成
+        await new Promise(resolve => setImmediate(resolve))
+
+        assert.equal(deleteCalls.length, 1)
+        assert.deepEqual(deleteCalls[0].ids, [1])
+        assert.deepEqual(deleteCalls[0].options, { revoke: true })
+        assert.equal(queue.size(), 0)
+    } finally {
+        queue.stop()
+        fs.rmSync(dir, { recursive: true, force: true })
+    }
+})
+
+/**
+ * 开启 ARCHIVE_BEFORE_DELETE 并创建包含一条到期消息的队列
+ * @param {Object} t - 测试上下文
+ * @param {Object} client - 模拟的客户端
+ * @returns {{queue: Object, archiveDir: string}}
+ */
+function createArchivingQueue(t, client) {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'error', () => {})
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expiry-queue-'))
+    const archiveDir = path.join(dir, 'archive')
+    const previousEnv = { ARCHIVE_BEFORE_DELETE: process.env.ARCHIVE_BEFORE_DELETE, ARCHIVE_DIR: process.env.ARCHIVE_DIR }
+    process.env.ARCHIVE_BEFORE_DELETE = 'true'
+    process.env.ARCHIVE_DIR = archiveDir
+
+    const filePath = path.join(dir, 'expiry-queue.json')
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, entries: [{ chatId: '123', messageId: 1, peer: { type: 'chat', id: '123' },
+        mediaType: 'text', keep: {}, expiresAt: Date.now() - 1000, attempts: 0 }] }))
+    const queue = createExpiryQueue({ client, autoDeleteMinutes: 10, filePath })
+    t.after(() => {
+        queue.stop()
+        for (const [key, value] of Object.entries(previousEnv)) {
+            if (value === undefined) delete process.env[key]
+            else process.env[key] = value
+        }
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+    return { queue, archiveDir }
+}
+
+test('开启删除前归档时先归档再删除', async (t) => {
+    let resolveDeleted
+    const deleted = new Promise(resolve => { resolveDeleted = resolve })
+    const client = {
+        getMessages: async (peer, { ids }) => ids.map(id => ({ id, date: 1700000000, message: `消息 ${id}` })),
+        getEntity: async () => ({ id: 123, title: '测试群' }),
+        deleteMessages: async () => resolveDeleted()
+    }
+    const { queue, archiveDir } = createArchivingQueue(t, client)
+
+    await queue.start()
+    await Promise.race([deleted, new Promise((resolve, reject) => setTimeout(() => reject(new Error('未调用 deleteMessages')), 2000).unref())])
+
+    const [record] = fs.readFileSync(path.join(archiveDir, '123', 'messages.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    assert.equal(record.id, 1)
+    assert.equal(record.text, '消息 1')
+})
+
+test('归档失败时不删除，记录保留在队列中', async (t) => {
+    let resolveArchiveTried
+    const archiveTried = new Promise(resolve => { resolveArchiveTried = resolve })
+    const deleteCalls = []
+    const client = {
+        getMessages: async (peer, { ids }) => ids.map(id => ({ id, date: 1700000000, message: `消息 ${id}` })),
+        getEntity: async () => ({ id: 123, title: '测试群' }),
+        deleteMessages: async (peer, ids) => { deleteCalls.push(ids) }
+    }
+    const { queue, archiveDir } = createArchivingQueue(t, client)
+    // 归档目录被同名文件占用，写入会失败
+    fs.writeFileSync(archiveDir, '')
+    t.mock.method(console, 'error', () => resolveArchiveTried())
+
+    await queue.start()
+    await Promise.race([archiveTried, new Promise((resolve, reject) => setTimeout(() => reject(new Error('未尝试归档')), 2000).unref())])
+
+    assert.equal(deleteCalls.length, 0)
+    assert.equal(queue.size(), 1)
+})
@@ -0,0 +1,30 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildEditedNotificationMessage } from '../utils/formatUtils.js'
+
+const extractDiff = (text) => text.match(/<pre><code class="language-diff">([\s\S]*)<\/code><\/pre>$/)[1].split('\n')
+
+test('只列出编辑前后变化的行', () => {
+    const text = buildEditedNotificationMessage('<b>通知</b>', '第一行\n口令：abc\n第三行', '第一行\n口令：xyz\n第三行\n新增 <b>')
+
+    assert.ok(text.startsWith('<b>通知</b>\n\n<b>✏️ 编辑前后对比：</b>\n'))
+    assert.deepEqual(extractDiff(text), ['- 口令：abc', '+ 口令：xyz', '+ 新增 &lt;b&gt;'])
+})
+
+test('对比过长时截断，且不超过消息长度上限', () => {
+    const previousText = Array.from({ length: 150 }, (_, i) => `旧内容第 ${i} 行 ${'-'.repeat(30)}`).join('\n')
+    const currentText = Array.from({ length: 150 }, (_, i) => `新内容第 ${i} 行 ${'-'.repeat(30)}`).join('\n')
+    const text = buildEditedNotificationMessage('通知', previousText, currentText)
+
+    assert.ok(text.length <= 4096)
+    const lines = extractDiff(text)
+    assert.ok(lines[0].startsWith('- 旧内容第 0 行'))
+    assert.equal(lines[lines.length - 1], '…… 共 300 行变化')
+})
+
+test('编辑后不再命中时在对比前标注', () => {
+    const text = buildEditedNotificationMessage('通知', '抽奖开始', '活动取消', { unmatched: true })
+
+    assert.ok(text.startsWith('通知\n\n<b>⚠️ 编辑后的消息已不再命中关键词或规则</b>\n\n<b>✏️ 编辑前后对比：</b>\n'))
+    assert.deepEqual(extractDiff(text), ['- 抽奖开始', '+ 活动取消'])
+})
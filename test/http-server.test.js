@@ -0,0 +1,13 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { startHttpServer } from '../core/http-server.js'
+
+test('未指定监听地址时只监听本机', async (t) => {
+    t.mock.method(console, 'log', () => {})
+    const server = await startHttpServer({ port: 0, controller: null, store: null, queue: null })
+    t.after(() => server.close())
+
+    assert.equal(server.address().address, '127.0.0.1')
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/healthz`, { method: 'POST' })
+    assert.equal(response.status, 405)
+})
@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { splitKeywordList, matchKeyword, evaluateKeywords, matchAnyKeyword } from '../utils/keywordUtils.js'
+
+test('拆分关键词配置时保留正则中的逗号', () => {
+    assert.deepEqual(splitKeywordList('抽奖, /\\d{1,3}/ ,红包'), ['抽奖', '/\\d{1,3}/', '红包'])
+    assert.deepEqual(splitKeywordList('/a,b'), ['/a', 'b'])
+    assert.deepEqual(splitKeywordList(''), [])
+})
+
+test('普通关键词不区分大小写，纯英文关键词按单词边界匹配', () => {
+    assert.equal(matchKeyword('Free AIRDROP now', 'airdrop'), true)
+    assert.equal(matchKeyword('airdrops', 'airdrop'), false)
+    assert.equal(matchKeyword('今晚抽奖', '抽奖'), true)
+})
+
+test('支持 /pattern/flags 形式的正则关键词', () => {
+    assert.equal(matchKeyword('红包 88 个', '/红包\\s*\\d+/'), true)
+    assert.equal(matchKeyword('HELLO', '/hello/i'), true)
+    assert.equal(matchKeyword('HELLO', '/hello/'), false)
+})
+
+test('与组合要求所有部分都命中', () => {
+    assert.equal(matchKeyword('抽奖活动，口令是 abc', '抽奖 + 口令'), true)
+    assert.equal(matchKeyword('抽奖活动', '抽奖 + 口令'), false)
+})
+
+test('命中排除项时整个列表不匹配', () => {
+    const keywords = ['抽奖', '红包', '-已结束']
+    assert.deepEqual(evaluateKeywords('抽奖和红包', keywords), { matched: true, matchedKeywords: ['抽奖', '红包'] })
+    assert.deepEqual(evaluateKeywords('抽奖已结束', keywords), { matched: false, matchedKeywords: [] })
+    assert.equal(matchAnyKeyword('普通消息', keywords), false)
+    assert.equal(matchAnyKeyword('', keywords), false)
+})
+
+test('+ 两侧没有空格时按普通关键词匹配', () => {
+    assert.equal(matchKeyword('招聘 C++ 工程师', 'C++'), true)
+    assert.equal(matchKeyword('C 语言', 'C++'), false)
+    assert.equal(matchKeyword('1+1=2', '1+1'), true)
+})
+
+test('只有排除项的列表不匹配任何消息', () => {
+    assert.deepEqual(evaluateKeywords('普通消息', ['-广告']), { matched: false, matchedKeywords: [] })
+})
@@ -0,0 +1,115 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { parseLotteryMessage, hasLotteryDetails, loadLotteryParsers, setLotteryParsers, getLotteryParserNames, compileLotteryParser } from '../utils/lotteryUtils.js'
+
+test('内置 lottery-bot 格式', () => {
+    const text = [
+        '🎉 抽奖活动',
+        '奖品：',
+        'iPhone × 1',
+        '红包 * 5',
+        '',
+        '参与关键词：「我要抽奖」',
+        '创建者：@alice',
+        '自动开奖人数：100',
+        '抽奖创建时间：2025-01-31 12:00'
+    ].join('\n')
+
+    assert.deepEqual(parseLotteryMessage(text, ''), {
+        createTime: '2025-01-31 12:00',
+        prizes: [{ name: 'iPhone', count: 1 }, { name: '红包', count: 5 }],
+        keyword: '我要抽奖',
+        creator: '@alice',
+        autoOpenCount: 100
+    })
+})
+
+test('内置红包格式和 giveaway 格式', () => {
+    const redPacket = parseLotteryMessage('🧧 红包来了\n口令：「恭喜发财」\n金额：88 USDT\n个数：10', '')
+    assert.equal(redPacket.keyword, '恭喜发财')
+    assert.deepEqual(redPacket.prizes, [{ name: '红包 88 USDT', count: 10 }])
+
+    const giveaway = parseLotteryMessage('Giveaway time!\nPrizes:\n- Premium x 3\n\nSend "join" to enter\nHosted by: Bob', '')
+    assert.equal(giveaway.keyword, 'join')
+    assert.equal(giveaway.creator, 'Bob')
+    assert.deepEqual(giveaway.prizes, [{ name: 'Premium', count: 3 }])
+})
+
+test('没有解析器识别时，只解析命中关键词的消息', () => {
+    assert.equal(parseLotteryMessage('普通消息', '抽奖'), null)
+    assert.deepEqual(parseLotteryMessage('今晚抽奖\n创建者：bob', '抽奖').creator, 'bob')
+})
+
+test('从目录加载自定义解析器，按发送者和文本特征识别', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lottery-parsers-'))
+    t.after(() => {
+        setLotteryParsers([])
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+    fs.writeFileSync(path.join(dir, 'my-bot.json'), JSON.stringify({
+        parsers: [{
+            name: 'my-bot',
+            senders: ['-100123456'],
+            signature: ['/Draw #\\d+/'],
+            fields: {
+                keyword: '/Send\\s+"(.+?)"\\s+to join/i',
+                prizes: { after: '/^Rewards:/', item: '/^\\W*(.+?)\\s*x\\s*(\\d+)$/' }
+            }
+        }, { name: 'red-packet', enabled: false }]
+    }))
+    fs.writeFileSync(path.join(dir, 'README.txt'), '非解析器文件会被忽略')
+
+    setLotteryParsers(await loadLotteryParsers(dir))
+    assert.deepEqual(getLotteryParserNames(), ['my-bot', 'lottery-bot', 'lucky-draw', 'giveaway'])
+
+    const text = 'Draw #42\nRewards:\n• Gift card x 2\n\nSend "hello" to join'
+    const info = parseLotteryMessage(text, '', { senderId: '123456' })
+    assert.equal(info.keyword, 'hello')
+    assert.deepEqual(info.prizes, [{ name: 'Gift card', count: 2 }])
+    // 发送者不匹配时不使用该解析器
+    assert.equal(parseLotteryMessage(text, '', { senderId: '999' }), null)
+})
+
+test('无效的解析器定义会抛出错误', () => {
+    assert.throws(() => compileLotteryParser({}), /需要包含 name 字段/)
+    assert.throws(() => compileLotteryParser({ name: 'x', fields: { keyword: '/a/' } }), /需要配置 senders 或 signature/)
+    assert.throws(() => compileLotteryParser({ name: 'x', signature: '/a/' }), /需要配置 fields 或 parse/)
+    assert.throws(() => compileLotteryParser({ name: 'x', signature: '/a/', fields: { amount: '/a/' } }), /不支持的字段/)
+})
+
+test('只有解析出关键词或奖品的结果才视为抽奖', () => {
+    assert.equal(hasLotteryDetails(parseLotteryMessage('今晚抽奖', '抽奖')), false)
+    assert.equal(hasLotteryDetails(parseLotteryMessage('今晚抽奖\n参与关键词：「来了」', '抽奖')), true)
+    assert.equal(hasLotteryDetails(null), false)
+})
+
+test('.js 解析器只在文件修改后重新执行', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lottery-parsers-'))
+    t.after(() => {
+        setLotteryParsers([])
+        delete globalThis.lotteryParserLoads
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+    const filePath = path.join(dir, 'js-bot.mjs')
+    const writeParser = (keyword, mtime) => {
+        fs.writeFileSync(filePath, [
+            'globalThis.lotteryParserLoads = (globalThis.lotteryParserLoads || 0) + 1',
+            `export default { name: 'js-bot', signature: '/JS Draw/', parse: () => ({ keyword: '${keyword}' }) }`
+        ].join('\n'))
+        fs.utimesSync(filePath, mtime, mtime)
+    }
+
+    writeParser('v1', new Date('2025-01-01T00:00:00Z'))
+    await loadLotteryParsers(dir)
+    setLotteryParsers(await loadLotteryParsers(dir))
+    assert.equal(globalThis.lotteryParserLoads, 1)
+    assert.equal(parseLotteryMessage('JS Draw', '').keyword, 'v1')
+
+    writeParser('v2', new Date('2025-01-02T00:00:00Z'))
+    setLotteryParsers(await loadLotteryParsers(dir))
+    assert.equal(globalThis.lotteryParserLoads, 2)
+    assert.equal(parseLotteryMessage('JS Draw', '').keyword, 'v2')
+})
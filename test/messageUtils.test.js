@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { handleMessage } from '../utils/messageUtils.js'
+
+test('命中的抽奖消息即使没有通知目标也会按真实发送者交给自动参与', async (t) => {
+    t.mock.method(console, 'log', () => {})
+    const calls = []
+    const autoJoiner = { enabled: true, handleLottery: (message, lottery) => calls.push(lottery) }
+    const client = { getEntity: async () => ({ id: 12345, title: '抽奖群' }) }
+    const message = {
+        id: 1,
+        peerId: { channelId: 12345n },
+        fromId: { userId: 7n },
+        message: '抽奖活动\n参与关键词：「我要参加」'
+    }
+
+    await handleMessage(message, client, new Map(), [], [], [], [], ['抽奖'], '99', '', '', '', '', [], [], null, null, null, null, null, autoJoiner)
+
+    assert.equal(calls.length, 1)
+    assert.equal(calls[0].chatId, '12345')
+    assert.equal(calls[0].senderId, '7')
+    assert.equal(calls[0].info.keyword, '我要参加')
+})
+
+test('已通知的消息编辑后不再命中时更新原通知并标注不再命中', async (t) => {
+    t.mock.method(console, 'log', () => {})
+    const edits = []
+    const chat = { id: 12345, title: '抽奖群' }
+    const client = {
+        getEntity: async () => chat,
+        editMessage: async (target, params) => edits.push(params)
+    }
+    const sentNotificationMessages = {
+        findBySource: (chatId, messageId) => (chatId === '12345' && messageId === 1 ? [{ targetChatId: '555', messageId: 9 }] : []),
+        getTargetChatIds: () => []
+    }
+    const processedMessages = new Map([['12345:1', { ts: Date.now(), text: '今晚抽奖' }]])
+    const message = {
+        id: 1,
+        editDate: 1700000000,
+        peerId: { channelId: 12345n },
+        fromId: { userId: 7n },
+        message: '活动取消'
+    }
+
+    await handleMessage(message, client, processedMessages, [], [], [], [], ['抽奖'], '99', '', '', '', '', [], [], sentNotificationMessages, null, null, null, null, null)
+
+    assert.equal(edits.length, 1)
+    assert.equal(edits[0].message, 9)
+    assert.match(edits[0].text, /编辑后的消息已不再命中关键词或规则/)
+    assert.match(edits[0].text, /- 今晚抽奖\n\+ 活动取消/)
+    assert.equal(processedMessages.get('12345:1').text, '活动取消')
+})
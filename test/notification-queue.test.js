@@ -0,0 +1,76 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createNotificationQueue } from '../core/notification-queue.js'
+
+const createTempQueue = (t, options = {}) => {
+    t.mock.method(console, 'log', () => {})
+    t.mock.method(console, 'warn', () => {})
+    t.mock.method(console, 'error', () => {})
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-queue-'))
+    const filePath = path.join(dir, 'queue.json')
+    const deadLetterFile = path.join(dir, 'dead-letter.jsonl')
+    const queue = createNotificationQueue({ filePath, deadLetterFile, ...options })
+    t.after(() => {
+        queue.stop()
+        fs.rmSync(dir, { recursive: true, force: true })
+    })
+    return { queue, filePath, deadLetterFile }
+}
+
+const readDeadLetters = (deadLetterFile) => fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+
+test('失败的投递按指数退避或 retry_after 等待后重试', (t) => {
+    const { queue, filePath } = createTempQueue(t)
+    const before = Date.now()
+    queue.enqueue({ channel: 'bot', target: '1', text: 'a' }, new Error('网络错误'))
+    queue.enqueue({ channel: 'bot', target: '2', text: 'b' }, Object.assign(new Error('Too Many Requests'), { retryAfter: 5 }))
+
+    const [flood, network] = queue.getStatus().items
+    assert.equal(flood.target, '2')
+    assert.equal(flood.attempts, 0)
+    assert.ok(Date.parse(flood.nextAttemptAt) >= before + 5000 && Date.parse(flood.nextAttemptAt) < before + 30 * 1000)
+    assert.equal(network.target, '1')
+    assert.equal(network.attempts, 1)
+    assert.ok(Date.parse(network.nextAttemptAt) >= before + 30 * 1000)
+
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.length, 2)
+})
+
+test('无法重试的错误直接写入死信文件', (t) => {
+    const { queue, deadLetterFile } = createTempQueue(t)
+    queue.enqueue({ channel: 'bot', target: '1', text: 'a', label: '测试' }, Object.assign(new Error('chat not found'), { permanent: true }))
+
+    assert.equal(queue.size(), 0)
+    assert.equal(queue.getStatus().deadLetters, 1)
+    const [deadLetter] = readDeadLetters(deadLetterFile)
+    assert.equal(deadLetter.target, '1')
+    assert.equal(deadLetter.reason, 'chat not found')
+})
+
+test('启动后重试到期的投递，重试次数用完时写入死信文件', async (t) => {
+    const { queue, filePath, deadLetterFile } = createTempQueue(t, { maxAttempts: 2 })
+    const entry = (id, target) => ({ id, channel: 'bot', target, text: id, attempts: 1, createdAt: Date.now(), nextAttemptAt: 0 })
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, entries: [entry('ok', '1'), entry('fail', '2')] }))
+
+    const delivered = []
+    assert.equal(queue.start(async (job) => {
+        delivered.push(job.id)
+        if (job.id === 'fail') throw new Error('仍然失败')
+    }), 2)
+
+    const deadline = Date.now() + 2000
+    while (queue.size() > 0) {
+        assert.ok(Date.now() < deadline, '到期的投递未被处理')
+        await new Promise(resolve => setTimeout(resolve, 10))
+    }
+
+    assert.deepEqual(delivered, ['ok', 'fail'])
+    const [deadLetter] = readDeadLetters(deadLetterFile)
+    assert.equal(deadLetter.id, 'fail')
+    assert.equal(deadLetter.attempts, 2)
+    assert.match(deadLetter.reason, /重试 2 次后仍失败/)
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.length, 0)
+})
@@ -0,0 +1,225 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import net from 'net'
+import { buildNotificationEvent, deliverToNotifier } from '../utils/notifierUtil.js'
+
+const event = buildNotificationEvent({
+    chatId: '12345',
+    chatTitle: '测试群',
+    senderId: '67890',
+    senderName: 'Alice',
+    message: { id: 7, date: 1700000000 },
+    text: '今晚 8 点抽奖',
+    matchedKeywords: ['抽奖'],
+    lotteryInfo: null
+})
+
+/**
+ * 在测试期间设置环境变量，结束后恢复
+ * @param {Object} t - 测试上下文
+ * @param {Object} values - 环境变量，值为 undefined 时删除
+ */
+function setEnv(t, values) {
+    const previous = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]))
+    const apply = (entries) => {
+        for (const [key, value] of Object.entries(entries)) {
+            if (value === undefined) delete process.env[key]
+            else process.env[key] = value
+        }
+    }
+    apply(values)
+    t.after(() => apply(previous))
+}
+
+/**
+ * 启动记录请求的本地 HTTP 服务
+ * @param {Object} t - 测试上下文
+ * @param {number} [status=200] - 返回的状态码
+ * @returns {Promise<{baseUrl: string, requests: Array<Object>}>}
+ */
+async function startHttpServer(t, status = 200) {
+    const requests = []
+    const server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) })
+            res.writeHead(status, { 'Content-Type': 'text/plain' })
+            res.end('ok')
+        })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    t.after(() => {
+        server.closeAllConnections()
+        server.close()
+    })
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests }
+}
+
+/**
+ * 启动只实现发信所需命令的本地 SMTP 服务
+ * @param {Object} t - 测试上下文
+ * @param {Object} [options]
+ * @param {Array<string>} [options.extensions] - EHLO 中声明的扩展
+ * @returns {Promise<{port: number, commands: Array<string>, messages: Array<string>}>}
+ */
+async function startSmtpServer(t, { extensions = [] } = {}) {
+    const commands = []
+    const messages = []
+    const server = net.createServer((socket) => {
+        let buffer = ''
+        let data = null
+        socket.write('220 fake.smtp ESMTP\r\n')
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8')
+            let index
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index)
+                buffer = buffer.slice(index + 2)
+                if (data) {
+                    if (line === '.') {
+                        messages.push(data.join('\r\n'))
+                        data = null
+                        socket.write('250 queued\r\n')
+                    } else {
+                        data.push(line)
+                    }
+                    continue
+                }
+
+                commands.push(line)
+                const verb = line.split(' ')[0].toUpperCase()
+                if (verb === 'EHLO') {
+                    const lines = ['fake.smtp', ...extensions]
+                    socket.write(lines.map((item, i) => `250${i < lines.length - 1 ? '-' : ' '}${item}\r\n`).join(''))
+                } else if (verb === 'AUTH') {
+                    socket.write('235 authenticated\r\n')
+                } else if (verb === 'DATA') {
+                    data = []
+                    socket.write('354 go ahead\r\n')
+                } else if (verb === 'QUIT') {
+                    socket.end('221 bye\r\n')
+                } else {
+                    socket.write('250 ok\r\n')
+                }
+            }
+        })
+        socket.on('error', () => {})
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    t.after(() => server.close())
+    return { port: server.address().port, commands, messages }
+}
+
+test('Discord 和 Slack 后端把渲染后的消息 POST 到 Webhook 地址', async (t) => {
+    const { baseUrl, requests } = await startHttpServer(t)
+
+    await deliverToNotifier('discord', `${baseUrl}/discord`, event)
+    await deliverToNotifier('slack', `${baseUrl}/slack`, event)
+
+    const [discord, slack] = requests
+    assert.equal(discord.method, 'POST')
+    assert.equal(discord.url, '/discord')
+    assert.equal(discord.headers['content-type'], 'application/json')
+    assert.equal(discord.body.embeds[0].title, '📨 测试群')
+    assert.equal(discord.body.embeds[0].description, '今晚 8 点抽奖')
+    assert.deepEqual(discord.body.embeds[0].fields.find(field => field.name === '关键词'), { name: '关键词', value: '抽奖', inline: true })
+
+    assert.equal(slack.url, '/slack')
+    assert.equal(slack.body.blocks[0].text.text, '📨 测试群')
+    assert.match(slack.body.text, /今晚 8 点抽奖/)
+})
+
+test('ntfy 后端 POST 到服务器根地址，主题、优先级和令牌放在请求中', async (t) => {
+    const { baseUrl, requests } = await startHttpServer(t)
+    setEnv(t, { NTFY_TOKEN: 'tk_secret', NTFY_PRIORITY: '4' })
+
+    await deliverToNotifier('ntfy', `${baseUrl}/alerts`, event)
+
+    const [request] = requests
+    assert.equal(request.url, '/')
+    assert.equal(request.headers.authorization, 'Bearer tk_secret')
+    assert.equal(request.body.topic, 'alerts')
+    assert.equal(request.body.priority, 4)
+    assert.equal(request.body.title, '📨 测试群')
+    assert.match(request.body.message, /关键词: 抽奖/)
+})
+
+test('Gotify 后端 POST 到 /message 并在请求头中附带应用令牌', async (t) => {
+    const { baseUrl, requests } = await startHttpServer(t)
+    setEnv(t, { GOTIFY_TOKEN: 'app-token', GOTIFY_PRIORITY: undefined })
+
+    await deliverToNotifier('gotify', `${baseUrl}/`, event)
+
+    const [request] = requests
+    assert.equal(request.url, '/message')
+    assert.equal(request.headers['x-gotify-key'], 'app-token')
+    assert.equal(request.body.priority, 5)
+    assert.match(request.body.message, /消息内容:\n今晚 8 点抽奖/)
+})
+
+test('后端返回 4xx 时抛出永久性错误', async (t) => {
+    const { baseUrl } = await startHttpServer(t, 404)
+
+    await assert.rejects(deliverToNotifier('discord', `${baseUrl}/discord`, event), (error) => {
+        assert.equal(error.permanent, true)
+        assert.match(error.message, /^404/)
+        return true
+    })
+})
+
+test('email 后端不认证时通过 SMTP 发送邮件给所有收件人', async (t) => {
+    const { port, commands, messages } = await startSmtpServer(t)
+    setEnv(t, {
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: String(port),
+        SMTP_SECURE: undefined,
+        SMTP_USER: undefined,
+        SMTP_PASS: undefined,
+        SMTP_FROM: 'monitor@example.com',
+        SMTP_ALLOW_INSECURE_AUTH: undefined
+    })
+
+    await deliverToNotifier('email', 'a@example.com,b@example.com', event)
+
+    assert.deepEqual(commands.filter(line => !line.startsWith('EHLO')), [
+        'MAIL FROM:<monitor@example.com>',
+        'RCPT TO:<a@example.com>',
+        'RCPT TO:<b@example.com>',
+        'DATA',
+        'QUIT'
+    ])
+    assert.equal(messages.length, 1)
+    assert.match(messages[0], /^To: a@example\.com, b@example\.com$/m)
+    const body = messages[0].split('\r\n\r\n')[1]
+    assert.match(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'), /今晚 8 点抽奖/)
+})
+
+test('服务器不支持 STARTTLS 时拒绝明文认证，除非显式允许', async (t) => {
+    const { port, commands, messages } = await startSmtpServer(t, { extensions: ['AUTH PLAIN LOGIN'] })
+    setEnv(t, {
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: String(port),
+        SMTP_SECURE: undefined,
+        SMTP_USER: 'monitor@example.com',
+        SMTP_PASS: 'secret',
+        SMTP_FROM: undefined,
+        SMTP_ALLOW_INSECURE_AUTH: undefined
+    })
+
+    await assert.rejects(deliverToNotifier('email', 'a@example.com', event), (error) => {
+        assert.equal(error.permanent, true)
+        assert.match(error.message, /STARTTLS/)
+        return true
+    })
+    assert.equal(commands.some(line => line.startsWith('AUTH')), false)
+    assert.equal(messages.length, 0)
+
+    process.env.SMTP_ALLOW_INSECURE_AUTH = 'true'
+    await deliverToNotifier('email', 'a@example.com', event)
+
+    const credentials = Buffer.from('\0monitor@example.com\0secret', 'utf8').toString('base64')
+    assert.ok(commands.includes(`AUTH PLAIN ${credentials}`))
+    assert.equal(messages.length, 1)
+})
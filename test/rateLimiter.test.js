@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { schedule, getFloodWaitSeconds } from '../utils/rateLimiter.js'
+
+test('从 FLOOD_WAIT、SLOWMODE_WAIT 和 retry_after 中解析等待秒数', () => {
+    assert.equal(getFloodWaitSeconds(new Error('A wait of 30 seconds is required (caused by FLOOD_WAIT_30)')), 30)
+    assert.equal(getFloodWaitSeconds({ errorMessage: 'SLOWMODE_WAIT_10' }), 10)
+    assert.equal(getFloodWaitSeconds({ retryAfter: 5 }), 5)
+    assert.equal(getFloodWaitSeconds(new Error('CHAT_WRITE_FORBIDDEN')), null)
+})
+
+test('慢速模式只让当前请求等待，不暂停同一账号的其他请求', async (t) => {
+    t.mock.method(console, 'warn', () => {})
+    let calls = 0
+    let signalSlowmode
+    const limited = new Promise(resolve => { signalSlowmode = resolve })
+    const slowmode = schedule('client.send', async () => {
+        calls++
+        if (calls === 1) {
+            signalSlowmode()
+            throw Object.assign(new Error('SLOWMODE_WAIT_1'), { errorMessage: 'SLOWMODE_WAIT_1' })
+        }
+        return 'sent'
+    })
+
+    await limited
+    const startedAt = Date.now()
+    assert.equal(await schedule('client.read', async () => 'read'), 'read')
+    assert.ok(Date.now() - startedAt < 500)
+
+    assert.equal(await slowmode, 'sent')
+    assert.equal(calls, 2)
+    assert.ok(Date.now() - startedAt >= 900)
+})
+
+test('FLOOD_WAIT 暂停同一账号的所有请求', async (t) => {
+    t.mock.method(console, 'warn', () => {})
+    let calls = 0
+    let signalFlood
+    const flooded = new Promise(resolve => { signalFlood = resolve })
+    const flood = schedule('client.send', async () => {
+        calls++
+        if (calls === 1) {
+            signalFlood()
+            throw Object.assign(new Error('FLOOD_WAIT_1'), { errorMessage: 'FLOOD_WAIT_1' })
+        }
+        return 'sent'
+    })
+
+    await flooded
+    const startedAt = Date.now()
+    assert.equal(await schedule('client.read', async () => 'read'), 'read')
+    assert.ok(Date.now() - startedAt >= 900)
+    assert.equal(await flood, 'sent')
+})
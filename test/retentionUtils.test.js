@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import {
+    buildDefaultRetentionConfig,
+    loadRetentionPolicies,
+    resolveChatPolicy,
+    getRetentionMinutes,
+    policyDeletesAnything,
+    getMinRetentionMinutes,
+    getProtectionReason
+} from '../utils/retentionUtils.js'
+
+const writePolicyFile = (t, content) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+    const filePath = path.join(dir, 'retention.json')
+    fs.writeFileSync(filePath, JSON.stringify(content))
+    return filePath
+}
+
+test('没有策略文件时使用 AUTO_DELETE_MINUTES', () => {
+    const config = buildDefaultRetentionConfig(10)
+    const policy = resolveChatPolicy(config, '12345')
+    assert.equal(getRetentionMinutes(policy, 'photo'), 10)
+    assert.equal(getMinRetentionMinutes(config), 10)
+    assert.equal(policyDeletesAnything(resolveChatPolicy(buildDefaultRetentionConfig(0), '12345')), false)
+})
+
+test('按群组匹配第一条策略，未配置的项继承 defaults', async (t) => {
+    const filePath = writePolicyFile(t, {
+        defaults: { keep: { pinned: true } },
+        policies: [
+            { name: '优惠群', chats: ['-10012345'], retention: '5m' },
+            { name: '团队群', chats: '67890', retention: '24h', contentTypes: { media: 'never', voice: '1h' }, keep: { markers: '#keep' } },
+            { name: '存档群', chats: ['11111'], retention: 'never' }
+        ]
+    })
+    const config = await loadRetentionPolicies(filePath, 30)
+
+    const deals = resolveChatPolicy(config, '12345')
+    assert.equal(deals.name, '优惠群')
+    assert.equal(getRetentionMinutes(deals, 'text'), 5)
+    assert.deepEqual(deals.keep, { pinned: true })
+
+    const team = resolveChatPolicy(config, '67890')
+    assert.equal(getRetentionMinutes(team, 'text'), 1440)
+    assert.equal(getRetentionMinutes(team, 'photo'), null)
+    assert.equal(getRetentionMinutes(team, 'voice'), 60)
+    assert.deepEqual(team.keep, { pinned: true, markers: ['#keep'] })
+
+    assert.equal(policyDeletesAnything(resolveChatPolicy(config, '11111')), false)
+    assert.equal(resolveChatPolicy(config, '99999').name, '默认')
+    assert.equal(getRetentionMinutes(resolveChatPolicy(config, '99999'), 'text'), 30)
+    assert.equal(getMinRetentionMinutes(config), 5)
+})
+
+test('策略文件中的无效配置会抛出错误', async (t) => {
+    await assert.rejects(loadRetentionPolicies(writePolicyFile(t, { policies: {} }), 10), /格式无效/)
+    await assert.rejects(loadRetentionPolicies(writePolicyFile(t, { policies: [{ retention: '5 分钟' }] }), 10), /保留时长无效/)
+    await assert.rejects(loadRetentionPolicies(writePolicyFile(t, { policies: [{ contentTypes: { gif: '1h' } }] }), 10), /不支持的消息类型/)
+})
+
+test('判断消息是否受保护', () => {
+    const keep = { pinned: true, repliedTo: true, markers: ['#keep'] }
+    assert.equal(getProtectionReason({ id: 1, pinned: true }, keep, new Set()), 'pinned')
+    assert.equal(getProtectionReason({ id: 2 }, keep, new Set([2])), 'repliedTo')
+    assert.equal(getProtectionReason({ id: 3, replies: { replies: 1 } }, keep, new Set()), 'repliedTo')
+    assert.equal(getProtectionReason({ id: 4, message: '保留 #keep' }, keep, new Set()), 'marker')
+    assert.equal(getProtectionReason({ id: 5, pinned: true, message: '普通消息' }, {}, new Set([5])), null)
+})
@@ -0,0 +1,53 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeRule, buildDefaultRules, evaluateRules } from '../utils/ruleUtils.js'
+
+const context = { chatId: '12345', senderId: '7', text: '今晚抽奖，口令 hello', mediaType: 'text' }
+const matchNames = (rules, overrides = {}) => evaluateRules(rules, { ...context, ...overrides }).map(match => match.rule.name)
+
+test('规范化规则：规范化群组和发送者ID，校验媒体类型', () => {
+    const rule = normalizeRule({ name: 'r', chats: '-10012345, 67890', senders: [7], mediaTypes: ['Photo'] })
+    assert.deepEqual(rule.chats, ['12345', '67890'])
+    assert.deepEqual(rule.senders, ['7'])
+    assert.deepEqual(rule.mediaTypes, ['photo'])
+    assert.equal(rule.enabled, true)
+    assert.equal(normalizeRule({}, 2).name, 'rule-3')
+
+    assert.throws(() => normalizeRule({ name: 'bad', mediaTypes: ['gif'] }), /不支持的媒体类型/)
+    assert.throws(() => normalizeRule({ name: 'bad', regex: ['('] }), /正则表达式无效/)
+    assert.throws(() => normalizeRule(null), /格式无效/)
+})
+
+test('每条规则独立评估，同一规则内的条件为与关系', () => {
+    const rules = [
+        normalizeRule({ name: '群组', chats: ['12345'] }),
+        normalizeRule({ name: '其他群组', chats: ['67890'] }),
+        normalizeRule({ name: '排除群组', excludeChats: ['-10012345'] }),
+        normalizeRule({ name: '发送者+关键词', senders: ['7'], keywords: ['抽奖'] }),
+        normalizeRule({ name: '其他发送者', senders: ['8'] }),
+        normalizeRule({ name: '排除关键词', keywords: ['抽奖'], excludeKeywords: ['口令'] }),
+        normalizeRule({ name: '正则', regex: ['/口令\\s+\\w+/'] }),
+        normalizeRule({ name: '图片', mediaTypes: ['photo'] }),
+        normalizeRule({ name: '已停用', enabled: false })
+    ]
+
+    assert.deepEqual(matchNames(rules), ['群组', '发送者+关键词', '正则'])
+    assert.deepEqual(matchNames(rules, { mediaType: 'photo', text: '[图片]' }), ['群组', '图片'])
+})
+
+test('返回命中规则中的关键词', () => {
+    const [match] = evaluateRules([normalizeRule({ keywords: ['红包', '抽奖'] })], context)
+    assert.deepEqual(match.matchedKeywords, ['抽奖'])
+})
+
+test('默认规则与原有环境变量的过滤逻辑一致', () => {
+    assert.deepEqual(buildDefaultRules({}).map(rule => rule.name), ['默认: 全部消息'])
+    assert.deepEqual(buildDefaultRules({ includeCatchAll: false }), [])
+
+    const rules = buildDefaultRules({ targetUserIds: ['7'], userKeywords: ['口令'], monitorKeywords: ['红包'] })
+    assert.equal(rules.length, 2)
+    assert.ok(rules.every(rule => rule.implicit))
+    assert.equal(matchNames(rules).length, 1)
+    assert.equal(matchNames(rules, { senderId: '8' }).length, 0)
+    assert.equal(matchNames(rules, { senderId: '8', text: '发红包了' }).length, 1)
+})
@@ -0,0 +1,136 @@
+/**
+ * 命令行参数解析工具
+ *
+ * 项目仍需支持 Node 16（util.parseArgs 在 16.17 之前不可用），因此使用简单的手写解析器。
+ */
+
+import readline from 'readline';
+
+/**
+ * 解析命令行参数
+ *
+ * 支持 `--name value`、`--name=value`、短参数 `-n value` 以及布尔开关 `--flag`。
+ * 单独的 `--` 之后的参数全部作为位置参数。
+ *
+ * @param {Array<string>} argv - 参数列表（通常为 process.argv.slice(2)）
+ * @param {Object<string, {type: 'string'|'boolean', multiple?: boolean, short?: string}>} spec - 参数定义
+ * @returns {{ values: Object, positionals: Array<string> }} 解析结果，multiple 参数的值为数组
+ * @throws {Error} 遇到未知参数或缺少参数值时抛出
+ */
+export function parseCliArgs(argv, spec) {
+    const values = {};
+    const positionals = [];
+    const shortNames = Object.fromEntries(
+        Object.entries(spec).filter(([, option]) => option.short).map(([name, option]) => [option.short, name])
+    );
+
+    for (const [name, option] of Object.entries(spec)) {
+        if (option.multiple) values[name] = [];
+        else if (option.type === 'boolean') values[name] = false;
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        let name;
+        let inlineValue;
+        if (arg.startsWith('--')) {
+            const eqIndex = arg.indexOf('=');
+            name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+            inlineValue = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+        } else if (arg.startsWith('-') && arg.length === 2) {
+            name = shortNames[arg[1]];
+            if (!name) throw new Error(`未知参数: ${arg}`);
+        } else {
+            positionals.push(arg);
+            continue;
+        }
+
+        const option = spec[name];
+        if (!option) throw new Error(`未知参数: --${name}`);
+
+        if (option.type === 'boolean') {
+            if (inlineValue !== undefined) throw new Error(`参数 --${name} 不接受值`);
+            values[name] = true;
+            continue;
+        }
+
+        let value = inlineValue;
+        if (value === undefined) {
+            value = argv[i + 1];
+            if (value === undefined || (value.startsWith('-') && value.length > 1 && !/^-\d/.test(value))) {
+                throw new Error(`参数 --${name} 缺少值`);
+            }
+            i++;
+        }
+
+        if (option.multiple) {
+            // 支持 --chat 1,2 与 --chat 1 --chat 2 两种写法
+            values[name].push(...value.split(',').map(item => item.trim()).filter(Boolean));
+        } else {
+            values[name] = value;
+        }
+    }
+
+    return { values, positionals };
+}
+
+/**
+ * 解析日期参数
+ *
+ * 支持：
+ * - 日期或日期时间：`2025-01-31`、`2025-01-31T08:00`、`2025-01-31 08:00:00`
+ * - 相对时间（距现在）：`30m`、`12h`、`7d`、`2w`
+ *
+ * 仅包含日期的值按本地时区解析；endOfDay 为 true 时取该日结束时间（用于 --until 等包含当天的上界）。
+ *
+ * @param {string} value - 参数值
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.endOfDay=false] - 仅包含日期时是否取当天结束
+ * @param {number} [options.now=Date.now()] - 当前时间（用于相对时间）
+ * @returns {Date} 解析后的日期
+ * @throws {Error} 无法解析时抛出
+ */
+export function parseDateArg(value, { endOfDay = false, now = Date.now() } = {}) {
+    const raw = String(value).trim();
+
+    const relative = raw.match(/^(\d+)\s*([mhdw])$/i);
+    if (relative) {
+        const unitMs = { m: 60 * 1000, h: 3600 * 1000, d: 86400 * 1000, w: 7 * 86400 * 1000 };
+        return new Date(now - Number(relative[1]) * unitMs[relative[2].toLowerCase()]);
+    }
+
+    const dateOnly = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (dateOnly) {
+        const [, year, month, day] = dateOnly.map(Number);
+        return endOfDay
+            ? new Date(year, month - 1, day + 1, 0, 0, 0, -1)
+            : new Date(year, month - 1, day);
+    }
+
+    const date = new Date(raw.replace(' ', 'T'));
+    if (isNaN(date.getTime())) {
+        throw new Error(`无法解析日期: ${value}（支持 2025-01-31、2025-01-31T08:00 或 7d、12h 等相对时间）`);
+    }
+    return date;
+}
+
+/**
+ * 在终端中请求用户确认
+ * @param {string} question - 提示问题
+ * @returns {Promise<boolean>} 用户输入 y/yes 时返回 true
+ */
+export async function confirmPrompt(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = await new Promise(resolve => rl.question(`${question} (y/N) `, resolve));
+        return /^y(es)?$/i.test(answer.trim());
+    } finally {
+        rl.close();
+    }
+}
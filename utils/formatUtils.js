@@ -43,6 +43,38 @@ export function parseChatIds(chatIds, validateNumeric = false) {
     return result;
 }
 
+// 抽奖通知的标题（开奖后在标题后追加“已开奖”）
+const LOTTERY_TITLE = '<b>🔔 抽奖红包提醒通知</b>';
+// 开奖通知中最多列出的中奖者数量
+const MAX_LISTED_WINNERS = 30;
+// Telegram 单条消息的最大长度
+const MAX_MESSAGE_LENGTH = 4096;
+// 逐行比较编辑前后内容的最大行数（超过时整体显示为删除旧内容、添加新内容）
+const MAX_DIFF_LINES = 200;
+
+// 通知内联键盘的回调数据前缀（由 core/bot-commands.js 处理），格式为 `前缀:参数`
+export const NOTIFICATION_CALLBACKS = {
+    muteChat: 'mute_chat',
+    muteSender: 'mute_sender',
+    dismiss: 'dismiss'
+};
+// 通知中“静音群组”按钮的静音时长（分钟）
+export const NOTIFICATION_MUTE_MINUTES = 60;
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+    if (!text || typeof text !== 'string') return '';
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
 
 /**
  * 构建格式化的消息文本，用于发送抽奖红包提醒通知或显示普通消息内容。
@@ -52,35 +84,40 @@ export function parseChatIds(chatIds, validateNumeric = false) {
  * @param {string|null|undefined} fromId - 消息来源 ID（通常为消息 ID）
  * @param {Object|null|undefined} lotteryInfo - 抽奖信息对象，包含创建者、时间、参与人数、口令和奖品等信息
  * @param {string|null|undefined} displayText - 当 lotteryInfo 不存在时显示的普通消息内容
+ * @param {Object} [options] - 额外选项
+ * @param {Array<string>} [options.matchedRuleNames] - 命中的过滤规则名称列表
+ * @param {string} [options.mediaLabel] - 原始消息的媒体类型名称（如“图片”），纯文本消息为空
+ * @param {boolean} [options.edited] - 是否为编辑后的消息
  * @returns {string} 格式化后的消息文本，使用 HTML 格式
  */
-export function buildFormattedMessage(chatTitle, chatId, fromId, lotteryInfo, displayText) {
+export function buildFormattedMessage(chatTitle, chatId, fromId, lotteryInfo, displayText, options = {}) {
     try {
         // 处理参数默认值，防止 null 或 undefined 导致错误
         const safeChatTitle = chatTitle ?? '';
         const safeChatId = chatId ?? '';
         const safeFromId = fromId ?? '';
 
-        // 转义HTML特殊字符
-        const escapeHtml = (text) => {
-            if (!text || typeof text !== 'string') return '';
-            return text
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;')
-                .replace(/"/g, '&quot;')
-                .replace(/'/g, '&#039;');
-        };
-
         const escapedChatTitle = escapeHtml(safeChatTitle);
         const escapedChatId = escapeHtml(safeChatId);
 
         let messageParts = [];
 
+        const { matchedRuleNames = [], mediaLabel = '', edited = false } = options;
+
+        // 命中的过滤规则（仅显示规则文件中配置的规则）
+        const ruleLine = Array.isArray(matchedRuleNames) && matchedRuleNames.length > 0
+            ? `<b>📐 规　则：</b> ${escapeHtml(matchedRuleNames.join(', '))}\n`
+            : '';
+        const mediaLine = mediaLabel ? `<b>📎 媒　体：</b> ${escapeHtml(mediaLabel)}\n` : '';
+        const editedLine = edited ? `<b>✏️ 状　态：</b> 已编辑\n` : '';
+
         // 如果存在抽奖信息且为对象类型，则构建抽奖通知消息
         if (lotteryInfo && typeof lotteryInfo === 'object') {
-            messageParts.push(`<b>🔔 抽奖红包提醒通知</b>\n\n`);
+            messageParts.push(`${LOTTERY_TITLE}\n\n`);
             messageParts.push(`<b>🚩 群　组：</b> ${escapedChatTitle} (ID: ${escapedChatId})\n`);
+            messageParts.push(ruleLine);
+            messageParts.push(mediaLine);
+            messageParts.push(editedLine);
 
             if (lotteryInfo.creator !== undefined && lotteryInfo.creator !== null) {
                 messageParts.push(`<b>👑 财　神：</b> ${escapeHtml(lotteryInfo.creator)}\n`);
@@ -115,6 +152,9 @@ export function buildFormattedMessage(chatTitle, chatId, fromId, lotteryInfo, di
         } else {
             // 否则显示普通消息内容
             const safeDisplayText = displayText ?? '';
+            messageParts.push(ruleLine);
+            messageParts.push(mediaLine);
+            messageParts.push(editedLine);
             messageParts.push(`\n<b>消息内容:</b>\n${escapeHtml(safeDisplayText)}`);
         }
 
@@ -123,4 +163,171 @@ export function buildFormattedMessage(chatTitle, chatId, fromId, lotteryInfo, di
         console.error("Error building formatted message:", error);
         return ""; // 返回空字符串避免中断流程
     }
-}
\ No newline at end of file
+}
+
+/**
+ * 构建原始消息的链接
+ *
+ * `https://t.me/c/<群组ID>/<消息ID>` 只适用于超级群组和频道，普通群组和私聊没有可用的消息链接。
+ *
+ * @param {string} chatId - 原始消息所在群组ID
+ * @param {number} messageId - 原始消息ID
+ * @param {Object} [peerId] - 原始消息的 peerId，用于判断是否为超级群组或频道
+ * @returns {string|null} 不支持消息链接时返回 null
+ */
+export function buildMessageLink(chatId, messageId, peerId) {
+    const normalizedChatId = normalizeId(chatId);
+    if (peerId?.channelId == null || !normalizedChatId || messageId == null) return null;
+    return `https://t.me/c/${normalizedChatId}/${messageId}`;
+}
+
+/**
+ * 构建通知消息的内联键盘（Bot API reply_markup）
+ *
+ * 打开消息、复制口令为链接和复制按钮，不需要机器人处理；静音和忽略按钮的回调由机器人管理命令处理，
+ * 只在启用机器人管理命令时添加。
+ *
+ * @param {Object} options - 通知信息
+ * @param {string} options.chatId - 原始消息所在群组ID
+ * @param {string|null} [options.messageLink] - 原始消息的链接（见 buildMessageLink），没有时不添加打开消息按钮
+ * @param {string} [options.senderId] - 规范化后的发送者ID
+ * @param {string|null} [options.keyword] - 抽奖口令
+ * @param {boolean} [options.actions=true] - 是否添加需要机器人处理回调的按钮
+ * @returns {Object|null} `{ inline_keyboard }`，没有任何按钮时返回 null
+ */
+export function buildNotificationKeyboard({ chatId, messageLink = null, senderId, keyword, actions = true }) {
+    const normalizedChatId = normalizeId(chatId);
+    const linkRow = [];
+    if (messageLink) {
+        linkRow.push({ text: '🔗 打开消息', url: messageLink });
+    }
+    if (keyword) {
+        linkRow.push({ text: '📋 复制口令', copy_text: { text: keyword } });
+    }
+
+    const rows = linkRow.length > 0 ? [linkRow] : [];
+    if (actions) {
+        const actionRow = [{ text: `🔇 静音群组 ${NOTIFICATION_MUTE_MINUTES / 60} 小时`, callback_data: `${NOTIFICATION_CALLBACKS.muteChat}:${normalizedChatId}` }];
+        if (senderId) {
+            actionRow.push({ text: '🙈 屏蔽发送者', callback_data: `${NOTIFICATION_CALLBACKS.muteSender}:${senderId}` });
+        }
+        actionRow.push({ text: '✖️ 忽略', callback_data: NOTIFICATION_CALLBACKS.dismiss });
+        rows.push(actionRow);
+    }
+    return rows.length > 0 ? { inline_keyboard: rows } : null;
+}
+
+/**
+ * 在抽奖通知中追加开奖结果，用于开奖后原地编辑通知
+ *
+ * @param {string} originalText - 原通知文本（buildFormattedMessage 的结果）
+ * @param {Object} result - 开奖结果
+ * @param {Array<string>} result.winners - 中奖者列表
+ * @param {boolean|null} result.selfWon - 当前账号是否中奖，null 表示无法判断
+ * @returns {string} 编辑后的通知文本，使用 HTML 格式
+ */
+export function buildLotteryResultMessage(originalText, { winners = [], selfWon = null } = {}) {
+    const title = String(originalText ?? '').replace(LOTTERY_TITLE, `${LOTTERY_TITLE} (已开奖)`);
+
+    let selfLine = '';
+    if (selfWon === true) {
+        selfLine = `\n<b>🎊 当前账号已中奖！</b>`;
+    } else if (selfWon === false) {
+        selfLine = `\n<b>😶 当前账号未中奖</b>`;
+    }
+
+    // 名单过长时减少列出的中奖者，保证不超过消息长度上限
+    const build = (limit) => {
+        const parts = [`\n\n<b>🎉 已开奖</b>\n`];
+        if (winners.length === 0) {
+            parts.push(`<b>🏆 中奖者：</b> 未能识别中奖名单`);
+        } else {
+            parts.push(`<b>🏆 中奖者：</b> ${winners.length} 人`);
+            for (const winner of winners.slice(0, limit)) {
+                parts.push(`\n               ${escapeHtml(winner)}`);
+            }
+            if (winners.length > limit) {
+                parts.push(`\n               …… 等 ${winners.length} 人`);
+            }
+        }
+        return title + parts.join('') + selfLine;
+    };
+
+    let limit = MAX_LISTED_WINNERS;
+    let text = build(limit);
+    while (text.length > MAX_MESSAGE_LENGTH && limit > 0) {
+        text = build(--limit);
+    }
+    return text;
+}
+
+/**
+ * 逐行比较编辑前后的消息内容（最长公共子序列）
+ * @param {string} oldText - 编辑前的内容
+ * @param {string} newText - 编辑后的内容
+ * @returns {Array<string>} 变化的行，删除的行以 "- " 开头，添加的行以 "+ " 开头
+ */
+function diffLines(oldText, newText) {
+    const oldLines = String(oldText ?? '').split('\n');
+    const newLines = String(newText ?? '').split('\n');
+    if (oldLines.length > MAX_DIFF_LINES || newLines.length > MAX_DIFF_LINES) {
+        return [...oldLines.map(line => `- ${line}`), ...newLines.map(line => `+ ${line}`)];
+    }
+
+    // lengths[i][j] 为 oldLines[i..] 与 newLines[j..] 的最长公共子序列长度
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            i++;
+            j++;
+        } else if (j >= newLines.length || (i < oldLines.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            lines.push(`- ${oldLines[i++]}`);
+        } else {
+            lines.push(`+ ${newLines[j++]}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * 在通知中追加编辑前后内容的对比，用于原始消息被编辑后原地更新通知
+ *
+ * @param {string} formattedText - 按编辑后内容重新生成的通知文本（buildFormattedMessage 的结果）
+ * @param {string} previousText - 编辑前的消息内容
+ * @param {string} currentText - 编辑后的消息内容
+ * @param {Object} [options] - 额外选项
+ * @param {boolean} [options.unmatched=false] - 编辑后的消息是否已不再命中任何关键词或规则
+ * @returns {string} 更新后的通知文本，使用 HTML 格式
+ */
+export function buildEditedNotificationMessage(formattedText, previousText, currentText, options = {}) {
+    const lines = diffLines(previousText, currentText);
+    const notice = options.unmatched ? '<b>⚠️ 编辑后的消息已不再命中关键词或规则</b>\n\n' : '';
+
+    // 对比过长时只显示前面的行，保证不超过消息长度上限
+    const build = (limit) => {
+        const shown = lines.slice(0, limit);
+        if (lines.length > limit) {
+            shown.push(`…… 共 ${lines.length} 行变化`);
+        }
+        return `${formattedText}\n\n${notice}<b>✏️ 编辑前后对比：</b>\n<pre><code class="language-diff">${escapeHtml(shown.join('\n'))}</code></pre>`;
+    };
+
+    let limit = lines.length;
+    let text = build(limit);
+    while (text.length > MAX_MESSAGE_LENGTH && limit > 0) {
+        limit = Math.floor(limit / 2);
+        text = build(limit);
+    }
+    return text;
+}
@@ -0,0 +1,74 @@
+/**
+ * 健康状态判断工具
+ *
+ * HTTP /healthz 与 healthcheck.js（读取心跳状态文件）共用同一套判断逻辑：
+ * 最近一次心跳（getMe 成功）、最近一次收到更新以及（可选）最近一次发送通知的时间不能超过配置的阈值。
+ */
+
+// 默认阈值（秒）：心跳每 60 秒一次，允许连续失败两次
+const DEFAULT_MAX_HEARTBEAT_AGE_SECONDS = 180;
+// 默认不检查最近一次收到更新的时间（监控的群组很安静时长时间没有更新属于正常情况）
+const DEFAULT_MAX_UPDATE_AGE_SECONDS = 0;
+// 默认不检查最近一次发送通知的时间（没有命中消息时不发送通知属于正常情况）
+const DEFAULT_MAX_NOTIFICATION_AGE_SECONDS = 0;
+// 心跳状态文件默认名称（位于数据目录）
+export const DEFAULT_HEARTBEAT_STATE_FILE = 'heartbeat.json';
+
+/**
+ * 解析秒数配置，未配置或无效时使用默认值
+ * @param {string} rawValue - 原始配置
+ * @param {number} defaultValue - 默认值
+ * @returns {number} 秒数，0 表示不检查
+ */
+function parseSeconds(rawValue, defaultValue) {
+    const value = parseInt(rawValue, 10);
+    return isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * 读取健康检查阈值
+ *
+ * 环境变量：
+ * HEALTH_MAX_HEARTBEAT_AGE_SECONDS (默认 180，设置为 0 时不检查心跳)
+ * HEALTH_MAX_UPDATE_AGE_SECONDS (默认 0，即不检查最近一次收到更新的时间)
+ * HEALTH_MAX_NOTIFICATION_AGE_SECONDS (默认 0，即不检查最近一次发送通知的时间)
+ *
+ * @returns {Object<string, number>} 事件名称到最大允许间隔（秒）的映射
+ */
+export function getHealthThresholds() {
+    return {
+        heartbeat: parseSeconds(process.env.HEALTH_MAX_HEARTBEAT_AGE_SECONDS, DEFAULT_MAX_HEARTBEAT_AGE_SECONDS),
+        update: parseSeconds(process.env.HEALTH_MAX_UPDATE_AGE_SECONDS, DEFAULT_MAX_UPDATE_AGE_SECONDS),
+        notification: parseSeconds(process.env.HEALTH_MAX_NOTIFICATION_AGE_SECONDS, DEFAULT_MAX_NOTIFICATION_AGE_SECONDS)
+    };
+}
+
+/**
+ * 根据最近事件时间判断服务是否健康
+ *
+ * 事件从未发生时以服务启动时间为起点计算，避免刚启动时被判定为不健康。
+ *
+ * @param {Object<string, number|null>} lastEvents - 事件名称到毫秒时间戳的映射
+ * @param {number} startedAt - 服务启动时间（毫秒时间戳）
+ * @param {Object<string, number>} thresholds - 事件名称到最大允许间隔（秒）的映射
+ * @param {number} [now=Date.now()] - 当前时间
+ * @returns {{ healthy: boolean, checks: Array<Object> }} 判断结果及每项检查的详情
+ */
+export function evaluateHealth(lastEvents, startedAt, thresholds, now = Date.now()) {
+    const checks = [];
+
+    for (const [name, maxAgeSeconds] of Object.entries(thresholds)) {
+        if (!maxAgeSeconds) continue;
+        const lastAt = lastEvents[name] ?? null;
+        const ageSeconds = Math.floor((now - (lastAt ?? startedAt)) / 1000);
+        checks.push({
+            name,
+            lastAt: lastAt ? new Date(lastAt).toISOString() : null,
+            ageSeconds,
+            maxAgeSeconds,
+            ok: ageSeconds <= maxAgeSeconds
+        });
+    }
+
+    return { healthy: checks.every(check => check.ok), checks };
+}
@@ -0,0 +1,110 @@
+/**
+ * 历史消息分页工具
+ *
+ * 删除历史消息（delete-all-history.js）、导出历史消息（export-history.js）以及删除前归档共用同一套
+ * messages.Search 分页逻辑。
+ */
+
+import { Api } from 'telegram';
+import { schedule } from './rateLimiter.js';
+import { getMessageMediaType, getMediaLabel, getMediaSize } from './mediaUtils.js';
+
+// messages.Search 单页最多返回的消息数
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * 使用 messages.Search 逐页获取聊天中的历史消息（从新到旧）
+ *
+ * 以异步迭代器的形式返回每一页，调用方可以在任意一页之后 break 停止拉取。
+ * 获取到的消息数少于 pageSize 时认为已经没有更多消息。每页请求都通过请求调度器（client.search）限速。
+ *
+ * @param {TelegramClient} client - Telegram 客户端实例
+ * @param {Object} peer - 聊天对象
+ * @param {Object} [options] - 分页选项
+ * @param {Object} [options.fromUser] - 只获取该用户发送的消息 `{ userId, accessHash }`，不传时获取所有人的消息
+ * @param {string} [options.q=''] - 搜索文本
+ * @param {number} [options.minDate=0] - 最早时间（Unix 秒），0 表示不限制
+ * @param {number} [options.maxDate=0] - 最晚时间（Unix 秒），0 表示不限制
+ * @param {number} [options.pageSize=100] - 每页消息数
+ * @param {number} [options.maxPages=0] - 最多拉取的页数，0 表示不限制
+ * @param {number} [options.startOffsetId=0] - 起始 offsetId（用于从检查点继续）
+ * @param {Object} [options.rateLimit] - 传给请求调度器的重试选项（见 utils/rateLimiter.js 的 schedule）
+ * @yields {{ pageNum: number, messages: Array<Object>, nextOffsetId: number, hasMore: boolean }} 每一页的原始消息
+ */
+export async function* searchMessagePages(client, peer, options = {}) {
+    const {
+        fromUser,
+        q = '',
+        minDate = 0,
+        maxDate = 0,
+        pageSize = DEFAULT_PAGE_SIZE,
+        maxPages = 0,
+        startOffsetId = 0,
+        rateLimit
+    } = options;
+
+    let offsetId = startOffsetId;
+    let pageNum = 0;
+
+    while (!maxPages || pageNum < maxPages) {
+        pageNum++;
+
+        const result = await schedule('client.search', () => client.invoke(
+            new Api.messages.Search({
+                peer,
+                q,
+                filter: new Api.InputMessagesFilterEmpty(),
+                fromId: fromUser
+                    ? new Api.InputPeerUser({ userId: fromUser.userId, accessHash: fromUser.accessHash || 0 })
+                    : undefined,
+                minDate,
+                maxDate,
+                limit: pageSize,
+                offsetId,
+                addOffset: 0,
+                maxId: 0,
+                minId: 0,
+                hash: BigInt(0)
+            })
+        ), rateLimit);
+
+        const batch = result?.messages || (Array.isArray(result) ? result : []);
+        if (batch.length === 0) return;
+
+        // 以最后一条消息的 ID 作为下一页的 offsetId
+        offsetId = batch[batch.length - 1].id;
+        const hasMore = batch.length >= pageSize;
+        yield { pageNum, messages: batch, nextOffsetId: offsetId, hasMore };
+
+        if (!hasMore) return;
+    }
+}
+
+/**
+ * 将消息转换为归档记录（JSON 可序列化）
+ * @param {Object} msg - 消息对象
+ * @param {string} chatId - 聊天 ID
+ * @returns {Object} 归档记录，包含 id、时间、发送者、文本、回复的消息 ID 以及媒体信息
+ */
+export function serializeMessage(msg, chatId) {
+    const mediaType = getMessageMediaType(msg);
+    const document = msg.media?.document;
+    const fileNameAttr = document?.attributes?.find(attr => attr.className === 'DocumentAttributeFilename');
+
+    return {
+        id: msg.id,
+        chatId,
+        date: msg.date ? new Date(msg.date * 1000).toISOString() : null,
+        editDate: msg.editDate ? new Date(msg.editDate * 1000).toISOString() : null,
+        senderId: msg.senderId?.toString() || msg.fromId?.userId?.toString() || null,
+        text: msg.message || '',
+        replyToMsgId: msg.replyTo?.replyToMsgId ?? null,
+        media: mediaType === 'text' ? null : {
+            type: mediaType,
+            label: getMediaLabel(mediaType),
+            fileName: fileNameAttr?.fileName || null,
+            mimeType: document?.mimeType || null,
+            size: getMediaSize(msg)
+        }
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * 关键词匹配工具
+ *
+ * 关键词列表中的每一项支持以下写法：
+ * - 普通关键词：`抽奖`、`airdrop`（不区分大小写；纯英文/数字使用单词边界匹配）
+ * - 正则表达式：`/红包\s*\d+/i`
+ * - 排除关键词：`-已领完`（命中任意排除项时整个列表视为不匹配）
+ * - 与组合：`抽奖 + 口令`（所有部分都命中才算命中；`+` 两侧必须有空格，`C++`、`1+1` 等仍按普通关键词匹配）
+ *
+ * 列表的匹配规则：不命中任何排除项，且命中任意一个包含项；
+ * 若列表中只有排除项，则不匹配任何消息（避免排除项写错时匹配全部消息）。
+ */
+
+// 解析结果缓存，避免每条消息都重新编译正则
+const compiledCache = new Map();
+const COMPILED_CACHE_LIMIT = 1000;
+
+// 匹配 /pattern/flags 形式的正则关键词
+const REGEX_ENTRY_PATTERN = /^\/(.+)\/([dgimsuy]*)$/;
+// 与组合的分隔符：两侧带空格的 +
+const AND_SEPARATOR = /\s+\+\s+/;
+
+/**
+ * 按逗号拆分关键词配置，正则关键词内部的逗号（如 /\d{1,3}/）不会被拆分
+ * @param {string} rawKeywords - 原始配置字符串
+ * @returns {Array<string>} 关键词列表
+ */
+export function splitKeywordList(rawKeywords) {
+    if (!rawKeywords || typeof rawKeywords !== 'string') return [];
+
+    const result = [];
+    let pending = null;
+
+    for (const part of rawKeywords.split(',')) {
+        if (pending !== null) {
+            pending += `,${part}`;
+            if (REGEX_ENTRY_PATTERN.test(pending.trim())) {
+                result.push(pending);
+                pending = null;
+            }
+            continue;
+        }
+
+        const trimmed = part.trim();
+        if (trimmed.startsWith('/') && !REGEX_ENTRY_PATTERN.test(trimmed)) {
+            pending = part;
+            continue;
+        }
+        result.push(part);
+    }
+
+    if (pending !== null) {
+        result.push(...pending.split(','));
+    }
+
+    return result.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 编译单个匹配项（普通关键词或正则）
+ * @param {string} term - 匹配项
+ * @returns {Function} 接收文本返回布尔值的匹配函数
+ */
+function compileTerm(term) {
+    const regexMatch = term.match(REGEX_ENTRY_PATTERN);
+    if (regexMatch) {
+        try {
+            // 去掉 g/y 标志，避免 lastIndex 导致的状态问题
+            const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+            return (text) => regex.test(text);
+        } catch (error) {
+            console.warn(`⚠️  无效的正则关键词 ${term}，按普通关键词处理:`, error.message);
+        }
+    }
+
+    const keywordLower = term.toLowerCase();
+    if (/[^\w\s]/.test(keywordLower) || /\s/.test(keywordLower)) {
+        return (text) => text.toLowerCase().includes(keywordLower);
+    }
+    const regex = new RegExp(`\\b${keywordLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+    return (text) => regex.test(text);
+}
+
+/**
+ * 解析单个关键词配置项
+ * @param {string} entry - 关键词配置项
+ * @returns {{ raw: string, exclude: boolean, test: Function }} 解析结果
+ */
+export function compileKeyword(entry) {
+    if (compiledCache.has(entry)) return compiledCache.get(entry);
+
+    const raw = String(entry).trim();
+    let exclude = false;
+    let body = raw;
+
+    if (body.length > 1 && body.startsWith('-')) {
+        exclude = true;
+        body = body.slice(1).trim();
+    }
+
+    let testers;
+    if (REGEX_ENTRY_PATTERN.test(body)) {
+        testers = [compileTerm(body)];
+    } else {
+        // 与组合：按两侧带空格的 + 拆分，所有部分都需命中
+        const terms = body.split(AND_SEPARATOR).map(term => term.trim()).filter(Boolean);
+        testers = (terms.length > 0 ? terms : [body]).map(compileTerm);
+    }
+
+    const compiled = {
+        raw,
+        exclude,
+        test: (text) => testers.every(tester => tester(text))
+    };
+
+    if (compiledCache.size >= COMPILED_CACHE_LIMIT) {
+        compiledCache.clear();
+    }
+    compiledCache.set(entry, compiled);
+    return compiled;
+}
+
+/**
+ * 判断文本是否命中单个关键词配置项（排除项命中时也返回 true，由调用方决定语义）
+ * @param {string} text - 待匹配的文本
+ * @param {string} keyword - 关键词配置项
+ * @returns {boolean} 是否命中
+ */
+export function matchKeyword(text, keyword) {
+    if (!text || !keyword) return false;
+    return compileKeyword(keyword).test(text);
+}
+
+/**
+ * 按关键词列表评估文本
+ * @param {string} text - 待匹配的文本
+ * @param {Array<string>} keywordList - 关键词列表
+ * @returns {{ matched: boolean, matchedKeywords: Array<string> }} 是否匹配以及命中的包含项
+ */
+export function evaluateKeywords(text, keywordList) {
+    if (!text || !Array.isArray(keywordList) || keywordList.length === 0) {
+        return { matched: false, matchedKeywords: [] };
+    }
+
+    const compiledList = keywordList.map(compileKeyword);
+    const includes = compiledList.filter(item => !item.exclude);
+    const excludes = compiledList.filter(item => item.exclude);
+
+    if (excludes.some(item => item.test(text))) {
+        return { matched: false, matchedKeywords: [] };
+    }
+
+    // 只有排除项的列表不匹配任何消息
+    if (includes.length === 0) {
+        return { matched: false, matchedKeywords: [] };
+    }
+
+    const matchedKeywords = includes.filter(item => item.test(text)).map(item => item.raw);
+    return { matched: matchedKeywords.length > 0, matchedKeywords };
+}
+
+/**
+ * 从关键词列表中筛选出文本命中的包含项（命中排除项时返回空数组）
+ * @param {string} text - 待匹配的文本
+ * @param {Array<string>} keywordList - 关键词列表
+ * @returns {Array<string>} 命中的关键词列表
+ */
+export function filterMatchedKeywords(text, keywordList) {
+    return evaluateKeywords(text, keywordList).matchedKeywords;
+}
+
+/**
+ * 判断文本是否匹配关键词列表
+ * @param {string} text - 待匹配的文本
+ * @param {Array<string>} keywordList - 关键词列表
+ * @returns {boolean} 是否匹配
+ */
+export function matchAnyKeyword(text, keywordList) {
+    return evaluateKeywords(text, keywordList).matched;
+}
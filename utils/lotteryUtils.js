@@ -0,0 +1,582 @@
+/**
+ * 抽奖 / 红包消息解析器
+ *
+ * 每个解析器声明如何识别对应的机器人（发送者 ID 或文本特征），并从消息中提取统一结构的抽奖信息：
+ * `{ createTime, prizes: [{ name, count }], keyword, creator, autoOpenCount }`。
+ *
+ * 按顺序使用第一个识别成功的解析器：先使用 LOTTERY_PARSERS_DIR 中的自定义解析器，再使用内置解析器；
+ * 都未识别但消息命中 USER_KEYWORDS 时，按内置的 lottery-bot 格式解析（与原有行为一致）。
+ *
+ * 自定义解析器文件（JSON，安装 yaml 依赖后也可使用 YAML；也可以是导出解析器对象的 .js/.mjs 模块）示例：
+ *
+ *   {
+ *     "name": "my-giveaway-bot",
+ *     "senders": ["123456789"],
+ *     "signature": ["/Giveaway #\\d+/"],
+ *     "fields": {
+ *       "keyword": "/Send\\s+\"(.+?)\"\\s+to join/i",
+ *       "creator": "/Host:\\s*(.+)/",
+ *       "prizes": { "after": "/^Prizes:/", "item": "/^(.+?)\\s*x\\s*(\\d+)$/" }
+ *     }
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { normalizeId } from './formatUtils.js';
+import { readStructuredFile } from './ruleUtils.js';
+import { matchAnyKeyword, splitKeywordList } from './keywordUtils.js';
+
+// 解析器可提取的文本字段（prizes 单独处理）
+const TEXT_FIELDS = ['createTime', 'keyword', 'creator', 'autoOpenCount'];
+// 开奖结果可提取的字段
+const RESULT_FIELDS = ['keyword', 'winners'];
+// 自定义解析器支持的文件类型
+const STRUCTURED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const MODULE_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * 编译正则表达式，支持 RegExp、"pattern"（忽略大小写）和 "/pattern/flags" 三种写法
+ * @param {string|RegExp} source - 正则表达式
+ * @param {string} where - 配置位置（用于错误提示）
+ * @returns {RegExp}
+ */
+function compilePattern(source, where) {
+    if (source instanceof RegExp) return source;
+    const literalMatch = String(source).match(/^\/(.+)\/([a-z]*)$/s);
+    try {
+        return literalMatch ? new RegExp(literalMatch[1], literalMatch[2]) : new RegExp(String(source), 'i');
+    } catch (error) {
+        throw new Error(`${where} 中的正则表达式无效 (${source}): ${error.message}`);
+    }
+}
+
+/**
+ * 返回带有 g 标志的正则（用于 matchAll）
+ * @param {RegExp} regex - 原始正则
+ * @returns {RegExp}
+ */
+function toGlobal(regex) {
+    return regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`);
+}
+
+/**
+ * 内置 lottery-bot 格式：`抽奖创建时间`、`参与关键词「…」`，以及同一机器人的 `红包活动已创建`、`发送 X 进行领取`
+ * @param {string} messageText - 消息文本
+ * @returns {Object} 抽奖信息
+ */
+function parseLotteryBotMessage(messageText) {
+    // 提取抽奖创建时间
+    const createTimeMatch = messageText.match(/抽奖创建时间[：:](.+)/);
+    const createTime = createTimeMatch ? createTimeMatch[1].trim() : null;
+
+    // 提取奖品信息（使用字符串处理代替复杂的正则表达式）
+    let prizes = [];
+    const lines = messageText.split('\n');
+    let inPrizeSection = false;
+    let isRedPacket = messageText.includes('红包活动已创建');
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // 检查是否进入奖品部分
+        if (/奖品[：:]|总金额[:：]/.test(line)) {
+            inPrizeSection = true;
+
+            // 如果是红包消息，直接解析红包信息
+            if (isRedPacket) {
+                let amount = null;
+                let count = null;
+
+                // 从当前位置往后查找红包金额和数量
+                for (let j = i; j < lines.length; j++) {
+                    const currentLine = lines[j];
+                    const amountMatch = currentLine.match(/总金额[:：]\s*(\d+)/);
+                    const countMatch = currentLine.match(/数量[:：]\s*(\d+)份/);
+
+                    if (amountMatch) {
+                        amount = amountMatch[1];
+                    }
+                    if (countMatch) {
+                        count = countMatch[1];
+                    }
+                }
+
+                // 若成功提取金额和数量，则构造红包奖品对象
+                if (amount !== null && count !== null) {
+                    prizes.push({
+                        name: `红包 ${amount}`,
+                        count: parseInt(count, 10)
+                    });
+                }
+                break;
+            }
+            continue;
+        }
+
+        // 检查是否离开奖品部分
+        if (inPrizeSection && (line.includes('参与设置') || line.includes('抽奖设置') || line.trim() === '')) {
+            inPrizeSection = false;
+            continue;
+        }
+
+        // 在奖品部分中提取奖品信息
+        if (inPrizeSection) {
+            const prizeMatch = line.match(/(\S.*?)\s*[*×x]\s*(\d+)/);
+            if (prizeMatch) {
+                const countValue = parseInt(prizeMatch[2], 10);
+                if (!isNaN(countValue)) {
+                    prizes.push({
+                        name: prizeMatch[1].trim(),
+                        count: countValue
+                    });
+                }
+            }
+        }
+    }
+
+    // 提取创建者
+    const creatorMatch = messageText.match(/创建者[：:](.+)/);
+    const creator = creatorMatch ? creatorMatch[1].trim() : null;
+
+    // 提取自动开奖人数
+    const autoOpenCountMatch = messageText.match(/自动开奖人数[：:](\d+)/);
+    const autoOpenCount = autoOpenCountMatch ? parseInt(autoOpenCountMatch[1], 10) : null;
+
+    // 提取参与关键词
+    const keywordMatch = messageText.match(/参与关键词[：:]「(.+?)」/);
+    const keyword = keywordMatch ? keywordMatch[1].trim() : null;
+
+    // 如果是红包消息，尝试提取口令
+    let redPacketKeyword = null;
+    if (isRedPacket) {
+        const redPacketKeywordMatch = messageText.match(/发送\s+(.+?)\s+进行领取/);
+        redPacketKeyword = redPacketKeywordMatch ? redPacketKeywordMatch[1].trim() : null;
+        // 如果没有提取到关键词，使用默认关键词
+        if (!redPacketKeyword && keyword) {
+            redPacketKeyword = keyword;
+        }
+    }
+
+    return {
+        createTime,
+        prizes,
+        keyword: redPacketKeyword || keyword,
+        creator,
+        autoOpenCount
+    };
+}
+
+/**
+ * 内置通用红包格式：`口令：xxx`，`金额：100` / `个数：10`
+ * @param {string} messageText - 消息文本
+ * @returns {Object} 抽奖信息
+ */
+function parseRedPacketMessage(messageText) {
+    const pick = (regex) => messageText.match(regex)?.[1]?.trim() || null;
+    const amount = pick(/(?:总金额|金额)[：:]\s*([\d.]+\s*\S*)/);
+    const count = pick(/(?:个数|数量|份数)[：:]\s*(\d+)/);
+
+    return {
+        createTime: pick(/(?:发送时间|创建时间|时间)[：:]\s*(.+)/),
+        prizes: amount ? [{ name: `红包 ${amount}`, count: count ? parseInt(count, 10) : 1 }] : [],
+        keyword: pick(/口令[：:]\s*[「“"]?([^」”"\n]+)/),
+        creator: pick(/(?:发送者|发起人|来自)[：:]\s*(.+)/),
+        autoOpenCount: null
+    };
+}
+
+// 内置解析器（按顺序尝试）
+const BUILTIN_PARSERS = [
+    {
+        name: 'lottery-bot',
+        signature: ['/抽奖创建时间[：:]|参与关键词[：:]「|红包活动已创建/'],
+        parse: parseLotteryBotMessage,
+        result: {
+            signature: ['/开奖结果|已开奖|抽奖已结束/'],
+            fields: {
+                // 同时识别 lucky-draw 等格式的 `口令：xxx`
+                keyword: '/(?:参与关键词[：:]「|(?:参与口令|口令)[：:]\\s*[「“"]?)([^」”"\\n]+)/',
+                winners: { after: '/中奖(?:名单|用户|者)[：:]?\\s*$/', item: '/^\\s*(?:\\d+[.、)]\\s*)?(?:[-•*·]\\s*)?(\\S.*?)\\s*$/' }
+            }
+        }
+    },
+    {
+        name: 'red-packet',
+        signature: ['/^(?=[\\s\\S]*红包)(?=[\\s\\S]*口令[：:])/'],
+        parse: parseRedPacketMessage
+    },
+    {
+        name: 'lucky-draw',
+        signature: ['/^(?=[\\s\\S]*抽奖)(?=[\\s\\S]*奖品[：:])(?=[\\s\\S]*(?:参与方式|参与口令|口令)[：:])/'],
+        fields: {
+            createTime: '/(?:创建时间|发起时间|开始时间)[：:]\\s*(.+)/',
+            keyword: '/(?:参与方式|参与口令|口令)[：:]\\s*(?:发送|回复)?\\s*[「“"]?([^」”"\\n]+)/',
+            creator: '/(?:发起人|创建者|赞助商?)[：:]\\s*(.+)/',
+            autoOpenCount: '/(?:满|达到)\\s*(\\d+)\\s*人(?:后)?(?:自动)?开奖/',
+            prizes: { after: '/奖品[：:]/', item: '/(\\S.*?)\\s*[*×xX]\\s*(\\d+)/' }
+        }
+    },
+    {
+        name: 'giveaway',
+        signature: ['/^(?=[\\s\\S]*\\bgiveaway\\b)(?=[\\s\\S]*\\b(?:prizes?|winners?)\\s*:)/i'],
+        fields: {
+            createTime: '/\\b(?:created|started)(?: at| on)?\\s*:\\s*(.+)/i',
+            keyword: '/\\b(?:keyword|password|send)\\s*:?\\s*[`"“「]([^`"”」\\n]+)/i',
+            creator: '/\\b(?:created by|hosted by|host|sponsor)\\s*:\\s*(.+)/i',
+            autoOpenCount: '/(\\d+)\\s*(?:participants|members|entries)\\b/i',
+            prizes: { after: '/\\bprizes?\\s*:/i', item: '/^\\s*(?:[-•*·]|\\d+[.)])?\\s*(.+?)\\s*[x×*]\\s*(\\d+)\\s*$/i' }
+        },
+        result: {
+            signature: ['/\\bgiveaway\\b[^\\n]*\\b(?:ended|finished|results?)\\b|\\bwinners? (?:are|is)\\s*:/i'],
+            fields: {
+                keyword: '/\\b(?:keyword|password)\\s*:?\\s*[`"“「]([^`"”」\\n]+)/i',
+                winners: { after: '/^\\s*(?:the\\s+)?winners?\\b[^\\n]*:\\s*$/i', item: '/^\\s*(?:[-•*·]|\\d+[.)])?\\s*(\\S.*?)\\s*$/' }
+            }
+        }
+    }
+];
+
+/**
+ * 编译列表字段（奖品、中奖者）：可以是正则（在全文中逐个匹配），
+ * 也可以是 `{ after, item }`：只在匹配 after 的行之后、空行之前逐行匹配 item。
+ *
+ * @param {string|RegExp|Object} spec - 字段配置
+ * @param {string} where - 配置位置（用于错误提示）
+ * @returns {Function} `(text) => Array<RegExpMatchArray>`
+ */
+function compileListField(spec, where) {
+    const isSection = typeof spec === 'object' && !(spec instanceof RegExp);
+    const item = compilePattern(isSection ? spec.item : spec, where);
+    const after = isSection && spec.after != null ? compilePattern(spec.after, `${where}.after`) : null;
+
+    return (text) => {
+        if (!after) return [...text.matchAll(toGlobal(item))];
+        const matches = [];
+        const lines = text.split('\n');
+        const start = lines.findIndex(line => after.test(line));
+        for (let i = start + 1; start >= 0 && i < lines.length && lines[i].trim() !== ''; i++) {
+            const match = lines[i].match(item);
+            if (match) matches.push(match);
+        }
+        return matches;
+    };
+}
+
+/**
+ * 根据 fields 配置生成解析函数
+ *
+ * 每个文本字段为正则表达式，取第一个捕获组；prizes 为列表字段（见 compileListField），
+ * 捕获组 1 为奖品名称、2 为数量。
+ *
+ * @param {Object} fields - 字段配置
+ * @param {string} where - 配置位置（用于错误提示）
+ * @returns {Function} `(text) => 抽奖信息`
+ */
+function compileFields(fields, where) {
+    const unknown = Object.keys(fields).filter(key => key !== 'prizes' && !TEXT_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${where} 中包含不支持的字段: ${unknown.join(', ')}，可选值: ${[...TEXT_FIELDS, 'prizes'].join(', ')}`);
+    }
+
+    const patterns = {};
+    for (const key of TEXT_FIELDS) {
+        if (fields[key] != null) patterns[key] = compilePattern(fields[key], `${where} 的 fields.${key}`);
+    }
+    const matchPrizes = fields.prizes != null ? compileListField(fields.prizes, `${where} 的 fields.prizes`) : null;
+
+    return (text) => {
+        const result = {};
+        for (const [key, regex] of Object.entries(patterns)) {
+            result[key] = text.match(regex)?.[1] ?? null;
+        }
+        result.prizes = matchPrizes
+            ? matchPrizes(text).map(match => ({ name: match[1], count: match[2] != null ? parseInt(match[2], 10) : 1 }))
+            : [];
+        return result;
+    };
+}
+
+/**
+ * 根据 result 配置生成开奖消息的解析函数
+ *
+ * keyword 为正则表达式，取第一个捕获组；winners 为列表字段（见 compileListField），捕获组 1 为中奖者。
+ *
+ * @param {Object} fields - 字段配置
+ * @param {string} where - 配置位置（用于错误提示）
+ * @returns {Function} `(text) => { keyword, winners }`
+ */
+function compileResultFields(fields, where) {
+    const unknown = Object.keys(fields).filter(key => !RESULT_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`${where} 中包含不支持的字段: ${unknown.join(', ')}，可选值: ${RESULT_FIELDS.join(', ')}`);
+    }
+
+    const keyword = fields.keyword != null ? compilePattern(fields.keyword, `${where}.keyword`) : null;
+    const matchWinners = fields.winners != null ? compileListField(fields.winners, `${where}.winners`) : null;
+
+    return (text) => ({
+        keyword: keyword ? text.match(keyword)?.[1] ?? null : null,
+        winners: matchWinners ? matchWinners(text).map(match => match[1]) : []
+    });
+}
+
+/**
+ * 规范化单个解析器定义
+ *
+ * @param {Object} definition - 解析器定义
+ * @param {string} definition.name - 解析器名称（与内置解析器同名时替换内置解析器）
+ * @param {boolean} [definition.enabled=true] - 设置为 false 时停用（可用于停用同名的内置解析器）
+ * @param {Array<string>|string} [definition.senders] - 机器人的用户 ID
+ * @param {Array<string|RegExp>|string} [definition.signature] - 文本特征，任一匹配即可
+ * @param {Object} [definition.fields] - 字段提取规则（见 compileFields）
+ * @param {Function} [definition.parse] - 自定义解析函数 `(text, context) => 抽奖信息`（.js 模块中使用）
+ * @param {Object} [definition.result] - 开奖消息的识别与解析：`{ signature, fields: { keyword, winners } }`，
+ *   .js 模块中也可以使用 `{ signature, parse: (text, context) => ({ keyword, winners }) }`
+ * @param {string} source - 定义所在的文件（用于错误提示）
+ * @returns {Object} 解析器
+ */
+export function compileLotteryParser(definition, source = '内置') {
+    if (!definition || typeof definition !== 'object' || !definition.name) {
+        throw new Error(`抽奖解析器格式无效 (${source})，需要包含 name 字段`);
+    }
+
+    const name = String(definition.name);
+    const where = `抽奖解析器 "${name}"`;
+    const toList = value => (value == null ? [] : Array.isArray(value) ? value : [value]);
+    const enabled = definition.enabled !== false;
+    const senders = toList(definition.senders).map(id => normalizeId(String(id).trim())).filter(Boolean);
+    const signature = toList(definition.signature).map(pattern => compilePattern(pattern, where));
+
+    let parse = null;
+    if (typeof definition.parse === 'function') {
+        parse = definition.parse;
+    } else if (definition.fields && typeof definition.fields === 'object') {
+        parse = compileFields(definition.fields, where);
+    }
+
+    if (enabled && senders.length === 0 && signature.length === 0) {
+        throw new Error(`${where} (${source}) 需要配置 senders 或 signature 用于识别消息`);
+    }
+    if (enabled && !parse) {
+        throw new Error(`${where} (${source}) 需要配置 fields 或 parse`);
+    }
+
+    let result = null;
+    if (definition.result != null) {
+        const resultWhere = `${where} 的 result`;
+        if (typeof definition.result !== 'object') {
+            throw new Error(`${resultWhere} (${source}) 格式无效`);
+        }
+        const resultSignature = toList(definition.result.signature).map(pattern => compilePattern(pattern, resultWhere));
+        if (resultSignature.length === 0) {
+            throw new Error(`${resultWhere} (${source}) 需要配置 signature 用于识别开奖消息`);
+        }
+        const resultParse = typeof definition.result.parse === 'function'
+            ? definition.result.parse
+            : compileResultFields(definition.result.fields || {}, `${resultWhere}.fields`);
+        result = { signature: resultSignature, parse: resultParse };
+    }
+
+    return { name, source, enabled, senders, signature, parse, result };
+}
+
+/**
+ * 判断解析器是否识别该消息：配置了 senders 时发送者必须匹配，配置了 signature 时文本必须匹配任一特征
+ * @param {Object} parser - 解析器
+ * @param {string} messageText - 消息文本
+ * @param {string} senderId - 规范化后的发送者 ID
+ * @returns {boolean}
+ */
+function detects(parser, messageText, senderId) {
+    if (parser.senders.length > 0 && !parser.senders.includes(senderId)) return false;
+    if (detectsResult(parser, messageText, senderId)) return false;
+    return parser.signature.length === 0 || parser.signature.some(regex => regex.test(messageText));
+}
+
+/**
+ * 判断消息是否为该解析器对应机器人的开奖消息（开奖消息不再作为新抽奖解析）
+ * @param {Object} parser - 解析器
+ * @param {string} messageText - 消息文本
+ * @param {string} senderId - 规范化后的发送者 ID
+ * @returns {boolean}
+ */
+function detectsResult(parser, messageText, senderId) {
+    if (!parser.result) return false;
+    if (parser.senders.length > 0 && !parser.senders.includes(senderId)) return false;
+    return parser.result.signature.some(regex => regex.test(messageText));
+}
+
+/**
+ * 将解析结果规范化为统一结构
+ * @param {Object} result - 解析器返回的结果
+ * @returns {Object} 抽奖信息
+ */
+function normalizeLotteryInfo(result) {
+    const text = value => (value == null || String(value).trim() === '' ? null : String(value).trim());
+    const autoOpenCount = parseInt(result?.autoOpenCount, 10);
+    return {
+        createTime: text(result?.createTime),
+        prizes: (Array.isArray(result?.prizes) ? result.prizes : [])
+            .filter(prize => prize && text(prize.name))
+            .map(prize => ({ name: text(prize.name), count: parseInt(prize.count, 10) || 1 })),
+        keyword: text(result?.keyword),
+        creator: text(result?.creator),
+        autoOpenCount: isNaN(autoOpenCount) ? null : autoOpenCount
+    };
+}
+
+const builtinParsers = BUILTIN_PARSERS.map(definition => compileLotteryParser(definition));
+const fallbackParser = builtinParsers.find(parser => parser.name === 'lottery-bot');
+// 当前生效的解析器（自定义解析器在前，被同名自定义解析器替换的内置解析器不再使用）
+let activeParsers = builtinParsers;
+
+/**
+ * 设置自定义解析器
+ * @param {Array<Object>} customParsers - 由 loadLotteryParsers 加载的解析器
+ */
+export function setLotteryParsers(customParsers) {
+    const overridden = new Set(customParsers.map(parser => parser.name));
+    activeParsers = [...customParsers, ...builtinParsers.filter(parser => !overridden.has(parser.name))]
+        .filter(parser => parser.enabled);
+}
+
+/**
+ * 获取当前生效的解析器名称
+ * @returns {Array<string>}
+ */
+export function getLotteryParserNames() {
+    return activeParsers.map(parser => parser.name);
+}
+
+/**
+ * 从目录加载自定义解析器
+ *
+ * 目录中每个 .json/.yaml/.yml 文件可以包含一个解析器定义、定义数组或 `{ "parsers": [...] }`；
+ * .js/.mjs 模块的默认导出可以是解析器定义或定义数组。文件按名称排序加载。
+ *
+ * @param {string} dir - 解析器目录（LOTTERY_PARSERS_DIR）
+ * @returns {Promise<Array<Object>>} 加载的解析器，未配置目录时返回空数组
+ * @throws {Error} 目录不存在或解析器定义无效时抛出
+ */
+export async function loadLotteryParsers(dir) {
+    if (!dir) return [];
+    const resolvedDir = path.resolve(dir);
+    if (!fs.existsSync(resolvedDir) || !fs.statSync(resolvedDir).isDirectory()) {
+        throw new Error(`抽奖解析器目录不存在: ${resolvedDir}`);
+    }
+
+    const parsers = [];
+    const files = fs.readdirSync(resolvedDir).sort();
+    for (const file of files) {
+        const filePath = path.join(resolvedDir, file);
+        const ext = path.extname(file).toLowerCase();
+        let loaded;
+        if (STRUCTURED_EXTENSIONS.includes(ext)) {
+            loaded = await readStructuredFile(filePath, '抽奖解析器文件');
+            loaded = Array.isArray(loaded?.parsers) ? loaded.parsers : loaded;
+        } else if (MODULE_EXTENSIONS.includes(ext)) {
+            // 按修改时间区分模块地址：文件未修改时复用已加载的模块，修改后热重载才重新执行
+            // （ESM 无法卸载模块，每次修改都会多占用一份内存，频繁修改后建议重启）
+            const module = await import(`${pathToFileURL(filePath).href}?mtime=${fs.statSync(filePath).mtimeMs}`);
+            loaded = module.default ?? module.parsers;
+        } else {
+            continue;
+        }
+
+        for (const definition of Array.isArray(loaded) ? loaded : [loaded]) {
+            const parser = compileLotteryParser(definition, filePath);
+            if (parsers.some(item => item.name === parser.name)) {
+                throw new Error(`抽奖解析器名称重复: ${parser.name} (${filePath})`);
+            }
+            parsers.push(parser);
+        }
+    }
+    return parsers;
+}
+
+/**
+ * 解析抽奖信息文本，提取关键信息如创建时间、奖品、关键词等。
+ *
+ * @param {string} messageText - 包含抽奖信息的完整文本内容
+ * @param {string} monitorKeywords - 用户设置的监控关键词，多个关键词用逗号分隔（支持 keywordUtils 中的匹配语法）
+ * @param {Object} [context] - 消息上下文
+ * @param {string} [context.senderId] - 规范化后的发送者 ID（用于按机器人识别）
+ * @returns {Object|null} 抽奖信息对象，没有解析器识别且不包含有效关键词时返回 null
+ *
+ * 返回对象包含以下字段：
+ * - createTime {string} 抽奖创建时间
+ * - prizes {Array<Object>} 奖品列表，每个对象包含 name 和 count
+ * - keyword {string} 参与抽奖的关键词或红包口令
+ * - creator {string} 创建者信息
+ * - autoOpenCount {number} 自动开奖人数
+ */
+export function parseLotteryMessage(messageText, monitorKeywords, context = {}) {
+    if (!messageText) return null;
+    const senderId = normalizeId(context.senderId);
+
+    for (const parser of activeParsers) {
+        if (!detects(parser, messageText, senderId)) continue;
+        try {
+            return normalizeLotteryInfo(parser.parse(messageText, { senderId }));
+        } catch (error) {
+            console.warn(`⚠️  抽奖解析器 ${parser.name} 解析失败:`, error.message);
+        }
+    }
+
+    // 没有解析器识别时，命中用户关键词的消息按 lottery-bot 格式解析（开奖消息除外）
+    if (activeParsers.some(parser => detectsResult(parser, messageText, senderId))) {
+        return null;
+    }
+    if (!matchAnyKeyword(messageText, splitKeywordList(monitorKeywords))) {
+        return null;
+    }
+    return normalizeLotteryInfo(fallbackParser.parse(messageText));
+}
+
+/**
+ * 判断抽奖信息是否实际解析出了参与关键词或奖品
+ *
+ * 命中用户关键词的普通消息也会按 lottery-bot 格式解析，此时所有字段都可能为空，
+ * 这类结果只用于通知格式，不应作为抽奖跟踪开奖或自动参与。
+ *
+ * @param {Object|null} lotteryInfo - parseLotteryMessage 的结果
+ * @returns {boolean}
+ */
+export function hasLotteryDetails(lotteryInfo) {
+    return !!(lotteryInfo?.keyword || lotteryInfo?.prizes?.length > 0);
+}
+
+/**
+ * 解析开奖消息，提取参与关键词和中奖者
+ *
+ * 按顺序使用第一个识别成功的解析器（需要配置 result）。
+ *
+ * @param {string} messageText - 消息文本
+ * @param {Object} [context] - 消息上下文
+ * @param {string} [context.senderId] - 规范化后的发送者 ID（用于按机器人识别）
+ * @returns {{parser: string, keyword: string|null, winners: Array<string>}|null} 不是开奖消息时返回 null
+ */
+export function parseLotteryResult(messageText, context = {}) {
+    if (!messageText) return null;
+    const senderId = normalizeId(context.senderId);
+
+    for (const parser of activeParsers) {
+        if (!detectsResult(parser, messageText, senderId)) continue;
+        try {
+            const result = parser.result.parse(messageText, { senderId });
+            const keyword = result?.keyword == null ? '' : String(result.keyword).trim();
+            return {
+                parser: parser.name,
+                keyword: keyword || null,
+                winners: (Array.isArray(result?.winners) ? result.winners : [])
+                    .map(winner => String(winner ?? '').trim())
+                    .filter(Boolean)
+            };
+        } catch (error) {
+            console.warn(`⚠️  抽奖解析器 ${parser.name} 解析开奖消息失败:`, error.message);
+        }
+    }
+    return null;
+}
@@ -0,0 +1,194 @@
+import { fetchBotApi, handleApiError } from './telegramUtil.js';
+import { schedule } from './rateLimiter.js';
+
+// 默认的媒体大小上限（MB），Bot API 上传文件限制为 50MB
+const DEFAULT_MEDIA_MAX_MB = 20;
+
+// 媒体类型对应的显示名称
+const MEDIA_LABELS = {
+    photo: '图片',
+    video: '视频',
+    animation: '动图',
+    document: '文件',
+    audio: '音频',
+    voice: '语音',
+    sticker: '贴纸',
+    webpage: '链接预览',
+    other: '媒体'
+};
+
+/**
+ * 获取消息的媒体类型
+ * @param {Object} message - 消息对象
+ * @returns {string} 媒体类型：text、photo、video、animation、document、audio、voice、sticker、webpage 或 other
+ */
+export function getMessageMediaType(message) {
+    const media = message?.media;
+    if (!media) return 'text';
+
+    switch (media.className) {
+        case 'MessageMediaPhoto':
+            return 'photo';
+        case 'MessageMediaWebPage':
+            return 'webpage';
+        case 'MessageMediaDocument': {
+            const attributes = media.document?.attributes || [];
+            const has = (className) => attributes.some(attr => attr.className === className);
+            if (has('DocumentAttributeSticker')) return 'sticker';
+            if (has('DocumentAttributeAnimated')) return 'animation';
+            if (has('DocumentAttributeVideo')) return 'video';
+            const audioAttr = attributes.find(attr => attr.className === 'DocumentAttributeAudio');
+            if (audioAttr) return audioAttr.voice ? 'voice' : 'audio';
+            return 'document';
+        }
+        default:
+            return 'other';
+    }
+}
+
+/**
+ * 获取媒体类型的显示名称
+ * @param {string} mediaType - 媒体类型
+ * @returns {string} 显示名称，纯文本消息返回空字符串
+ */
+export function getMediaLabel(mediaType) {
+    return MEDIA_LABELS[mediaType] || '';
+}
+
+/**
+ * 获取消息中媒体的大小（字节），无法确定时返回 0
+ * @param {Object} message - 消息对象
+ * @returns {number} 媒体大小
+ */
+export function getMediaSize(message) {
+    const media = message?.media;
+    if (!media) return 0;
+
+    if (media.document?.size != null) {
+        return Number(media.document.size.toString());
+    }
+
+    // 图片取最大尺寸（PhotoSizeProgressive 的 sizes 为渐进式大小列表）
+    const sizes = media.photo?.sizes || [];
+    let maxSize = 0;
+    for (const size of sizes) {
+        const value = Array.isArray(size.sizes) ? Math.max(0, ...size.sizes) : (size.size || 0);
+        maxSize = Math.max(maxSize, value);
+    }
+    return maxSize;
+}
+
+/**
+ * 获取媒体文件名
+ * @param {Object} message - 消息对象
+ * @param {string} mediaType - 媒体类型
+ * @returns {string} 文件名
+ */
+function getMediaFileName(message, mediaType) {
+    const attributes = message?.media?.document?.attributes || [];
+    const fileNameAttr = attributes.find(attr => attr.className === 'DocumentAttributeFilename');
+    if (fileNameAttr?.fileName) return fileNameAttr.fileName;
+
+    const extensions = { photo: 'jpg', video: 'mp4', animation: 'mp4', voice: 'ogg', audio: 'mp3', sticker: 'webp' };
+    return `${mediaType}_${message?.id ?? Date.now()}.${extensions[mediaType] || 'bin'}`;
+}
+
+/**
+ * 读取媒体转发配置
+ *
+ * 环境变量：
+ * NOTIFICATION_FORWARD_MEDIA (默认 false，设置为 true 时在通知后附带原始媒体)
+ * NOTIFICATION_MEDIA_MAX_MB (默认 20，超过该大小的媒体不转发)
+ *
+ * @returns {{ enabled: boolean, maxBytes: number }} 媒体转发配置
+ */
+export function getMediaForwardConfig() {
+    const maxMb = parseFloat(process.env.NOTIFICATION_MEDIA_MAX_MB);
+    return {
+        enabled: process.env.NOTIFICATION_FORWARD_MEDIA === 'true',
+        maxBytes: (maxMb > 0 ? maxMb : DEFAULT_MEDIA_MAX_MB) * 1024 * 1024
+    };
+}
+
+/**
+ * 判断消息中的媒体是否应随通知转发
+ * @param {Object} message - 消息对象
+ * @param {{ enabled: boolean, maxBytes: number }} mediaConfig - 媒体转发配置
+ * @returns {boolean} 是否转发
+ */
+export function shouldForwardMedia(message, mediaConfig) {
+    if (!mediaConfig.enabled) return false;
+
+    const mediaType = getMessageMediaType(message);
+    // 纯文本与链接预览不需要转发
+    if (mediaType === 'text' || mediaType === 'webpage' || mediaType === 'other') return false;
+
+    const size = getMediaSize(message);
+    if (size > mediaConfig.maxBytes) {
+        console.log(`⚠️  媒体大小 ${(size / 1024 / 1024).toFixed(1)}MB 超过上限 ${(mediaConfig.maxBytes / 1024 / 1024).toFixed(1)}MB，跳过转发媒体`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 通过 Bot API 上传媒体（用户客户端下载后重新上传）
+ *
+ * @param {Object} params - 参数对象
+ * @param {string} params.token - Telegram Bot Token
+ * @param {string} params.chatId - 目标聊天ID
+ * @param {Object} params.message - 原始消息对象
+ * @param {Buffer} params.buffer - 已下载的媒体内容
+ * @param {number} [params.replyToMessageId] - 回复的通知消息ID
+ * @returns {Promise<number|null>} 发送成功返回消息ID，否则返回 null
+ */
+export async function sendMediaViaBot({ token, chatId, message, buffer, replyToMessageId }) {
+    const mediaType = getMessageMediaType(message);
+    const methods = {
+        photo: ['sendPhoto', 'photo'],
+        video: ['sendVideo', 'video'],
+        animation: ['sendAnimation', 'animation'],
+        audio: ['sendAudio', 'audio'],
+        voice: ['sendVoice', 'voice']
+    };
+    const [method, field] = methods[mediaType] || ['sendDocument', 'document'];
+    const mimeType = message?.media?.document?.mimeType || (mediaType === 'photo' ? 'image/jpeg' : 'application/octet-stream');
+
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    form.append(field, new Blob([buffer], { type: mimeType }), getMediaFileName(message, mediaType));
+    if (replyToMessageId) {
+        form.append('reply_to_message_id', String(replyToMessageId));
+        form.append('allow_sending_without_reply', 'true');
+    }
+
+    const response = await fetchBotApi('bot.send', `https://api.telegram.org/bot${token}/${method}`, {
+        method: 'POST',
+        body: form
+    });
+
+    if (!response.ok) {
+        await handleApiError(response);
+        return null;
+    }
+
+    const result = await response.json();
+    return result.ok ? result.result?.message_id ?? null : null;
+}
+
+/**
+ * 通过用户客户端直接发送原始媒体（无需下载）
+ *
+ * @param {Object} client - Telegram 客户端
+ * @param {Object} targetChat - 目标聊天实体
+ * @param {Object} message - 原始消息对象
+ * @param {number} [replyToMessageId] - 回复的通知消息ID
+ * @returns {Promise<number|null>} 发送成功返回消息ID，否则返回 null
+ */
+export async function sendMediaViaClient(client, targetChat, message, replyToMessageId) {
+    const sent = await schedule('client.send', () => client.sendFile(targetChat, {
+        file: message.media,
+        replyTo: replyToMessageId
+    }));
+    return sent?.id ?? null;
+}
@@ -1,5 +1,11 @@
 import { normalizeId } from './formatUtils.js';
-import { sendNotification } from './telegramUtil.js'
+import { sendNotification, updateNotification, fetchBotApi } from './telegramUtil.js'
+import { schedule } from './rateLimiter.js'
+import { buildDefaultRules, evaluateRules } from './ruleUtils.js'
+import { matchAnyKeyword } from './keywordUtils.js'
+import { parseLotteryMessage, hasLotteryDetails } from './lotteryUtils.js'
+import { getMessageMediaType, getMediaLabel } from './mediaUtils.js'
+import { incrementMetric, recordEvent } from './metrics.js'
 
 
 export function sleep(ms) {
@@ -51,150 +57,31 @@ export function extractMessageText(message) {
  * @returns {string} returns.text - 提取的原始文本内容
  * @returns {string} returns.displayText - 用于显示的文本内容
  * @returns {boolean} returns.hasMedia - 是否包含媒体内容
+ * @returns {string} returns.mediaType - 媒体类型（见 utils/mediaUtils.js 的 getMessageMediaType）
  */
 // 工具：处理消息内容，包括文本和媒体消息
 export function processMessageContent(message) {
+    // 媒体消息的说明文字（caption）同样保存在 message.message 中
     const text = extractMessageText(message);
 
     // 检查消息是否包含媒体内容
     const hasMedia = !!message?.media || 
                     !!message?.message?.media || 
                     !!(message?.photo || message?.document || message?.video || message?.audio || message?.voice || message?.sticker);
+    const mediaType = hasMedia ? getMessageMediaType(message) : 'text';
 
-    // 如果消息没有文本内容但包含媒体，则标记为媒体消息
+    // 如果消息没有文本内容但包含媒体，则标记为对应的媒体类型
     let displayText = text;
     if (!text) {
-        displayText = hasMedia ? '[媒体消息]' : '[无内容消息]';
+        const mediaLabel = getMediaLabel(mediaType);
+        displayText = hasMedia ? (mediaLabel ? `[${mediaLabel}]` : '[媒体消息]') : '[无内容消息]';
     }
 
     return {
         text,
         displayText,
-        hasMedia
-    };
-}
-
-/**
- * 解析抽奖信息文本，提取关键信息如创建时间、奖品、关键词等。
- * 
- * @param {string} messageText - 包含抽奖信息的完整文本内容
- * @param {string} monitorKeywords - 用户设置的监控关键词，多个关键词用逗号分隔
- * @returns {Object|null} 抽奖信息对象，若不包含有效关键词则返回 null
- * 
- * 返回对象包含以下字段：
- * - createTime {string} 抽奖创建时间
- * - prizes {Array<Object>} 奖品列表，每个对象包含 name 和 count
- * - keyword {string} 参与抽奖的关键词或红包口令
- * - creator {string} 创建者信息
- * - autoOpenCount {number} 自动开奖人数
- */
-export function parseLotteryMessage(messageText, monitorKeywords) {
-    const userKeywords = monitorKeywords?.split(',').map(k => k.trim()) || [];
-    const hasUserKeyword = userKeywords.some(keyword => messageText.includes(keyword));
-    
-    // 如果不是抽奖消息，直接返回null
-    if (!hasUserKeyword) {
-        return null;
-    }
-
-    // 提取抽奖创建时间
-    const createTimeMatch = messageText.match(/抽奖创建时间[：:](.+)/);
-    const createTime = createTimeMatch ? createTimeMatch[1].trim() : null;
-
-    // 提取奖品信息（使用字符串处理代替复杂的正则表达式）
-    let prizes = [];
-    const lines = messageText.split('\n');
-    let inPrizeSection = false;
-    let isRedPacket = messageText.includes('红包活动已创建');
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-
-        // 检查是否进入奖品部分
-        if (/奖品[：:]|总金额[:：]/.test(line)) {
-            inPrizeSection = true;
-
-            // 如果是红包消息，直接解析红包信息
-            if (isRedPacket) {
-                let amount = null;
-                let count = null;
-
-                // 从当前位置往后查找红包金额和数量
-                for (let j = i; j < lines.length; j++) {
-                    const currentLine = lines[j];
-                    const amountMatch = currentLine.match(/总金额[:：]\s*(\d+)/);
-                    const countMatch = currentLine.match(/数量[:：]\s*(\d+)份/);
-
-                    if (amountMatch) {
-                        amount = amountMatch[1];
-                    }
-                    if (countMatch) {
-                        count = countMatch[1];
-                    }
-                }
-
-                // 若成功提取金额和数量，则构造红包奖品对象
-                if (amount !== null && count !== null) {
-                    prizes.push({
-                        name: `红包 ${amount}`,
-                        count: parseInt(count, 10)
-                    });
-                }
-                break;
-            }
-            continue;
-        }
-
-        // 检查是否离开奖品部分
-        if (inPrizeSection && (line.includes('参与设置') || line.includes('抽奖设置') || line.trim() === '')) {
-            inPrizeSection = false;
-            continue;
-        }
-
-        // 在奖品部分中提取奖品信息
-        if (inPrizeSection) {
-            const prizeMatch = line.match(/(\S.*?)\s*[*×x]\s*(\d+)/);
-            if (prizeMatch) {
-                const countValue = parseInt(prizeMatch[2], 10);
-                if (!isNaN(countValue)) {
-                    prizes.push({
-                        name: prizeMatch[1].trim(),
-                        count: countValue
-                    });
-                }
-            }
-        }
-    }
-
-    // 提取创建者
-    const creatorMatch = messageText.match(/创建者[：:](.+)/);
-    const creator = creatorMatch ? creatorMatch[1].trim() : null;
-
-    // 提取自动开奖人数
-    const autoOpenCountMatch = messageText.match(/自动开奖人数[：:](\d+)/);
-    const autoOpenCount = autoOpenCountMatch ? parseInt(autoOpenCountMatch[1], 10) : null;
-
-    // 提取参与关键词
-    const keywordMatch = messageText.match(/参与关键词[：:]「(.+?)」/);
-    const keyword = keywordMatch ? keywordMatch[1].trim() : null;
-
-    // 如果是红包消息，尝试提取口令
-    let redPacketKeyword = null;
-    if (isRedPacket) {
-        const redPacketKeywordMatch = messageText.match(/发送\s+(.+?)\s+进行领取/);
-        redPacketKeyword = redPacketKeywordMatch ? redPacketKeywordMatch[1].trim() : null;
-        // 如果没有提取到关键词，使用默认关键词
-        if (!redPacketKeyword && keyword) {
-            redPacketKeyword = keyword;
-        }
-    }
-
-    return {
-        createTime,
-        prizes,
-        keyword: redPacketKeyword || keyword,
-        creator,
-        autoOpenCount
+        hasMedia,
+        mediaType
     };
 }
 
@@ -229,21 +116,15 @@ export function shouldDeletePreviousNotifications(messageText, deleteNotificatio
         return false;
     }
     
-    return deleteNotificationKeywords.some(keyword => {
-        // 对于包含换行符的关键词，需要特殊处理
-        if (keyword.includes('\n')) {
-            return messageText.includes(keyword);
-        }
-        // 对于普通关键词，使用更宽松的匹配
-        return messageText.includes(keyword);
-    });
+    // 与消息过滤、抽奖解析使用同一套关键词匹配规则
+    return matchAnyKeyword(messageText, deleteNotificationKeywords);
 }
 
 /**
  * 删除之前发送的通知消息
  * @param {Object} client - Telegram 客户端
  * @param {string} notificationChatId - 通知聊天ID
- * @param {Map} sentNotificationMessages - 已发送通知消息的存储
+ * @param {Object} sentNotificationMessages - 已发送通知消息的存储（见 core/notification-store.js）
  * @param {string} telegramBotToken - Telegram Bot Token
  */
 export async function deletePreviousNotifications(client, notificationChatId, sentNotificationMessages, telegramBotToken) {
@@ -255,7 +136,7 @@ export async function deletePreviousNotifications(client, notificationChatId, se
         }
         
         // 获取该聊天中存储的所有消息ID
-        const chatNotificationMessages = sentNotificationMessages.get(notificationChatId) || [];
+        const chatNotificationMessages = sentNotificationMessages.getMessageIds(notificationChatId);
         
         if (chatNotificationMessages.length === 0) {
             if (isDebug) {
@@ -270,12 +151,12 @@ export async function deletePreviousNotifications(client, notificationChatId, se
         
         // 如果配置了机器人token，优先使用机器人API删除消息
         if (telegramBotToken) {
-            // 使用deleteMessage逐个删除消息，因为Bot API的deleteMessages可能不适用于所有情况
+            // 使用deleteMessage逐个删除消息，因为Bot API的deleteMessages可能不适用于所有情况（由请求调度器限速）
             let successCount = 0;
             for (const messageId of chatNotificationMessages) {
                 try {
                     const botUrl = `https://api.telegram.org/bot${telegramBotToken}/deleteMessage`;
-                    const response = await fetch(botUrl, {
+                    const response = await fetchBotApi('bot.delete', botUrl, {
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json'
@@ -331,7 +212,7 @@ export async function deletePreviousNotifications(client, notificationChatId, se
                 if (chatEntity) {
                     // 批量删除消息
                     try {
-                        await client.deleteMessages(chatEntity, chatNotificationMessages, { revoke: true });
+                        await schedule('client.delete', () => client.deleteMessages(chatEntity, chatNotificationMessages, { revoke: true }));
                         successCount = chatNotificationMessages.length; // 假设删除成功
                         console.log(`✅ 成功通过客户端删除 ${successCount}/${chatNotificationMessages.length} 条通知消息`);
                     } catch (deleteError) {
@@ -339,7 +220,7 @@ export async function deletePreviousNotifications(client, notificationChatId, se
                         console.log("⚠️  批量删除失败，尝试逐个删除消息...");
                         for (const messageId of chatNotificationMessages) {
                             try {
-                                await client.deleteMessages(chatEntity, [messageId], { revoke: true });
+                                await schedule('client.delete', () => client.deleteMessages(chatEntity, [messageId], { revoke: true }));
                                 successCount++;
                             } catch (singleDeleteError) {
                                 if (isDebug) {
@@ -358,7 +239,7 @@ export async function deletePreviousNotifications(client, notificationChatId, se
         }
         
         // 清空已删除的消息ID列表
-        sentNotificationMessages.set(notificationChatId, []);
+        sentNotificationMessages.clear(notificationChatId);
         
     } catch (error) {
         if (process.env.DEBUG === 'true') {
@@ -387,7 +268,12 @@ export async function deletePreviousNotifications(client, notificationChatId, se
  * @param {Array<string>} USER_KEYWORDS - 原始用户关键词列表。
  * @param {Array<string>} normalizedNotMonitorIds - 不需要监控的聊天 ID 列表。
  * @param {Array<string>} deleteNotificationKeywords - 触发删除通知的关键词列表。
- * @param {Map} sentNotificationMessages - 存储已发送通知消息的Map。
+ * @param {Object} sentNotificationMessages - 已发送通知消息的存储（见 core/notification-store.js）。
+ * @param {Array<Object>|null} rules - 过滤规则列表（见 utils/ruleUtils.js），未传入时根据关键词配置生成默认规则。
+ * @param {Object|null} monitorState - 运行时监控状态（暂停、群组静音等），见 core/telegram-monitor.js。
+ * @param {Object|null} notificationQueue - 通知重试队列（见 core/notification-queue.js），发送失败的通知会加入队列稍后重试。
+ * @param {Object|null} lotteryTracker - 抽奖开奖跟踪器（见 core/lottery-tracker.js），开奖消息会更新原抽奖通知。
+ * @param {Object|null} autoJoiner - 抽奖自动参与器（见 core/auto-join.js），命中的抽奖消息解析出参与关键词时自动参与。
  */
 export async function handleMessage(
     message,
@@ -405,7 +291,12 @@ export async function handleMessage(
     USER_KEYWORDS,
     normalizedNotMonitorIds = [],
     deleteNotificationKeywords = [],
-    sentNotificationMessages = new Map()
+    sentNotificationMessages = null,
+    rules = null,
+    monitorState = null,
+    notificationQueue = null,
+    lotteryTracker = null,
+    autoJoiner = null
 ) {
     // 1. 跳过私人对话
     if (message.peerId && message.peerId.userId) {
@@ -469,8 +360,8 @@ export async function handleMessage(
                 } else {
                     console.log("在通知群组中检测到触发删除关键词，准备删除机器人之前发送的通知消息...");
                 }
-                // 删除之前的通知消息
-                const notificationChatIds = NOTIFICATION_CHAT_ID.split(',').map(id => id.trim());
+                // 删除之前的通知消息（包括发送到过滤规则单独指定目标的通知）
+                const notificationChatIds = sentNotificationMessages?.getTargetChatIds() || [];
                 for (const chatId of notificationChatIds) {
                     await deletePreviousNotifications(client, chatId, sentNotificationMessages, TELEGRAM_BOT_TOKEN);
                 }
@@ -548,8 +439,8 @@ export async function handleMessage(
             } else {
                 console.log("在监控群组中检测到触发删除关键词，准备删除机器人之前发送的通知消息...");
             }
-            // 删除之前的通知消息
-            const notificationChatIds = NOTIFICATION_CHAT_ID.split(',').map(id => id.trim());
+            // 删除之前的通知消息（包括发送到过滤规则单独指定目标的通知）
+            const notificationChatIds = sentNotificationMessages?.getTargetChatIds() || [];
             console.log(`准备删除以下目标的通知消息:`, notificationChatIds);
             for (const chatId of notificationChatIds) {
                 await deletePreviousNotifications(client, chatId, sentNotificationMessages, TELEGRAM_BOT_TOKEN);
@@ -557,6 +448,15 @@ export async function handleMessage(
         }
     }
 
+    // 已跟踪抽奖的开奖消息：更新原抽奖通知，不再作为新消息通知
+    if (lotteryTracker && await lotteryTracker.handleResult(message, {
+        chatId: normalizedChatId,
+        text: displayText,
+        senderId: normalizedSenderId
+    })) {
+        return;
+    }
+
     let chatTitle = 'Unknown Group';
     if (chat) {
         chatTitle = chat.title || (chat.firstName + (chat.lastName ? ' ' + chat.lastName : '')) || 'Unknown Group';
@@ -568,52 +468,77 @@ export async function handleMessage(
         }
     }
 
-    const textLower = displayText.toLowerCase();
-    let isTargetUser = false;
-    let hasUserKeyword = false;
-    let hasMonitorKeyword = false;
-
-    if (normalizedSenderId && targetUserIdsNormalized.length > 0) {
-        isTargetUser = targetUserIdsNormalized.includes(normalizedSenderId);
-    }
-
-    const matchKeyword = (keywordList) =>
-        keywordList.some((keyword) => {
-            if (/[^\w\s]/.test(keyword) || /\s/.test(keyword)) {
-                return textLower.includes(keyword);
+    // 监控已暂停、群组被临时静音或发送者被屏蔽时不发送通知
+    if (monitorState) {
+        if (monitorState.paused) {
+            return;
+        }
+        const mutedUntil = monitorState.mutedChats.get(normalizedChatId);
+        if (mutedUntil) {
+            if (Date.now() < mutedUntil) {
+                return;
             }
-            const regex = new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-            return regex.test(textLower);
-        });
-
-    if (userKeywordsNormalized.length > 0) {
-        hasUserKeyword = matchKeyword(userKeywordsNormalized);
-    }
-
-    if (monitorKeywordsNormalized.length > 0) {
-        hasMonitorKeyword = matchKeyword(monitorKeywordsNormalized);
+            monitorState.mutedChats.delete(normalizedChatId);
+        }
+        if (normalizedSenderId && monitorState.mutedSenders.has(normalizedSenderId)) {
+            return;
+        }
     }
 
-    let shouldProcessMessage = false;
-
-    if (isTargetUser && (userKeywordsNormalized.length === 0 || hasUserKeyword)) {
-        shouldProcessMessage = true;
-    } else if (hasMonitorKeyword) {
-        shouldProcessMessage = true;
-    } else if (monitorKeywordsNormalized.length === 0 && userKeywordsNormalized.length === 0) {
-        shouldProcessMessage = true;
-    }
+    // 独立评估每条过滤规则（未配置规则文件时使用由环境变量生成的默认规则）
+    const activeRules = rules ?? buildDefaultRules({
+        targetUserIds: targetUserIdsNormalized,
+        userKeywords: userKeywordsNormalized,
+        monitorKeywords: monitorKeywordsNormalized
+    });
+    const ruleMatches = evaluateRules(activeRules, {
+        chatId: normalizedChatId,
+        senderId: normalizedSenderId,
+        text: displayText,
+        mediaType: messageContent.mediaType
+    });
 
-    if (!shouldProcessMessage) {
-        return;
-    }
+    // 收集命中的关键词，供 Webhook 等结构化通知使用
+    const matchedKeywords = [...new Set(ruleMatches.flatMap(match => match.matchedKeywords))];
+    const matchedRuleNames = ruleMatches.filter(match => !match.rule.implicit).map(match => match.rule.name);
 
     const dedupKey = `${normalizedChatId}:${message.id}`;
+    // 编辑后的消息按新内容评估：已通知过的更新原通知，未通知过的作为新通知发送并标记“已编辑”
+    const isEdited = message.editDate != null;
 
     if (processedMessages.has(dedupKey)) {
         const prev = processedMessages.get(dedupKey);
         const elapsedSeconds = Math.round((Date.now() - prev.ts) / 1000);
-        console.log(`消息 ${dedupKey} 已在 ${elapsedSeconds}s 内处理过，跳过通知`);
+        if (!isEdited || prev.text === displayText) {
+            console.log(`消息 ${dedupKey} 已在 ${elapsedSeconds}s 内处理过，跳过通知`);
+            incrementMetric('dedup_hits');
+            return;
+        }
+
+        // 保留首次处理的时间，去重窗口不因编辑而延长
+        processedMessages.set(dedupKey, {
+            ts: prev.ts,
+            text: displayText,
+        });
+        // 编辑后不再命中任何规则时同样更新原通知，并标记为不再命中
+        const unmatched = ruleMatches.length === 0;
+        console.log(`${chatTitle} — 消息 ${dedupKey} 已被编辑${unmatched ? '且不再命中' : ''}，更新原通知`);
+        const updatedCount = await updateNotification(
+            message,
+            chat,
+            client,
+            TELEGRAM_BOT_TOKEN,
+            USER_KEYWORDS,
+            sentNotificationMessages,
+            { previousText: prev.text, matchedKeywords, matchedRuleNames, lotteryTracker, unmatched }
+        );
+        if (updatedCount > 0) {
+            incrementMetric('notifications_updated', updatedCount);
+        }
+        return;
+    }
+
+    if (ruleMatches.length === 0) {
         return;
     }
 
@@ -622,21 +547,57 @@ export async function handleMessage(
         text: displayText,
     });
 
-    if (hasUserKeyword || hasMonitorKeyword) {
+    incrementMetric('messages_matched');
+
+    if (matchedKeywords.length > 0) {
         console.log(`${chatTitle} — 检测到关键字`);
     }
+    if (matchedRuleNames.length > 0) {
+        console.log(`${chatTitle} — 命中规则: ${matchedRuleNames.join(', ')}`);
+    }
+
+    // 合并命中规则的通知目标和通知后端：未指定目标的规则使用默认的 NOTIFICATION_CHAT_ID，
+    // 未指定 notifiers 的规则使用 Telegram 和所有已配置的通知后端
+    const notificationTargets = new Set();
+    let notifiers = new Set();
+    for (const { rule } of ruleMatches) {
+        if (rule.notifiers.length === 0 || rule.notifiers.includes('telegram')) {
+            const targets = rule.targets.length > 0
+                ? rule.targets
+                : (NOTIFICATION_CHAT_ID ? NOTIFICATION_CHAT_ID.split(',').map(id => id.trim()).filter(Boolean) : []);
+            targets.forEach(target => notificationTargets.add(target));
+        }
+        if (notifiers) {
+            if (rule.notifiers.length === 0) {
+                notifiers = null;
+            } else {
+                rule.notifiers.forEach(notifier => notifiers.add(notifier));
+            }
+        }
+    }
+
+    // 符合自动参与条件的抽奖在随机延迟后发送参与关键词（与是否配置通知目标、通知是否发送成功无关）
+    if (autoJoiner?.enabled) {
+        const lotteryInfo = parseLotteryMessage(displayText, USER_KEYWORDS, { senderId: normalizedSenderId });
+        if (hasLotteryDetails(lotteryInfo)) {
+            autoJoiner.handleLottery(message, { chatId: normalizedChatId, chatTitle, senderId: normalizedSenderId, info: lotteryInfo });
+        }
+    }
 
     console.log('准备发送通知');
     const notificationResult = await sendNotification(
         message, 
         chat, 
         client, 
-        NOTIFICATION_CHAT_ID, 
+        [...notificationTargets].join(','), 
         TELEGRAM_BOT_TOKEN, 
         USER_KEYWORDS,
-        sentNotificationMessages // 传递消息存储Map用于记录发送的消息
+        sentNotificationMessages, // 传递通知存储用于记录发送的消息
+        { matchedKeywords, matchedRuleNames, notificationQueue, lotteryTracker, notifiers: notifiers && [...notifiers], edited: isEdited }
     );
-}
-
-
 
+    incrementMetric(notificationResult ? 'notifications_sent' : 'notifications_failed');
+    if (notificationResult) {
+        recordEvent('notification');
+    }
+}
\ No newline at end of file
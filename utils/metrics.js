@@ -0,0 +1,122 @@
+/**
+ * 运行时统计计数器（进程内单例）
+ *
+ * 用于机器人 /stats 命令、HTTP /metrics 和 /status 等统计输出，进程重启后清零。
+ */
+
+// Prometheus 指标名称前缀
+const METRIC_PREFIX = 'telegram_monitor_';
+
+// 计数器名称及说明
+export const METRIC_DESCRIPTIONS = {
+    messages_seen: '收到的消息更新数',
+    messages_matched: '命中过滤规则的消息数',
+    dedup_hits: '因去重跳过的消息数',
+    notifications_sent: '成功发送的通知数',
+    notifications_failed: '发送失败的通知数',
+    notifications_queued: '发送失败后加入重试队列的投递数',
+    notifications_retried: '通过重试队列补发成功的投递数',
+    notifications_dead_lettered: '放弃重试并写入死信文件的投递数',
+    notifications_updated: '原始消息编辑后更新的通知数',
+    messages_auto_deleted: '自动删除的过期消息数',
+    lotteries_drawn: '识别到开奖并更新通知的抽奖数',
+    lotteries_auto_joined: '自动参与的抽奖数',
+    flood_waits: '遇到的限流（FLOOD_WAIT / 429）次数',
+    rate_limit_throttled: '因请求限速排队等待的调用数'
+};
+
+// 最近事件时间的名称及说明
+export const EVENT_DESCRIPTIONS = {
+    connected: '最近连接成功时间',
+    heartbeat: '最近心跳成功时间',
+    update: '最近收到更新时间',
+    notification: '最近发送通知成功时间'
+};
+
+const counters = new Map(Object.keys(METRIC_DESCRIPTIONS).map(name => [name, 0]));
+// 最近事件时间 Map<事件名称, 毫秒时间戳>
+const lastEvents = new Map();
+const startedAt = Date.now();
+
+/**
+ * 增加计数器的值
+ * @param {string} name - 计数器名称
+ * @param {number} [value=1] - 增加的值
+ */
+export function incrementMetric(name, value = 1) {
+    counters.set(name, (counters.get(name) || 0) + value);
+}
+
+/**
+ * 获取所有计数器的当前值
+ * @returns {Object<string, number>} 计数器名称到值的映射
+ */
+export function getMetrics() {
+    return Object.fromEntries(counters);
+}
+
+/**
+ * 记录事件发生时间（如心跳成功、收到更新）
+ * @param {string} name - 事件名称
+ * @param {number} [timestamp=Date.now()] - 毫秒时间戳
+ */
+export function recordEvent(name, timestamp = Date.now()) {
+    lastEvents.set(name, timestamp);
+}
+
+/**
+ * 获取所有事件最近一次发生的时间
+ * @returns {Object<string, number|null>} 事件名称到毫秒时间戳的映射，未发生过的事件为 null
+ */
+export function getLastEvents() {
+    const result = {};
+    for (const name of new Set([...Object.keys(EVENT_DESCRIPTIONS), ...lastEvents.keys()])) {
+        result[name] = lastEvents.get(name) ?? null;
+    }
+    return result;
+}
+
+/**
+ * 获取进程启动时间（毫秒时间戳）
+ * @returns {number}
+ */
+export function getStartedAt() {
+    return startedAt;
+}
+
+/**
+ * 以 Prometheus 文本格式输出所有指标
+ * @param {Object<string, number>} [gauges={}] - 额外的瞬时值指标（如是否暂停、存储记录数）
+ * @returns {string} Prometheus 文本格式的指标
+ */
+export function renderPrometheusMetrics(gauges = {}) {
+    const lines = [];
+
+    for (const [name, value] of counters) {
+        const metricName = `${METRIC_PREFIX}${name}_total`;
+        lines.push(`# HELP ${metricName} ${METRIC_DESCRIPTIONS[name] || name}`);
+        lines.push(`# TYPE ${metricName} counter`);
+        lines.push(`${metricName} ${value}`);
+    }
+
+    const eventMetric = `${METRIC_PREFIX}last_event_timestamp_seconds`;
+    lines.push(`# HELP ${eventMetric} 最近一次事件发生的时间（Unix 秒）`);
+    lines.push(`# TYPE ${eventMetric} gauge`);
+    for (const [name, timestamp] of Object.entries(getLastEvents())) {
+        if (timestamp === null) continue;
+        lines.push(`${eventMetric}{event="${name}"} ${Math.floor(timestamp / 1000)}`);
+    }
+
+    const startMetric = `${METRIC_PREFIX}start_time_seconds`;
+    lines.push(`# HELP ${startMetric} 进程启动时间（Unix 秒）`);
+    lines.push(`# TYPE ${startMetric} gauge`);
+    lines.push(`${startMetric} ${Math.floor(startedAt / 1000)}`);
+
+    for (const [name, value] of Object.entries(gauges)) {
+        const metricName = `${METRIC_PREFIX}${name}`;
+        lines.push(`# TYPE ${metricName} gauge`);
+        lines.push(`${metricName} ${Number(value) || 0}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,423 @@
+/**
+ * 通知后端
+ *
+ * 除 Telegram 通知目标（NOTIFICATION_CHAT_ID）外，命中的消息还可以推送到以下后端，
+ * 所有后端都从同一个结构化通知事件（见 buildNotificationEvent）渲染通知内容：
+ * - webhook：原样 POST 结构化 JSON
+ * - discord：Discord Webhook（embed）
+ * - slack：Slack Incoming Webhook（Block Kit）
+ * - email：SMTP 邮件（纯文本）
+ * - ntfy：ntfy 推送
+ * - gotify：Gotify 推送
+ *
+ * 配置了地址的后端默认都会启用，过滤规则可以通过 notifiers 字段只使用部分后端（见 utils/ruleUtils.js）。
+ */
+
+import { parseWebhookUrls, postWebhook, postJson } from './webhookUtil.js';
+import { sendMail } from './smtpUtil.js';
+import { getMediaLabel } from './mediaUtils.js';
+import { buildMessageLink } from './formatUtils.js';
+
+// 各平台的长度限制
+const DISCORD_TITLE_LIMIT = 256;
+const DISCORD_DESCRIPTION_LIMIT = 4096;
+const DISCORD_FIELD_LIMIT = 1024;
+const SLACK_HEADER_LIMIT = 150;
+const SLACK_TEXT_LIMIT = 3000;
+const SLACK_MAX_FIELDS = 10;
+
+/**
+ * 将逗号分隔的配置转换为列表
+ * @param {string} raw - 原始配置
+ * @returns {Array<string>}
+ */
+function parseList(raw) {
+    return String(raw || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 截断过长的文本
+ * @param {string} text - 原始文本
+ * @param {number} limit - 最大长度
+ * @returns {string}
+ */
+function truncate(text, limit) {
+    const value = String(text ?? '');
+    return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+}
+
+/**
+ * 构建结构化通知事件
+ *
+ * 所有通知后端（以及 Telegram 通知的 buildFormattedMessage）都从该事件渲染通知内容，
+ * webhook 后端直接将其作为请求体。
+ *
+ * @param {Object} params - 构建参数
+ * @param {string} params.chatId - 来源群组 ID
+ * @param {string} params.chatTitle - 来源群组标题
+ * @param {string} params.senderId - 发送者 ID（规范化后）
+ * @param {string} params.senderName - 发送者名称
+ * @param {Object} params.message - 原始消息对象
+ * @param {string} params.text - 消息文本内容
+ * @param {string} [params.mediaType] - 消息媒体类型
+ * @param {Array<string>} params.matchedKeywords - 命中的关键词列表
+ * @param {Array<string>} [params.matchedRules] - 命中的过滤规则名称列表
+ * @param {Object|null} params.lotteryInfo - 解析出的抽奖信息
+ * @param {boolean} [params.edited] - 是否为编辑后才命中的消息（事件类型为 message.edited）
+ * @returns {Object} 可直接序列化为 JSON 的通知事件
+ */
+export function buildNotificationEvent({ chatId, chatTitle, senderId, senderName, message, text, mediaType, matchedKeywords, matchedRules, lotteryInfo, edited = false }) {
+    const messageDate = typeof message?.date === 'number' ? new Date(message.date * 1000).toISOString() : null;
+    const editDate = typeof message?.editDate === 'number' ? new Date(message.editDate * 1000).toISOString() : null;
+
+    return {
+        event: edited ? 'message.edited' : 'message.matched',
+        timestamp: new Date().toISOString(),
+        chat: {
+            id: chatId,
+            title: chatTitle
+        },
+        sender: {
+            id: senderId || null,
+            name: senderName || null
+        },
+        message: {
+            id: message?.id ?? null,
+            date: messageDate,
+            editDate,
+            text: text ?? '',
+            mediaType: mediaType || 'text',
+            // 只有超级群组和频道的消息有链接
+            link: buildMessageLink(chatId, message?.id, message?.peerId)
+        },
+        matchedKeywords: Array.isArray(matchedKeywords) ? matchedKeywords : [],
+        matchedRules: Array.isArray(matchedRules) ? matchedRules : [],
+        lottery: lotteryInfo || null
+    };
+}
+
+/**
+ * 获取原始消息的链接
+ * @param {Object} event - 通知事件
+ * @returns {string|null}
+ */
+function getMessageLink(event) {
+    return event.message?.link || null;
+}
+
+/**
+ * 渲染通知标题
+ * @param {Object} event - 通知事件
+ * @returns {string}
+ */
+export function renderEventTitle(event) {
+    const chatTitle = event.chat?.title || event.chat?.id || '';
+    const editedLabel = event.event === 'message.edited' ? ' (已编辑)' : '';
+    return event.lottery ? `🔔 抽奖红包提醒 - ${chatTitle}${editedLabel}` : `📨 ${chatTitle}${editedLabel}`;
+}
+
+/**
+ * 渲染通知中的字段（与 Telegram 通知中显示的内容一致）
+ * @param {Object} event - 通知事件
+ * @returns {Array<[string, string]>} `[名称, 内容]` 列表
+ */
+export function renderEventFields(event) {
+    const fields = [['群组', `${event.chat?.title || ''} (ID: ${event.chat?.id ?? ''})`]];
+    if (event.sender?.name || event.sender?.id) {
+        fields.push(['发送者', event.sender.name || event.sender.id]);
+    }
+    if (event.matchedRules?.length > 0) {
+        fields.push(['规则', event.matchedRules.join(', ')]);
+    }
+    if (event.matchedKeywords?.length > 0) {
+        fields.push(['关键词', event.matchedKeywords.join(', ')]);
+    }
+    const mediaLabel = getMediaLabel(event.message?.mediaType);
+    if (mediaLabel && event.message.mediaType !== 'webpage') {
+        fields.push(['媒体', mediaLabel]);
+    }
+
+    const lottery = event.lottery;
+    if (lottery) {
+        if (lottery.creator != null) fields.push(['财神', String(lottery.creator)]);
+        if (lottery.createTime != null) fields.push(['时间', String(lottery.createTime)]);
+        if (typeof lottery.autoOpenCount === 'number') fields.push(['参与', `${lottery.autoOpenCount} 人`]);
+        if (lottery.keyword != null) fields.push(['口令', String(lottery.keyword)]);
+        const prizes = (Array.isArray(lottery.prizes) ? lottery.prizes : [])
+            .filter(prize => prize && typeof prize === 'object')
+            .map(prize => `${prize.name ?? ''} × ${prize.count ?? 0}`);
+        if (prizes.length > 0) fields.push(['奖品', prizes.join('\n')]);
+    }
+
+    const link = getMessageLink(event);
+    if (link) fields.push(['链接', link]);
+    return fields;
+}
+
+/**
+ * 渲染纯文本通知（邮件、ntfy、Gotify）
+ * @param {Object} event - 通知事件
+ * @returns {string}
+ */
+export function renderEventText(event) {
+    const lines = renderEventFields(event).map(([name, value]) => `${name}: ${value}`);
+    if (event.message?.text) {
+        lines.push('', '消息内容:', event.message.text);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 渲染 Discord Webhook 请求体
+ * @param {Object} event - 通知事件
+ * @returns {Object}
+ */
+export function renderDiscordMessage(event) {
+    const link = getMessageLink(event);
+    return {
+        username: 'Telegram Monitor',
+        embeds: [{
+            title: truncate(renderEventTitle(event), DISCORD_TITLE_LIMIT),
+            ...(link ? { url: link } : {}),
+            ...(event.message?.text ? { description: truncate(event.message.text, DISCORD_DESCRIPTION_LIMIT) } : {}),
+            color: event.lottery ? 0xf1c40f : 0x3498db,
+            fields: renderEventFields(event).map(([name, value]) => ({
+                name,
+                value: truncate(value, DISCORD_FIELD_LIMIT),
+                inline: value.length <= 40 && !value.includes('\n')
+            })),
+            timestamp: event.message?.date || event.timestamp
+        }]
+    };
+}
+
+/**
+ * 转义 Slack mrkdwn 中的特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function escapeSlack(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * 渲染 Slack Incoming Webhook 请求体
+ * @param {Object} event - 通知事件
+ * @returns {Object}
+ */
+export function renderSlackMessage(event) {
+    const title = renderEventTitle(event);
+    const link = getMessageLink(event);
+    const fields = renderEventFields(event).filter(([name]) => name !== '链接');
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: truncate(title, SLACK_HEADER_LIMIT) } }
+    ];
+    if (event.message?.text) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(escapeSlack(event.message.text), SLACK_TEXT_LIMIT) } });
+    }
+    if (fields.length > 0) {
+        blocks.push({
+            type: 'section',
+            fields: fields.slice(0, SLACK_MAX_FIELDS).map(([name, value]) => ({
+                type: 'mrkdwn',
+                text: truncate(`*${name}*\n${escapeSlack(value)}`, 2000)
+            }))
+        });
+    }
+    if (link) {
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `<${link}|在 Telegram 中打开>` }] });
+    }
+
+    // text 用于移动端推送和不支持 blocks 的客户端
+    return { text: truncate(`${title}\n${event.message?.text || ''}`, SLACK_TEXT_LIMIT), blocks };
+}
+
+/**
+ * 渲染 ntfy JSON 发布请求体
+ *
+ * ntfy 的 JSON 发布需要 POST 到服务器根地址，主题放在请求体中，因此从 NTFY_URL 中拆出主题。
+ *
+ * @param {string} topicUrl - 主题地址，如 https://ntfy.sh/my-topic
+ * @param {Object} event - 通知事件
+ * @returns {{url: string, body: Object}}
+ */
+export function renderNtfyMessage(topicUrl, event) {
+    const url = new URL(topicUrl);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const topic = segments.pop();
+    url.pathname = `/${segments.join('/')}`;
+
+    const link = getMessageLink(event);
+    const priority = parseInt(process.env.NTFY_PRIORITY, 10);
+    return {
+        url: url.toString(),
+        body: {
+            topic,
+            title: renderEventTitle(event),
+            message: renderEventText(event),
+            tags: [event.lottery ? 'tada' : 'speech_balloon'],
+            ...(priority >= 1 && priority <= 5 ? { priority } : {}),
+            ...(link ? { click: link } : {})
+        }
+    };
+}
+
+/**
+ * 渲染 Gotify 消息请求体
+ * @param {Object} event - 通知事件
+ * @returns {Object}
+ */
+export function renderGotifyMessage(event) {
+    const link = getMessageLink(event);
+    const priority = parseInt(process.env.GOTIFY_PRIORITY, 10);
+    return {
+        title: renderEventTitle(event),
+        message: renderEventText(event),
+        priority: isNaN(priority) ? 5 : priority,
+        extras: {
+            'client::display': { contentType: 'text/plain' },
+            ...(link ? { 'client::notification': { click: { url: link } } } : {})
+        }
+    };
+}
+
+/**
+ * 读取 SMTP 配置
+ * @returns {Object} sendMail 的连接与发件人配置
+ */
+function getSmtpConfig() {
+    const secure = process.env.SMTP_SECURE === 'true';
+    return {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+        secure,
+        user: process.env.SMTP_USER || undefined,
+        pass: process.env.SMTP_PASS || undefined,
+        allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+        from: process.env.SMTP_FROM || process.env.SMTP_USER
+    };
+}
+
+// 通知后端：getTargets 从环境变量读取投递目标（每次发送时读取，支持配置热重载），send 投递到单个目标
+const NOTIFIER_BACKENDS = {
+    webhook: {
+        label: 'Webhook',
+        getTargets: () => parseWebhookUrls(process.env.NOTIFICATION_WEBHOOK_URL),
+        send: (url, event) => postWebhook(url, event)
+    },
+    discord: {
+        label: 'Discord',
+        getTargets: () => parseList(process.env.DISCORD_WEBHOOK_URL),
+        send: (url, event) => postJson(url, renderDiscordMessage(event))
+    },
+    slack: {
+        label: 'Slack',
+        getTargets: () => parseList(process.env.SLACK_WEBHOOK_URL),
+        send: (url, event) => postJson(url, renderSlackMessage(event))
+    },
+    email: {
+        label: '邮件',
+        // 所有收件人使用同一封邮件，作为一个投递目标
+        getTargets: () => {
+            const recipients = parseList(process.env.SMTP_TO);
+            return process.env.SMTP_HOST && recipients.length > 0 ? [recipients.join(',')] : [];
+        },
+        send: (recipients, event) => {
+            const smtpConfig = getSmtpConfig();
+            if (!smtpConfig.from) {
+                throw Object.assign(new Error('未配置 SMTP_FROM'), { permanent: true });
+            }
+            return sendMail({
+                ...smtpConfig,
+                to: parseList(recipients),
+                subject: renderEventTitle(event),
+                text: renderEventText(event)
+            });
+        }
+    },
+    ntfy: {
+        label: 'ntfy',
+        getTargets: () => parseList(process.env.NTFY_URL),
+        send: (topicUrl, event) => {
+            const { url, body } = renderNtfyMessage(topicUrl, event);
+            const token = process.env.NTFY_TOKEN;
+            return postJson(url, body, token ? { Authorization: `Bearer ${token}` } : {});
+        }
+    },
+    gotify: {
+        label: 'Gotify',
+        getTargets: () => (process.env.GOTIFY_TOKEN ? parseList(process.env.GOTIFY_URL) : []),
+        send: (baseUrl, event) => postJson(`${baseUrl.replace(/\/+$/, '')}/message`, renderGotifyMessage(event), {
+            'X-Gotify-Key': process.env.GOTIFY_TOKEN
+        })
+    }
+};
+
+/**
+ * 判断名称是否为通知后端
+ * @param {string} name - 后端名称
+ * @returns {boolean}
+ */
+export function isNotifierBackend(name) {
+    return Object.prototype.hasOwnProperty.call(NOTIFIER_BACKENDS, name);
+}
+
+/**
+ * 获取已配置投递目标的通知后端名称
+ * @returns {Array<string>}
+ */
+export function getConfiguredNotifiers() {
+    return Object.keys(NOTIFIER_BACKENDS).filter(name => NOTIFIER_BACKENDS[name].getTargets().length > 0);
+}
+
+/**
+ * 将通知事件投递到通知后端的单个目标（通知重试队列也通过该函数重新投递）
+ *
+ * @param {string} name - 后端名称
+ * @param {string} target - 投递目标（Webhook 地址、收件人等）
+ * @param {Object} event - 通知事件
+ * @returns {Promise<void>}
+ * @throws {Error} 投递失败时抛出，带有 retryAfter 或 permanent 供重试队列判断是否重试
+ */
+export async function deliverToNotifier(name, target, event) {
+    const backend = NOTIFIER_BACKENDS[name];
+    if (!backend) {
+        throw Object.assign(new Error(`不支持的通知后端: ${name}`), { permanent: true });
+    }
+    await backend.send(target, event);
+}
+
+/**
+ * 将通知事件并发推送到通知后端的所有目标
+ *
+ * @param {Object} event - 由 buildNotificationEvent 构建的通知事件
+ * @param {Object} [options] - 额外选项
+ * @param {Array<string>|null} [options.notifiers] - 使用的后端名称，null 表示所有已配置的后端
+ * @param {Function} [options.onFailure] - 某个目标发送失败时调用 `onFailure(name, target, error)`（例如加入重试队列）
+ * @returns {Promise<boolean>} 是否至少成功推送到一个目标
+ */
+export async function sendToNotifiers(event, options = {}) {
+    const names = (options.notifiers ?? Object.keys(NOTIFIER_BACKENDS)).filter(isNotifierBackend);
+    const deliveries = names.flatMap(name => NOTIFIER_BACKENDS[name].getTargets().map(target => ({ name, target })));
+    if (deliveries.length === 0) return false;
+
+    const sendResults = await Promise.allSettled(deliveries.map(({ name, target }) => deliverToNotifier(name, target, event)));
+
+    let successCount = 0;
+    for (let i = 0; i < sendResults.length; i++) {
+        const result = sendResults[i];
+        const { name, target } = deliveries[i];
+        const label = NOTIFIER_BACKENDS[name].label;
+
+        if (result.status === 'fulfilled') {
+            successCount++;
+            console.log(`✅ 通知已推送到 ${label}`);
+        } else {
+            console.error(`❌ 推送到 ${label} 失败:`, result.reason.message);
+            options.onFailure?.(name, target, result.reason);
+        }
+    }
+
+    console.log(`📤 通知后端总共推送到 ${successCount}/${deliveries.length} 个目标`);
+    return successCount > 0;
+}
@@ -0,0 +1,221 @@
+/**
+ * Telegram 请求调度器（进程内单例）
+ *
+ * 所有发送、删除、搜索消息的调用都通过 schedule() 执行：
+ * - 每类调用使用独立的令牌桶限速（按配置的每秒请求数和突发数排队）
+ * - 识别 MTProto 的 FLOOD_WAIT_X 和 Bot API 的 retry_after，触发限流后暂停同一账号的所有请求，到时间后自动重试
+ * - SLOWMODE_WAIT_X 只限制单个群组的发言频率，只让当前请求等待后重试，不暂停账号的其他请求
+ * - 限流次数和排队次数计入运行时统计（flood_waits、rate_limit_throttled）
+ *
+ * 调用名称以 `client.` 开头的使用用户账号，`bot.` 开头的使用通知机器人，两者的限流暂停互不影响。
+ */
+
+import { incrementMetric } from './metrics.js';
+
+// 默认令牌桶配置：perSecond 为每秒补充的令牌数，burst 为桶容量（允许的突发请求数）
+const DEFAULT_LIMITS = {
+    'client.send': { perSecond: 1, burst: 3 },
+    'client.delete': { perSecond: 2, burst: 5 },
+    'client.search': { perSecond: 1, burst: 2 },
+    'client.read': { perSecond: 2, burst: 5 },
+    'bot.send': { perSecond: 1, burst: 5 },
+    'bot.delete': { perSecond: 5, burst: 10 },
+    default: { perSecond: 5, burst: 10 }
+};
+
+// 限流等待超过该时长（秒）时不再等待，直接抛出错误
+const DEFAULT_MAX_FLOOD_WAIT_SECONDS = 300;
+// 同一请求因限流重试的最大次数
+const MAX_FLOOD_RETRIES = 5;
+
+// 令牌桶 Map<调用名称, { perSecond, burst, tokens, updatedAt, queue }>
+const buckets = new Map();
+// 限流暂停截止时间 Map<账号范围, 毫秒时间戳>
+const pausedUntil = new Map();
+let limitsCache = null;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 解析 RATE_LIMITS 环境变量
+ *
+ * 格式为逗号分隔的 `名称=每秒请求数[:突发数]`，例如 `client.delete=1:3,bot.send=0.5`。
+ *
+ * @param {string} [raw] - 原始配置
+ * @returns {Object<string, {perSecond: number, burst: number}>} 合并默认值后的配置
+ */
+function parseRateLimits(raw) {
+    const limits = { ...DEFAULT_LIMITS };
+    for (const item of String(raw || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const match = item.match(/^([\w.]+)\s*=\s*(\d+(?:\.\d+)?)(?::(\d+))?$/);
+        if (!match || Number(match[2]) <= 0) {
+            console.warn(`⚠️  忽略无效的 RATE_LIMITS 配置项: ${item}`);
+            continue;
+        }
+        const perSecond = Number(match[2]);
+        limits[match[1]] = { perSecond, burst: match[3] ? Math.max(1, Number(match[3])) : Math.max(1, Math.ceil(perSecond)) };
+    }
+    return limits;
+}
+
+/**
+ * 从错误中解析需要等待的秒数
+ *
+ * 支持 GramJS 的 FloodWaitError（seconds 字段）、错误信息中的 FLOOD_WAIT_X / SLOWMODE_WAIT_X，
+ * 以及 Bot API 429 响应中的 retry_after。
+ *
+ * @param {Error} error - 错误对象
+ * @returns {number|null} 等待秒数，不是限流错误时返回 null
+ */
+export function getFloodWaitSeconds(error) {
+    if (!error) return null;
+    if (error.retryAfter != null) return Number(error.retryAfter);
+    if (error.parameters?.retry_after != null) return Number(error.parameters.retry_after);
+
+    const match = String(error.errorMessage || error.message || '').match(/(?:FLOOD|SLOWMODE)_WAIT_(\d+)/);
+    if (match) return Number(match[1]);
+    if (error.errorMessage === 'FLOOD' && error.seconds != null) return Number(error.seconds);
+    return null;
+}
+
+/**
+ * 判断错误是否为群组慢速模式限制（SLOWMODE_WAIT_X）
+ * @param {Error} error - 错误对象
+ * @returns {boolean}
+ */
+function isSlowmodeWait(error) {
+    return /SLOWMODE_WAIT_\d+/.test(String(error?.errorMessage || error?.message || ''));
+}
+
+/**
+ * 获取调用对应的令牌桶
+ * @param {string} name - 调用名称
+ * @returns {Object} 令牌桶
+ */
+function getBucket(name) {
+    if (!buckets.has(name)) {
+        limitsCache ??= parseRateLimits(process.env.RATE_LIMITS);
+        const { perSecond, burst } = limitsCache[name] || limitsCache.default;
+        buckets.set(name, { perSecond, burst, tokens: burst, updatedAt: Date.now(), queue: Promise.resolve() });
+    }
+    return buckets.get(name);
+}
+
+/**
+ * 获取调用所属的账号范围（client 或 bot）
+ * @param {string} name - 调用名称
+ * @returns {string}
+ */
+function getScope(name) {
+    return name.split('.')[0];
+}
+
+/**
+ * 按顺序等待限流暂停结束并取得一个令牌
+ * @param {string} name - 调用名称
+ * @returns {Promise<void>}
+ */
+function acquire(name) {
+    const bucket = getBucket(name);
+    const scope = getScope(name);
+
+    const turn = bucket.queue.then(async () => {
+        let throttled = false;
+        for (;;) {
+            const pauseMs = (pausedUntil.get(scope) || 0) - Date.now();
+            if (pauseMs > 0) {
+                await sleep(pauseMs);
+                continue;
+            }
+
+            const now = Date.now();
+            bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.perSecond);
+            bucket.updatedAt = now;
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                return;
+            }
+
+            if (!throttled) {
+                throttled = true;
+                incrementMetric('rate_limit_throttled');
+            }
+            await sleep(Math.ceil((1 - bucket.tokens) / bucket.perSecond * 1000));
+        }
+    });
+    bucket.queue = turn;
+    return turn;
+}
+
+/**
+ * 暂停账号范围内的所有请求
+ * @param {string} scope - 账号范围（client 或 bot）
+ * @param {number} seconds - 暂停秒数
+ */
+function pauseScope(scope, seconds) {
+    const until = Date.now() + seconds * 1000;
+    if (until > (pausedUntil.get(scope) || 0)) {
+        pausedUntil.set(scope, until);
+    }
+}
+
+/**
+ * 通过调度器执行 Telegram 调用
+ *
+ * 触发限流时暂停同一账号的所有请求并在等待后重试（慢速模式只等待当前请求）；等待时间超过 maxFloodWaitSeconds 或重试次数用完时抛出原错误。
+ * 其他错误按 retries 指数退避重试（1s、2s、4s...），默认不重试。
+ *
+ * 环境变量：
+ * RATE_LIMITS (可选，覆盖默认的每秒请求数，格式见 parseRateLimits)
+ * RATE_LIMIT_MAX_WAIT_SECONDS (默认 300)
+ *
+ * @param {string} name - 调用名称，如 `client.delete`、`bot.send`
+ * @param {Function} fn - 执行调用的函数，返回 Promise
+ * @param {Object} [options] - 重试选项
+ * @param {number} [options.retries=0] - 非限流错误的重试次数
+ * @param {number} [options.maxFloodWaitSeconds] - 最长愿意等待的限流时间（秒），0 表示遇到限流直接抛出
+ * @returns {Promise<*>} fn 的返回值
+ */
+export async function schedule(name, fn, options = {}) {
+    const {
+        retries = 0,
+        maxFloodWaitSeconds = parseInt(process.env.RATE_LIMIT_MAX_WAIT_SECONDS, 10) || DEFAULT_MAX_FLOOD_WAIT_SECONDS
+    } = options;
+
+    let attempt = 0;
+    let floodRetries = 0;
+    for (;;) {
+        await acquire(name);
+        try {
+            return await fn();
+        } catch (error) {
+            const waitSeconds = getFloodWaitSeconds(error);
+            if (waitSeconds != null) {
+                incrementMetric('flood_waits');
+                const slowmode = isSlowmodeWait(error);
+                if (!slowmode) {
+                    pauseScope(getScope(name), waitSeconds);
+                }
+                if (waitSeconds > maxFloodWaitSeconds || floodRetries >= MAX_FLOOD_RETRIES) {
+                    throw error;
+                }
+                floodRetries++;
+                console.warn(`⚠️  ${name} 触发${slowmode ? '慢速模式' : '限流'}，${waitSeconds} 秒后重试`);
+                if (slowmode) {
+                    await sleep(waitSeconds * 1000);
+                }
+                continue;
+            }
+
+            if (attempt >= retries) {
+                throw error;
+            }
+            const delayMs = 1000 * (2 ** attempt);
+            attempt++;
+            console.warn(`⚠️  ${name} 失败，${delayMs / 1000} 秒后重试 (${attempt}/${retries}): ${error.message}`);
+            await sleep(delayMs);
+        }
+    }
+}
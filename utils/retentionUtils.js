@@ -0,0 +1,269 @@
+/**
+ * 自动删除保留策略
+ *
+ * 为不同群组设置不同的保留时长（例如优惠群 5 分钟、团队群 24 小时、部分群组永不删除），
+ * 并支持按消息类型单独设置保留时长，以及不会被删除的消息（置顶、被回复、包含标记）。
+ *
+ * 策略文件示例（JSON，安装 yaml 依赖后也可使用 YAML）：
+ *
+ *   {
+ *     "defaults": { "retention": "10m", "keep": { "pinned": true, "repliedTo": true, "markers": ["#keep"] } },
+ *     "policies": [
+ *       { "name": "优惠群", "chats": ["-1001234567890"], "retention": "5m" },
+ *       { "name": "团队群", "chats": ["-1002222222222"], "retention": "24h", "contentTypes": { "media": "never" } },
+ *       { "name": "存档群", "chats": ["-1003333333333"], "retention": "never" }
+ *     ]
+ *   }
+ */
+
+import { normalizeId } from './formatUtils.js';
+import { RULE_MEDIA_TYPES, readStructuredFile } from './ruleUtils.js';
+
+// contentTypes 中除具体媒体类型外，还可以用 media 表示所有非纯文本消息
+const CONTENT_TYPE_KEYS = [...RULE_MEDIA_TYPES, 'media'];
+
+// 保留时长单位（分钟）
+const DURATION_UNITS = { m: 1, h: 60, d: 1440, w: 10080 };
+
+/**
+ * 解析保留时长
+ *
+ * 支持数字（分钟）或 `30m`、`24h`、`7d`、`2w`；`never`、`false`、0 或负数表示永不删除。
+ *
+ * @param {*} value - 原始配置值
+ * @param {string} where - 配置位置（用于错误提示）
+ * @returns {number|null|undefined} 保留分钟数，null 表示永不删除，undefined 表示未配置
+ */
+function parseRetention(value, where) {
+    if (value === undefined) return undefined;
+    if (value === null || value === false || value === 'never') return null;
+    if (typeof value === 'number') return value > 0 ? value : null;
+
+    const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*([mhdw])?$/i);
+    if (!match) {
+        throw new Error(`${where} 的保留时长无效 (${value})，支持分钟数、30m、24h、7d、2w 或 never`);
+    }
+    const minutes = Number(match[1]) * DURATION_UNITS[(match[2] || 'm').toLowerCase()];
+    return minutes > 0 ? minutes : null;
+}
+
+/**
+ * 规范化按消息类型设置的保留时长
+ * @param {Object} [contentTypes] - 原始配置 `{ 类型: 保留时长 }`
+ * @param {string} where - 配置位置（用于错误提示）
+ * @returns {Object<string, number|null>} 类型到保留分钟数的映射
+ */
+function normalizeContentTypes(contentTypes, where) {
+    if (contentTypes == null) return {};
+    if (typeof contentTypes !== 'object') {
+        throw new Error(`${where} 的 contentTypes 格式无效，应为 { 类型: 保留时长 } 形式的对象`);
+    }
+
+    const result = {};
+    for (const [type, value] of Object.entries(contentTypes)) {
+        const key = type.toLowerCase();
+        if (!CONTENT_TYPE_KEYS.includes(key)) {
+            throw new Error(`${where} 中包含不支持的消息类型: ${type}，可选值: ${CONTENT_TYPE_KEYS.join(', ')}`);
+        }
+        result[key] = parseRetention(value, `${where} 的 contentTypes.${type}`);
+    }
+    return result;
+}
+
+/**
+ * 规范化保护条件（满足任一条件的消息不会被删除）
+ * @param {Object} [keep] - 原始配置
+ * @returns {{pinned?: boolean, repliedTo?: boolean, markers?: Array<string>}} 未配置的项不包含在结果中
+ */
+function normalizeKeep(keep) {
+    if (keep == null) return {};
+    const result = {};
+    if (keep.pinned !== undefined) result.pinned = keep.pinned === true;
+    if (keep.repliedTo !== undefined) result.repliedTo = keep.repliedTo === true;
+    if (keep.markers !== undefined) {
+        const markers = Array.isArray(keep.markers) ? keep.markers : String(keep.markers).split(',');
+        result.markers = markers.map(marker => String(marker).trim()).filter(Boolean);
+    }
+    return result;
+}
+
+/**
+ * 规范化单条保留策略
+ * @param {Object} rawPolicy - 原始策略配置
+ * @param {number} index - 策略序号（用于生成默认名称）
+ * @returns {Object} 规范化后的策略
+ */
+function normalizePolicy(rawPolicy, index) {
+    if (!rawPolicy || typeof rawPolicy !== 'object') {
+        throw new Error(`第 ${index + 1} 条保留策略格式无效，应为对象`);
+    }
+
+    const name = rawPolicy.name ? String(rawPolicy.name) : `policy-${index + 1}`;
+    const toIds = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .map(id => normalizeId(id)).filter(Boolean);
+
+    return {
+        name,
+        chats: toIds(rawPolicy.chats),
+        excludeChats: toIds(rawPolicy.excludeChats),
+        retention: parseRetention(rawPolicy.retention, `保留策略 "${name}"`),
+        contentTypes: normalizeContentTypes(rawPolicy.contentTypes, `保留策略 "${name}"`),
+        keep: normalizeKeep(rawPolicy.keep)
+    };
+}
+
+/**
+ * 根据 AUTO_DELETE_MINUTES 构建保留策略配置（没有策略文件时使用，与原有行为一致）
+ * @param {number} defaultMinutes - 默认保留分钟数
+ * @returns {Object} 保留策略配置
+ */
+export function buildDefaultRetentionConfig(defaultMinutes) {
+    return {
+        source: 'AUTO_DELETE_MINUTES',
+        defaults: { name: '默认', retention: defaultMinutes > 0 ? defaultMinutes : null, contentTypes: {}, keep: {} },
+        policies: []
+    };
+}
+
+/**
+ * 从文件加载保留策略
+ *
+ * 未在 defaults 中配置 retention 时使用 AUTO_DELETE_MINUTES。
+ *
+ * @param {string} filePath - 策略文件路径
+ * @param {number} defaultMinutes - 默认保留分钟数（AUTO_DELETE_MINUTES）
+ * @returns {Promise<Object>} 保留策略配置
+ */
+export async function loadRetentionPolicies(filePath, defaultMinutes) {
+    const parsed = await readStructuredFile(filePath, '保留策略文件');
+    if (!parsed || typeof parsed !== 'object' || (parsed.policies !== undefined && !Array.isArray(parsed.policies))) {
+        throw new Error(`保留策略文件 ${filePath} 格式无效，应为包含 defaults 和 policies 数组的对象`);
+    }
+
+    const defaults = normalizePolicy({ name: '默认', ...parsed.defaults }, 0);
+    if (defaults.retention === undefined) {
+        defaults.retention = defaultMinutes > 0 ? defaultMinutes : null;
+    }
+
+    return {
+        source: filePath,
+        defaults,
+        policies: (parsed.policies || []).map((rawPolicy, index) => normalizePolicy(rawPolicy, index))
+    };
+}
+
+/**
+ * 获取群组适用的保留策略
+ *
+ * 按顺序使用第一条匹配的策略，未配置的项继承 defaults；没有匹配的策略时使用 defaults。
+ *
+ * @param {Object} retentionConfig - 保留策略配置
+ * @param {string} chatId - 规范化后的群组ID
+ * @returns {{name: string, retention: number|null, contentTypes: Object, keep: Object}} 合并后的策略
+ */
+export function resolveChatPolicy(retentionConfig, chatId) {
+    const { defaults, policies } = retentionConfig;
+    const policy = policies.find(item => item.chats.length > 0
+        ? item.chats.includes(chatId)
+        : !item.excludeChats.includes(chatId));
+
+    return policy ? mergePolicy(defaults, policy) : defaults;
+}
+
+/**
+ * 将策略与 defaults 合并，未配置的项继承 defaults
+ * @param {Object} defaults - 默认策略
+ * @param {Object} policy - 规范化后的策略
+ * @returns {{name: string, retention: number|null, contentTypes: Object, keep: Object}} 合并后的策略
+ */
+export function mergePolicy(defaults, policy) {
+    return {
+        name: policy.name,
+        retention: policy.retention === undefined ? defaults.retention : policy.retention,
+        contentTypes: { ...defaults.contentTypes, ...policy.contentTypes },
+        keep: { ...defaults.keep, ...policy.keep }
+    };
+}
+
+/**
+ * 获取指定类型消息的保留时长
+ * @param {Object} policy - 合并后的策略（见 resolveChatPolicy）
+ * @param {string} mediaType - 消息类型（见 RULE_MEDIA_TYPES）
+ * @returns {number|null} 保留分钟数，null 表示永不删除
+ */
+export function getRetentionMinutes(policy, mediaType) {
+    const { contentTypes } = policy;
+    if (contentTypes[mediaType] !== undefined) return contentTypes[mediaType];
+    if (mediaType !== 'text' && contentTypes.media !== undefined) return contentTypes.media;
+    return policy.retention;
+}
+
+/**
+ * 判断策略是否会删除任何消息
+ * @param {Object} policy - 合并后的策略
+ * @returns {boolean} 所有类型都永不删除时返回 false
+ */
+export function policyDeletesAnything(policy) {
+    return policy.retention != null || Object.values(policy.contentTypes).some(minutes => minutes != null);
+}
+
+/**
+ * 获取所有策略中最短的保留时长（用于确定检查间隔）
+ * @param {Object} retentionConfig - 保留策略配置
+ * @returns {number|null} 最短保留分钟数，所有策略都永不删除时返回 null
+ */
+export function getMinRetentionMinutes(retentionConfig) {
+    const values = [retentionConfig.defaults, ...retentionConfig.policies]
+        .flatMap(policy => [policy.retention, ...Object.values(policy.contentTypes)])
+        .filter(minutes => minutes != null);
+    return values.length > 0 ? Math.min(...values) : null;
+}
+
+/**
+ * 判断消息是否受保护（不会被删除）
+ * @param {Object} msg - 消息对象
+ * @param {Object} keep - 保护条件
+ * @param {Set<number>} repliedToIds - 被回复过的消息ID
+ * @returns {string|null} 受保护的原因（pinned、repliedTo、marker），不受保护时返回 null
+ */
+export function getProtectionReason(msg, keep, repliedToIds) {
+    if (keep.pinned && msg.pinned) return 'pinned';
+    if (keep.repliedTo && (repliedToIds.has(Number(msg.id)) || msg.replies?.replies > 0)) return 'repliedTo';
+    if (keep.markers?.length > 0 && keep.markers.some(marker => (msg.message || '').includes(marker))) return 'marker';
+    return null;
+}
+
+/**
+ * 格式化保留分钟数
+ * @param {number|null} minutes - 保留分钟数
+ * @returns {string} 显示文本
+ */
+function formatRetention(minutes) {
+    if (minutes == null) return '永不删除';
+    if (minutes % 1440 === 0) return `${minutes / 1440} 天`;
+    if (minutes % 60 === 0) return `${minutes / 60} 小时`;
+    return `${minutes} 分钟`;
+}
+
+/**
+ * 生成策略说明（用于调试输出）
+ * @param {Object} policy - 合并后的策略
+ * @returns {string} 策略说明
+ */
+export function describePolicy(policy) {
+    const parts = [policy.retention == null ? '永不删除' : `保留 ${formatRetention(policy.retention)}`];
+    for (const [type, minutes] of Object.entries(policy.contentTypes)) {
+        parts.push(`${type}: ${formatRetention(minutes)}`);
+    }
+
+    const keep = [
+        policy.keep.pinned && '置顶',
+        policy.keep.repliedTo && '被回复',
+        policy.keep.markers?.length > 0 && `包含 ${policy.keep.markers.join(' / ')}`
+    ].filter(Boolean);
+    if (keep.length > 0) {
+        parts.push(`不删除: ${keep.join('、')}`);
+    }
+
+    return parts.join('，');
+}
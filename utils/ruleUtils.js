@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import { normalizeId } from './formatUtils.js';
+import { evaluateKeywords, matchAnyKeyword, splitKeywordList } from './keywordUtils.js';
+
+// 规则支持的媒体类型
+export const RULE_MEDIA_TYPES = ['text', 'photo', 'video', 'animation', 'document', 'audio', 'voice', 'sticker', 'webpage', 'other'];
+
+// 规则可选择的通知后端，telegram 表示 Telegram 通知目标（targets / NOTIFICATION_CHAT_ID），其余见 utils/notifierUtil.js
+export const RULE_NOTIFIERS = ['telegram', 'webhook', 'discord', 'slack', 'email', 'ntfy', 'gotify'];
+
+/**
+ * 将配置值统一转换为字符串数组（支持数组或逗号分隔的字符串）
+ * @param {*} value - 原始配置值
+ * @returns {Array<string>} 字符串数组
+ */
+function toList(value) {
+    if (value == null) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * 将关键词配置转换为数组（字符串形式时使用 splitKeywordList，保留正则中的逗号）
+ * @param {*} value - 原始配置值
+ * @returns {Array<string>} 关键词数组
+ */
+function toKeywordList(value) {
+    if (value == null) return [];
+    if (Array.isArray(value)) return toList(value);
+    return splitKeywordList(String(value));
+}
+
+/**
+ * 编译规则中的正则表达式，支持 "pattern" 和 "/pattern/flags" 两种写法
+ * @param {string} source - 正则表达式字符串
+ * @param {string} ruleName - 规则名称（用于错误提示）
+ * @returns {RegExp} 编译后的正则表达式
+ */
+function compileRuleRegex(source, ruleName) {
+    const literalMatch = source.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        return literalMatch ? new RegExp(literalMatch[1], literalMatch[2]) : new RegExp(source, 'i');
+    } catch (error) {
+        throw new Error(`规则 "${ruleName}" 中的正则表达式无效 (${source}): ${error.message}`);
+    }
+}
+
+/**
+ * 规范化单条规则配置
+ *
+ * 规则中各类条件之间为"与"关系，同类条件内部为"或"关系；未配置的条件不做限制。
+ * keywords 支持 utils/keywordUtils.js 中的正则、排除项与与组合写法。
+ *
+ * @param {Object} rawRule - 原始规则配置
+ * @param {number} index - 规则序号（用于生成默认名称）
+ * @returns {Object} 规范化后的规则对象
+ */
+export function normalizeRule(rawRule, index = 0) {
+    if (!rawRule || typeof rawRule !== 'object') {
+        throw new Error(`第 ${index + 1} 条规则格式无效，应为对象`);
+    }
+
+    const name = rawRule.name ? String(rawRule.name) : `rule-${index + 1}`;
+    const mediaTypes = toList(rawRule.mediaTypes).map(type => type.toLowerCase());
+    const unknownMediaTypes = mediaTypes.filter(type => !RULE_MEDIA_TYPES.includes(type));
+    if (unknownMediaTypes.length > 0) {
+        throw new Error(`规则 "${name}" 中包含不支持的媒体类型: ${unknownMediaTypes.join(', ')}，可选值: ${RULE_MEDIA_TYPES.join(', ')}`);
+    }
+    const notifiers = toList(rawRule.notifiers).map(notifier => notifier.toLowerCase());
+    const unknownNotifiers = notifiers.filter(notifier => !RULE_NOTIFIERS.includes(notifier));
+    if (unknownNotifiers.length > 0) {
+        throw new Error(`规则 "${name}" 中包含不支持的通知后端: ${unknownNotifiers.join(', ')}，可选值: ${RULE_NOTIFIERS.join(', ')}`);
+    }
+
+    return {
+        name,
+        enabled: rawRule.enabled !== false,
+        implicit: rawRule.implicit === true,
+        chats: toList(rawRule.chats).map(id => normalizeId(id)).filter(Boolean),
+        excludeChats: toList(rawRule.excludeChats).map(id => normalizeId(id)).filter(Boolean),
+        senders: toList(rawRule.senders).map(id => normalizeId(id)).filter(Boolean),
+        keywords: toKeywordList(rawRule.keywords),
+        excludeKeywords: toKeywordList(rawRule.excludeKeywords),
+        regex: toList(rawRule.regex).map(source => compileRuleRegex(source, name)),
+        mediaTypes,
+        targets: toList(rawRule.targets),
+        notifiers
+    };
+}
+
+/**
+ * 根据原有环境变量构建隐式默认规则，保持与旧版过滤逻辑一致：
+ * - TARGET_USER_IDS 中的用户发言且命中 USER_KEYWORDS（未配置则不限关键词）
+ * - 任何人发言命中 MONITOR_KEYWORDS
+ * - 两类关键词都未配置时匹配所有消息（仅在没有规则文件时启用）
+ *
+ * @param {Object} options - 配置对象
+ * @param {Array<string>} options.targetUserIds - 规范化后的目标用户ID
+ * @param {Array<string>} options.userKeywords - 用户特定关键词
+ * @param {Array<string>} options.monitorKeywords - 通用监控关键词
+ * @param {boolean} [options.includeCatchAll=true] - 是否在未配置关键词时生成匹配所有消息的规则
+ * @returns {Array<Object>} 默认规则列表
+ */
+export function buildDefaultRules({ targetUserIds = [], userKeywords = [], monitorKeywords = [], includeCatchAll = true }) {
+    const rules = [];
+
+    if (targetUserIds.length > 0) {
+        rules.push(normalizeRule({ name: '默认: 目标用户', implicit: true, senders: targetUserIds, keywords: userKeywords }));
+    }
+
+    if (monitorKeywords.length > 0) {
+        rules.push(normalizeRule({ name: '默认: 监控关键词', implicit: true, keywords: monitorKeywords }));
+    }
+
+    if (includeCatchAll && monitorKeywords.length === 0 && userKeywords.length === 0) {
+        rules.push(normalizeRule({ name: '默认: 全部消息', implicit: true }));
+    }
+
+    return rules;
+}
+
+/**
+ * 读取 JSON 或 YAML 配置文件（.yaml/.yml 需要安装 yaml 依赖）
+ * @param {string} filePath - 文件路径
+ * @param {string} [label='配置文件'] - 文件描述（用于错误提示）
+ * @returns {Promise<*>} 解析后的内容
+ */
+export async function readStructuredFile(filePath, label = '配置文件') {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+        throw new Error(`${label}不存在: ${resolvedPath}`);
+    }
+
+    const content = fs.readFileSync(resolvedPath, 'utf8');
+    const ext = path.extname(resolvedPath).toLowerCase();
+
+    if (ext === '.yaml' || ext === '.yml') {
+        let yaml;
+        try {
+            yaml = await import('yaml');
+        } catch {
+            throw new Error(`使用 YAML ${label}需要先安装 yaml 依赖: npm install yaml`);
+        }
+        return yaml.parse(content);
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`${label} ${resolvedPath} 不是有效的 JSON: ${error.message}`);
+    }
+}
+
+/**
+ * 从文件加载规则（支持 .json，以及安装了 yaml 依赖时的 .yaml/.yml）
+ *
+ * 文件内容可以是规则数组，也可以是 { "rules": [...] } 形式的对象。
+ *
+ * @param {string} filePath - 规则文件路径
+ * @returns {Promise<Array<Object>>} 规范化后的规则列表
+ */
+export async function loadRulesFile(filePath) {
+    const parsed = await readStructuredFile(filePath, '规则文件');
+
+    const rawRules = Array.isArray(parsed) ? parsed : parsed?.rules;
+    if (!Array.isArray(rawRules)) {
+        throw new Error(`规则文件 ${path.resolve(filePath)} 格式无效，应为规则数组或包含 rules 数组的对象`);
+    }
+
+    return rawRules.map((rawRule, index) => normalizeRule(rawRule, index)).filter(rule => rule.enabled);
+}
+
+/**
+ * 独立评估每条规则，返回所有命中的规则
+ *
+ * @param {Array<Object>} rules - 规范化后的规则列表
+ * @param {Object} context - 消息上下文
+ * @param {string} context.chatId - 规范化后的聊天ID
+ * @param {string} context.senderId - 规范化后的发送者ID
+ * @param {string} context.text - 消息文本
+ * @param {string} context.mediaType - 消息媒体类型（见 RULE_MEDIA_TYPES）
+ * @returns {Array<{rule: Object, matchedKeywords: Array<string>}>} 命中的规则及其命中的关键词
+ */
+export function evaluateRules(rules, { chatId, senderId, text, mediaType }) {
+    const matches = [];
+
+    for (const rule of rules) {
+        if (!rule.enabled) continue;
+
+        if (rule.chats.length > 0 && !rule.chats.includes(chatId)) continue;
+        if (rule.excludeChats.includes(chatId)) continue;
+        if (rule.senders.length > 0 && !(senderId && rule.senders.includes(senderId))) continue;
+        if (rule.mediaTypes.length > 0 && !rule.mediaTypes.includes(mediaType)) continue;
+
+        let matchedKeywords = [];
+        if (rule.keywords.length > 0) {
+            const keywordResult = evaluateKeywords(text, rule.keywords);
+            if (!keywordResult.matched) continue;
+            matchedKeywords = keywordResult.matchedKeywords;
+        }
+
+        if (rule.excludeKeywords.length > 0 && matchAnyKeyword(text, rule.excludeKeywords)) continue;
+        if (rule.regex.length > 0 && !rule.regex.some(regex => {
+            // 带 g/y 标志的正则会记录 lastIndex，每次匹配前重置
+            regex.lastIndex = 0;
+            return regex.test(text);
+        })) continue;
+
+        matches.push({ rule, matchedKeywords });
+    }
+
+    return matches;
+}
@@ -0,0 +1,296 @@
+/**
+ * 最小化的 SMTP 客户端（仅用于发送纯文本通知邮件，不依赖第三方库）
+ *
+ * 支持 SMTPS（465 端口，SMTP_SECURE=true）和 STARTTLS（服务器支持时自动升级），
+ * 以及 AUTH PLAIN / AUTH LOGIN 认证。连接未加密时默认拒绝认证，避免密码以明文传输。
+ */
+
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+// 等待服务器响应的超时时间
+const SMTP_TIMEOUT_MS = 30000;
+// RFC 2047 编码的主题每段最多包含的字符数（每段编码后不超过 75 个字符）
+const SUBJECT_CHUNK_CHARS = 10;
+
+/**
+ * 创建 SMTP 错误
+ *
+ * 5xx 为永久性错误（如认证失败、收件人不存在），带有 `permanent: true`，重试也无法成功。
+ *
+ * @param {string} command - 出错的命令
+ * @param {{code: number, lines: Array<string>}} reply - 服务器响应
+ * @returns {Error}
+ */
+function createSmtpError(command, reply) {
+    const error = new Error(`SMTP ${command} 失败: ${reply.code} ${reply.lines.join(' ')}`);
+    error.smtpCode = reply.code;
+    if (reply.code >= 500) {
+        error.permanent = true;
+    }
+    return error;
+}
+
+/**
+ * 建立到 SMTP 服务器的连接
+ * @param {Object} options - 连接选项
+ * @param {string} options.host - 服务器地址
+ * @param {number} options.port - 端口
+ * @param {boolean} options.secure - 是否直接使用 TLS
+ * @returns {Promise<net.Socket|tls.TLSSocket>}
+ */
+function connect({ host, port, secure }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+            : net.connect({ host, port }, () => resolve(socket));
+        socket.once('error', reject);
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP 连接超时')));
+    });
+}
+
+/**
+ * 将已建立的明文连接升级为 TLS（STARTTLS）
+ * @param {net.Socket} socket - 明文连接
+ * @param {string} host - 服务器地址（用于证书校验）
+ * @returns {Promise<tls.TLSSocket>}
+ */
+function upgradeToTls(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+        secureSocket.once('error', reject);
+        secureSocket.setTimeout(SMTP_TIMEOUT_MS, () => secureSocket.destroy(new Error('SMTP 连接超时')));
+    });
+}
+
+/**
+ * 创建 SMTP 会话：逐行读取服务器响应（支持 `250-` 形式的多行响应），并按顺序发送命令
+ * @param {net.Socket} initialSocket - 已建立的连接
+ * @returns {Object} 会话对象
+ */
+function createSession(initialSocket) {
+    let socket = null;
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    let waiting = null;
+    const replies = [];
+
+    const flush = () => {
+        if (!waiting) return;
+        const { resolve, reject } = waiting;
+        if (replies.length > 0) {
+            waiting = null;
+            resolve(replies.shift());
+        } else if (failure) {
+            waiting = null;
+            reject(failure);
+        }
+    };
+
+    const onData = (chunk) => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line);
+            // 响应码后为空格（或没有内容）时表示最后一行
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: Number(line.slice(0, 3)), lines: lines.map(item => item.slice(4)) });
+                lines = [];
+            }
+        }
+        flush();
+    };
+    const onError = (error) => {
+        failure = error;
+        flush();
+    };
+    const onClose = () => {
+        failure ??= new Error('SMTP 连接已关闭');
+        flush();
+    };
+
+    const session = {
+        get socket() {
+            return socket;
+        },
+
+        /**
+         * 切换会话使用的连接（STARTTLS 升级后调用）
+         * @param {net.Socket|null} nextSocket - 新连接，null 表示只解除当前连接
+         */
+        attach(nextSocket) {
+            if (socket) {
+                socket.off('data', onData);
+                socket.off('error', onError);
+                socket.off('close', onClose);
+            }
+            socket = nextSocket;
+            buffer = '';
+            lines = [];
+            if (socket) {
+                socket.on('data', onData);
+                socket.on('error', onError);
+                socket.on('close', onClose);
+            }
+        },
+
+        /**
+         * 读取下一条响应并检查响应码
+         * @param {string} command - 命令名称（用于错误提示）
+         * @param {Array<number>} expected - 期望的响应码
+         * @returns {Promise<{code: number, lines: Array<string>}>}
+         */
+        async expect(command, expected) {
+            const reply = await new Promise((resolve, reject) => {
+                waiting = { resolve, reject };
+                flush();
+            });
+            if (!expected.includes(reply.code)) {
+                throw createSmtpError(command, reply);
+            }
+            return reply;
+        },
+
+        /**
+         * 发送命令并等待响应
+         * @param {string} line - 命令内容
+         * @param {Array<number>} expected - 期望的响应码
+         * @param {string} [label] - 日志和错误中显示的命令名称（避免输出密码）
+         * @returns {Promise<{code: number, lines: Array<string>}>}
+         */
+        command(line, expected, label = line.split(' ')[0]) {
+            socket.write(`${line}\r\n`);
+            return session.expect(label, expected);
+        },
+
+        destroy() {
+            socket?.destroy();
+        }
+    };
+
+    session.attach(initialSocket);
+    return session;
+}
+
+/**
+ * 按 RFC 2047 编码邮件头中的非 ASCII 文本
+ * @param {string} value - 原始文本
+ * @returns {string}
+ */
+function encodeHeader(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    const chars = Array.from(value);
+    const words = [];
+    for (let i = 0; i < chars.length; i += SUBJECT_CHUNK_CHARS) {
+        const chunk = chars.slice(i, i + SUBJECT_CHUNK_CHARS).join('');
+        words.push(`=?UTF-8?B?${Buffer.from(chunk, 'utf8').toString('base64')}?=`);
+    }
+    return words.join('\r\n ');
+}
+
+/**
+ * 构建邮件内容（正文使用 base64 编码，不会出现以 "." 开头的行）
+ * @param {Object} mail - 邮件信息
+ * @returns {string}
+ */
+function buildMessage({ from, to, subject, text }) {
+    const domain = from.split('@')[1] || os.hostname();
+    const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * 从 EHLO 响应中查找扩展
+ * @param {{lines: Array<string>}} reply - EHLO 响应
+ * @param {string} name - 扩展名称
+ * @returns {Array<string>|null} 扩展参数，不支持时返回 null
+ */
+function findExtension(reply, name) {
+    for (const line of reply.lines) {
+        const [keyword, ...params] = line.trim().split(/\s+/);
+        if (keyword.toUpperCase() === name) return params.map(param => param.toUpperCase());
+    }
+    return null;
+}
+
+/**
+ * 发送纯文本邮件
+ *
+ * @param {Object} options - 发送选项
+ * @param {string} options.host - SMTP 服务器地址
+ * @param {number} options.port - 端口
+ * @param {boolean} [options.secure=false] - 是否直接使用 TLS（465 端口）
+ * @param {string} [options.user] - 认证用户名，不设置时不认证
+ * @param {string} [options.pass] - 认证密码
+ * @param {boolean} [options.allowInsecureAuth=false] - 服务器不支持 STARTTLS 时是否仍在明文连接上认证
+ * @param {string} options.from - 发件人地址
+ * @param {Array<string>} options.to - 收件人地址列表
+ * @param {string} options.subject - 邮件主题
+ * @param {string} options.text - 邮件正文
+ * @returns {Promise<void>}
+ * @throws {Error} 发送失败时抛出，服务器返回 5xx 时带有 `permanent: true`
+ */
+export async function sendMail({ host, port, secure = false, user, pass, allowInsecureAuth = false, from, to, subject, text }) {
+    const session = createSession(await connect({ host, port, secure }));
+    const clientName = os.hostname() || 'localhost';
+
+    try {
+        await session.expect('CONNECT', [220]);
+        let ehlo = await session.command(`EHLO ${clientName}`, [250]);
+        let encrypted = secure;
+
+        if (!secure && findExtension(ehlo, 'STARTTLS')) {
+            await session.command('STARTTLS', [220]);
+            const plainSocket = session.socket;
+            session.attach(null);
+            session.attach(await upgradeToTls(plainSocket, host));
+            ehlo = await session.command(`EHLO ${clientName}`, [250]);
+            encrypted = true;
+        }
+
+        if (user) {
+            if (!encrypted && !allowInsecureAuth) {
+                // 配置问题，重试也无法成功
+                throw Object.assign(
+                    new Error('SMTP 服务器不支持 STARTTLS，拒绝在未加密的连接上发送密码（确需明文认证请设置 SMTP_ALLOW_INSECURE_AUTH=true）'),
+                    { permanent: true }
+                );
+            }
+            const mechanisms = findExtension(ehlo, 'AUTH') || [];
+            if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+                const credentials = Buffer.from(`\0${user}\0${pass || ''}`, 'utf8').toString('base64');
+                await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            } else {
+                await session.command('AUTH LOGIN', [334]);
+                await session.command(Buffer.from(user, 'utf8').toString('base64'), [334], 'AUTH');
+                await session.command(Buffer.from(pass || '', 'utf8').toString('base64'), [235], 'AUTH');
+            }
+        }
+
+        await session.command(`MAIL FROM:<${from}>`, [250], 'MAIL');
+        for (const recipient of to) {
+            await session.command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT');
+        }
+        await session.command('DATA', [354]);
+        await session.command(`${buildMessage({ from, to, subject, text })}\r\n.`, [250], 'DATA');
+        await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+        session.destroy();
+    }
+}
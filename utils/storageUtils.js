@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 获取数据目录（用于持久化运行时状态，Docker 中应挂载为卷）
+ *
+ * 环境变量：
+ * DATA_DIR (默认 ./data)
+ *
+ * @returns {string} 数据目录的绝对路径
+ */
+export function getDataDir() {
+    return path.resolve(process.env.DATA_DIR || path.join(process.cwd(), 'data'));
+}
+
+/**
+ * 解析数据目录下的文件路径；若传入绝对路径则原样返回
+ * @param {string} fileName - 文件名或路径
+ * @returns {string} 文件的绝对路径
+ */
+export function resolveDataPath(fileName) {
+    if (path.isAbsolute(fileName)) return fileName;
+    return path.join(getDataDir(), fileName);
+}
+
+/**
+ * 读取 JSON 文件，文件不存在或内容损坏时返回默认值
+ * @param {string} filePath - 文件路径
+ * @param {*} fallback - 读取失败时返回的默认值
+ * @returns {*} 解析后的 JSON 数据或默认值
+ */
+export function readJsonFile(filePath, fallback = null) {
+    try {
+        if (!fs.existsSync(filePath)) return fallback;
+        const content = fs.readFileSync(filePath, 'utf8');
+        return content.trim() ? JSON.parse(content) : fallback;
+    } catch (error) {
+        console.warn(`⚠️  读取文件 ${filePath} 失败，使用默认值:`, error.message);
+        return fallback;
+    }
+}
+
+/**
+ * 原子地写入 JSON 文件（先写临时文件再重命名，避免进程中断导致文件损坏）
+ * @param {string} filePath - 文件路径
+ * @param {*} data - 需要写入的数据
+ * @returns {void}
+ */
+export function writeJsonFileAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
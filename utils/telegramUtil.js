@@ -1,12 +1,28 @@
 import { config } from 'dotenv';
-import { processMessageContent, parseLotteryMessage } from './messageUtils.js'
-import { buildFormattedMessage, normalizeId } from './formatUtils.js'
+import { processMessageContent } from './messageUtils.js'
+import { parseLotteryMessage, hasLotteryDetails } from './lotteryUtils.js'
+import { buildFormattedMessage, buildEditedNotificationMessage, buildNotificationKeyboard, normalizeId } from './formatUtils.js'
+import { buildNotificationEvent, sendToNotifiers, deliverToNotifier, isNotifierBackend, getConfiguredNotifiers } from './notifierUtil.js'
+import { getMediaLabel, getMediaForwardConfig, shouldForwardMedia, sendMediaViaBot, sendMediaViaClient } from './mediaUtils.js'
+import { schedule, getFloodWaitSeconds } from './rateLimiter.js'
+import { recordEvent } from './metrics.js'
 config();
 // 全局缓存
 const senderCache = new Map();
 const CACHE_EXPIRE_TIME = 3600000; // 1小时过期
 
-// 更频繁地执行缓存清理（每半小时一次）
+// 用户客户端发送通知时，重试也无法成功的错误（写入死信文件而不是重试）
+const PERMANENT_CLIENT_ERRORS = [
+    'CHAT_WRITE_FORBIDDEN',
+    'CHAT_ADMIN_REQUIRED',
+    'CHANNEL_PRIVATE',
+    'USER_BANNED_IN_CHANNEL',
+    'PEER_ID_INVALID',
+    'USER_IS_BLOCKED',
+    'INPUT_USER_DEACTIVATED'
+];
+
+// 更频繁地执行缓存清理（每半小时一次），不阻止进程退出
 setInterval(() => {
     const now = Date.now();
     for (const [key, value] of senderCache.entries()) {
@@ -14,7 +30,7 @@ setInterval(() => {
             senderCache.delete(key);
         }
     }
-}, CACHE_EXPIRE_TIME / 2);
+}, CACHE_EXPIRE_TIME / 2).unref();
 
 /**
  * 获取消息发送者信息，优先从缓存中获取，如果缓存不存在或已过期则从客户端重新获取
@@ -147,6 +163,35 @@ export async function fetchWithRetry(url, options, maxRetries = 3) {
     throw lastError;
 }
 
+/**
+ * 通过请求调度器调用 Bot API（见 utils/rateLimiter.js）
+ *
+ * 返回 429 时按 retry_after 暂停机器人的所有请求并重试，重试用完后返回最后一次的响应，由调用方按失败处理。
+ *
+ * @param {string} name - 调度器中的调用名称，如 `bot.send`、`bot.delete`
+ * @param {string} url - 请求的URL地址
+ * @param {Object} options - fetch请求的配置选项
+ * @returns {Promise<Response>} 响应结果
+ */
+export async function fetchBotApi(name, url, options) {
+    try {
+        return await schedule(name, async () => {
+            const response = await fetchWithRetry(url, options, 3);
+            if (response.status === 429) {
+                const errorObj = await response.clone().json().catch(() => null);
+                const error = new Error(`Too Many Requests: ${errorObj?.description || response.statusText}`);
+                error.retryAfter = errorObj?.parameters?.retry_after ?? 1;
+                error.response = response;
+                throw error;
+            }
+            return response;
+        });
+    } catch (error) {
+        if (error.response) return error.response;
+        throw error;
+    }
+}
+
 /**
  * 处理 API 错误响应，解析错误信息并输出友好的日志提示
  * @param {Response} response - fetch 请求返回的响应对象
@@ -199,6 +244,72 @@ export async function handleApiError(response) {
     }
 }
 
+/**
+ * 将 Bot API 的失败响应转换为投递错误（供通知重试队列判断是否重试）
+ * @param {Response} response - 响应对象
+ * @param {Object|null} errorObj - handleApiError 解析出的错误详情
+ * @returns {Error} 429 带有 retryAfter（秒），其他 4xx 带有 permanent: true
+ */
+function toBotApiError(response, errorObj) {
+    const error = new Error(errorObj?.description || `${response.status} ${response.statusText}`);
+    if (response.status === 429) {
+        error.retryAfter = errorObj?.parameters?.retry_after ?? null;
+    } else if (response.status >= 400 && response.status < 500) {
+        error.permanent = true;
+    }
+    return error;
+}
+
+/**
+ * 标记用户客户端发送通知的错误（供通知重试队列判断是否重试）
+ * @param {Error} error - 错误对象
+ * @returns {Error} 原错误，限流时带有 retryAfter（秒），无法重试时带有 permanent: true
+ */
+function markClientError(error) {
+    const waitSeconds = getFloodWaitSeconds(error);
+    if (waitSeconds != null) {
+        error.retryAfter = waitSeconds;
+    } else if (PERMANENT_CLIENT_ERRORS.some(code => error?.message?.includes(code))) {
+        error.permanent = true;
+    }
+    return error;
+}
+
+/**
+ * 获取通知目标的聊天实体，直接获取失败时使用 InputPeer
+ * @param {TelegramClient} client - Telegram 客户端
+ * @param {string} targetChatId - 通知目标聊天ID
+ * @returns {Promise<Object>} 聊天实体
+ */
+async function resolveTargetChat(client, targetChatId) {
+    try {
+        return await client.getEntity(targetChatId);
+    } catch (entityError) {
+        console.log(`⚠️  无法直接获取实体 ${targetChatId}，尝试使用InputDialog`);
+        // 如果直接获取失败，尝试使用InputDialog
+        return await client.getInputEntity(targetChatId);
+    }
+}
+
+/**
+ * 通过用户客户端发送 HTML 格式的文本消息
+ * @param {Object} client - Telegram 客户端
+ * @param {string} targetChatId - 目标聊天ID
+ * @param {string} text - 消息文本
+ * @returns {Promise<{targetChat: Object, sentMessage: Object}>} 目标聊天实体和发送的消息
+ */
+async function sendTextViaClient(client, targetChatId, text) {
+    // 首先需要获取目标聊天实体
+    const targetChat = await resolveTargetChat(client, targetChatId);
+
+    // 发送消息，使用 HTML 解析模式
+    const sentMessage = await schedule('client.send', () => client.sendMessage(targetChat, {
+        message: text,
+        parseMode: "html"
+    }));
+    return { targetChat, sentMessage };
+}
+
 /**
  * 获取 Telegram 机器人的基本信息
  * 
@@ -249,7 +360,87 @@ export async function fetchBotInfo(TELEGRAM_BOT_TOKEN) {
 }
 
 /**
- * 发送 Telegram 通知消息，支持将消息推送到多个指定群组。
+ * 读取通知按钮配置
+ *
+ * 环境变量：
+ * NOTIFICATION_BUTTONS (默认 true，设置为 false 时 Bot API 通知不附带内联键盘)
+ * BOT_ADMIN_IDS (配置后才附带静音、忽略等需要机器人管理命令处理的按钮)
+ *
+ * @returns {{ enabled: boolean, actions: boolean }} 通知按钮配置
+ */
+function getNotificationButtonsConfig() {
+    return {
+        enabled: process.env.NOTIFICATION_BUTTONS !== 'false',
+        actions: (process.env.BOT_ADMIN_IDS || '').split(',').some(id => id.trim())
+    };
+}
+
+/**
+ * 根据原始消息构建通知事件、Telegram 通知文本和内联键盘（发送通知和编辑后更新通知共用）
+ *
+ * @param {Object} message - 原始消息对象
+ * @param {Object} chatInfo - extractChatInfo 的结果
+ * @param {Object} options - 渲染选项
+ * @param {Object|null} [options.client] - Telegram 客户端，传入时查询发送者名称（只有通知后端会显示）
+ * @param {string} [options.TELEGRAM_BOT_TOKEN] - Telegram Bot Token，配置时附带内联键盘
+ * @param {Array<string>} options.USER_KEYWORDS - 用户定义的关键字列表
+ * @param {Array<string>} [options.matchedKeywords] - 命中的关键词列表
+ * @param {Array<string>} [options.matchedRuleNames] - 命中的过滤规则名称列表
+ * @param {boolean} [options.edited] - 是否为编辑后的消息
+ * @returns {Promise<{senderId: string, event: Object, formattedMessage: string, replyMarkup: Object|null}>}
+ */
+async function renderNotification(message, { chatId, chatTitle }, options) {
+    // 处理原始消息内容，并解析出显示文本与潜在的抽奖关键词匹配结果
+    const { displayText, mediaType } = processMessageContent(message);
+    const from = message.fromId;
+    const senderId = normalizeId(from?.userId?.value ?? from?.userId ?? from);
+
+    // 构建结构化通知事件，Telegram 通知和所有通知后端都从该事件渲染
+    const event = buildNotificationEvent({
+        chatId,
+        chatTitle,
+        senderId,
+        senderName: options.client ? await getCachedSenderInfo(message, options.client) : null,
+        message,
+        text: displayText,
+        mediaType,
+        matchedKeywords: options.matchedKeywords,
+        matchedRules: options.matchedRuleNames,
+        lotteryInfo: parseLotteryMessage(displayText, options.USER_KEYWORDS, { senderId }),
+        edited: options.edited
+    });
+
+    // 根据通知事件构建格式化后的 Telegram 通知消息文本
+    const formattedMessage = buildFormattedMessage(
+        event.chat.title,
+        event.chat.id,
+        event.message.id,
+        event.lottery,
+        event.message.text,
+        {
+            matchedRuleNames: event.matchedRules,
+            mediaLabel: mediaType === 'text' || mediaType === 'webpage' ? '' : getMediaLabel(mediaType),
+            edited: options.edited
+        }
+    );
+
+    // Bot API 通知附带的内联键盘（打开消息、复制口令、静音、忽略），用户客户端发送时不支持
+    const buttonsConfig = getNotificationButtonsConfig();
+    const replyMarkup = options.TELEGRAM_BOT_TOKEN && buttonsConfig.enabled
+        ? buildNotificationKeyboard({
+            chatId,
+            messageLink: event.message.link,
+            senderId,
+            keyword: event.lottery?.keyword,
+            actions: buttonsConfig.actions
+        })
+        : null;
+
+    return { senderId, event, formattedMessage, replyMarkup };
+}
+
+/**
+ * 发送 Telegram 通知消息，支持将消息推送到多个指定群组，并推送到已配置的通知后端（Webhook、Discord、Slack、邮件等）。
  * 
  * @param {Object} message - 原始消息对象，包含待处理的消息内容及元数据
  * @param {Object} chat - 聊天上下文对象，用于提取聊天相关信息
@@ -257,38 +448,83 @@ export async function fetchBotInfo(TELEGRAM_BOT_TOKEN) {
  * @param {string} NOTIFICATION_CHAT_ID - 接收通知的目标群组 ID 列表，以逗号分隔
  * @param {string} TELEGRAM_BOT_TOKEN - Telegram Bot 的访问令牌
  * @param {Array<string>} USER_KEYWORDS - 用户定义的关键字列表，用于识别特定抽奖信息
- * @param {Map} sentNotificationMessages - 存储已发送通知消息的Map
- * @returns {Promise<boolean>} 是否至少成功发送了一条通知消息
+ * @param {Object|null} sentNotificationMessages - 已发送通知消息的存储（见 core/notification-store.js）
+ * @param {Object} [options] - 额外选项
+ * @param {Array<string>} [options.matchedKeywords] - 命中的关键词列表（用于通知事件）
+ * @param {Array<string>} [options.matchedRuleNames] - 命中的过滤规则名称列表
+ * @param {Array<string>|null} [options.notifiers] - 使用的通知后端（见 utils/notifierUtil.js），未设置时使用所有已配置的后端
+ * @param {Object} [options.notificationQueue] - 通知重试队列（见 core/notification-queue.js），发送失败的目标会加入队列稍后重试
+ * @param {Object} [options.lotteryTracker] - 抽奖开奖跟踪器（见 core/lottery-tracker.js），开奖后原地编辑抽奖通知
+ * @param {boolean} [options.edited] - 是否为编辑后才命中的消息（通知中标记“已编辑”）
+ * @returns {Promise<boolean>} 是否至少成功发送了一条通知消息（加入重试队列的不计入）
  */
-export async function sendNotification(message, chat, client, NOTIFICATION_CHAT_ID, TELEGRAM_BOT_TOKEN, USER_KEYWORDS, sentNotificationMessages = new Map()) {
+export async function sendNotification(message, chat, client, NOTIFICATION_CHAT_ID, TELEGRAM_BOT_TOKEN, USER_KEYWORDS, sentNotificationMessages = null, options = {}) {
     try {
-        // 如果没有设置通知群组，则不发送通知
-        if (!NOTIFICATION_CHAT_ID) {
+        const configuredNotifiers = getConfiguredNotifiers();
+        const notifiers = options.notifiers
+            ? configuredNotifiers.filter(name => options.notifiers.includes(name))
+            : configuredNotifiers;
+
+        // 如果既没有设置通知群组也没有可用的通知后端，则不发送通知
+        if (!NOTIFICATION_CHAT_ID && notifiers.length === 0) {
             console.log('⚠️  未配置 NOTIFICATION_CHAT_ID，跳过发送通知');
             console.log('💡 提示：如需接收通知，请在 .env 文件中配置 NOTIFICATION_CHAT_ID 为您的个人账号ID或群组ID');
             return false;
         }
 
         // 将目标群组 ID 分割并清理空格
-        const chatIds = NOTIFICATION_CHAT_ID.split(',').map(id => id.trim());
+        const chatIds = NOTIFICATION_CHAT_ID ? NOTIFICATION_CHAT_ID.split(',').map(id => id.trim()).filter(Boolean) : [];
 
         // 提取当前聊天的基本信息（如标题、ID等）
         const chatInfo = extractChatInfo(chat, message);
         const { chatId, chatTitle } = chatInfo;
+        // 通知记录的来源信息，用于重启后仍能定位并删除通知
+        const notificationSource = { sourceChatId: chatId, sourceMessageId: message.id };
+
+        // 构建通知事件、Telegram 通知文本和内联键盘
+        const { senderId, event, formattedMessage, replyMarkup } = await renderNotification(message, chatInfo, {
+            // 只有通知后端会显示发送者，避免只使用 Telegram 通知时多一次查询
+            client: notifiers.length > 0 ? client : null,
+            TELEGRAM_BOT_TOKEN,
+            USER_KEYWORDS,
+            matchedKeywords: options.matchedKeywords,
+            matchedRuleNames: options.matchedRuleNames,
+            edited: options.edited
+        });
 
-        // 处理原始消息内容，并解析出显示文本与潜在的抽奖关键词匹配结果
-        const messageContent = processMessageContent(message);
-        const { displayText } = messageContent;
-        const lotteryInfo = parseLotteryMessage(displayText, USER_KEYWORDS);
+        // 是否在通知后附带原始媒体（NOTIFICATION_FORWARD_MEDIA）
+        const forwardMedia = shouldForwardMedia(message, getMediaForwardConfig());
+
+        // 发送失败的目标加入重试队列（只重试通知文本，不包括附带的媒体）
+        const queueFailedDelivery = (job, error) => options.notificationQueue?.enqueue({
+            ...job,
+            source: notificationSource,
+            label: `${chatTitle} #${message.id}`
+        }, error);
+
+        // 推送到通知后端（与 Telegram 通知相互独立）
+        let notifierSuccess = false;
+        if (notifiers.length > 0) {
+            notifierSuccess = await sendToNotifiers(event, {
+                notifiers,
+                onFailure: (name, target, error) => queueFailedDelivery({ channel: name, target, payload: event }, error)
+            });
+        }
 
-        // 根据提取的信息构建格式化后的通知消息文本
-        const formattedMessage = buildFormattedMessage(
-            chatTitle,
-            chatId,
-            message.id,
-            lotteryInfo,
-            displayText
-        );
+        if (chatIds.length === 0) {
+            return notifierSuccess;
+        }
+
+        // 记录抽奖，开奖时在 Telegram 通知中更新结果（没有解析出关键词或奖品的不记录，避免误关联开奖消息）
+        if (hasLotteryDetails(event.lottery)) {
+            options.lotteryTracker?.track({
+                chatId,
+                messageId: message.id,
+                keyword: event.lottery.keyword,
+                text: formattedMessage,
+                replyMarkup
+            });
+        }
 
         // 如果配置了机器人令牌，则使用机器人API发送消息
         if (TELEGRAM_BOT_TOKEN) {
@@ -296,10 +532,19 @@ export async function sendNotification(message, chat, client, NOTIFICATION_CHAT_
             const botUrl = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
             const PARSE_MODE = 'HTML';
 
-            // 并发向所有目标群组发送消息，并启用重试机制
+            // 媒体只下载一次，供所有通知目标复用
+            let mediaDownload = null;
+            const getMediaBuffer = () => {
+                if (!mediaDownload) {
+                    mediaDownload = client.downloadMedia(message, {});
+                }
+                return mediaDownload;
+            };
+
+            // 向所有目标群组发送消息，由请求调度器限速并处理 429 重试
             const sendResults = await Promise.allSettled(
                 chatIds.map(async targetChatId => {
-                    const response = await fetchWithRetry(botUrl, {
+                    const response = await fetchBotApi('bot.send', botUrl, {
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json'
@@ -307,22 +552,37 @@ export async function sendNotification(message, chat, client, NOTIFICATION_CHAT_
                         body: JSON.stringify({
                             chat_id: targetChatId,
                             text: formattedMessage,
-                            parse_mode: PARSE_MODE
+                            parse_mode: PARSE_MODE,
+                            ...(replyMarkup && { reply_markup: replyMarkup })
                         })
-                    }, 3);
+                    });
                     
                     // 如果发送成功，记录消息ID
                     if (response.ok) {
                         const result = await response.json();
                         if (result.ok && result.result && result.result.message_id) {
-                            if (!sentNotificationMessages.has(targetChatId)) {
-                                sentNotificationMessages.set(targetChatId, []);
-                            }
-                            // 确保消息ID不会重复添加
-                            const messageIds = sentNotificationMessages.get(targetChatId);
                             // 记录存储的消息ID用于调试
                             console.log(`存储消息ID ${result.result.message_id} 到聊天 ${targetChatId}`);
-                            messageIds.push(result.result.message_id);
+                            sentNotificationMessages?.add(targetChatId, result.result.message_id, notificationSource);
+
+                            // 下载原始媒体并通过 Bot API 重新上传，作为通知的回复
+                            if (forwardMedia) {
+                                try {
+                                    const buffer = await getMediaBuffer();
+                                    const mediaMessageId = buffer ? await sendMediaViaBot({
+                                        token: TELEGRAM_BOT_TOKEN,
+                                        chatId: targetChatId,
+                                        message,
+                                        buffer,
+                                        replyToMessageId: result.result.message_id
+                                    }) : null;
+                                    if (mediaMessageId) {
+                                        sentNotificationMessages?.add(targetChatId, mediaMessageId, { ...notificationSource, media: true });
+                                    }
+                                } catch (mediaError) {
+                                    console.error(`❌ 转发媒体到 ${targetChatId} 失败:`, mediaError.message);
+                                }
+                            }
                         }
                     }
                     
@@ -342,15 +602,17 @@ export async function sendNotification(message, chat, client, NOTIFICATION_CHAT_
                         // 显示群组名称，这是您实际需要的信息
                         console.log(`✅ 消息已发送到通知目标: ${targetChatId}`);
                     } else {
-                        await handleApiError(result.value);
+                        const errorObj = await handleApiError(result.value);
+                        queueFailedDelivery({ channel: 'bot', target: targetChatId, text: formattedMessage, replyMarkup }, toBotApiError(result.value, errorObj));
                     }
                 } else {
                     console.error(`❌ 发送到目标 ${targetChatId} 失败:`, result.reason.message);
+                    queueFailedDelivery({ channel: 'bot', target: targetChatId, text: formattedMessage, replyMarkup }, result.reason);
                 }
             }
 
             console.log(`📤 总共发送到 ${successCount}/${chatIds.length} 个目标`);
-            return successCount > 0;
+            return successCount > 0 || notifierSuccess;
         } else {
             // 如果没有配置机器人令牌，则使用当前用户客户端发送消息
             console.log('⚠️  未配置 TELEGRAM_BOT_TOKEN，将使用当前用户客户端发送通知');
@@ -360,43 +622,39 @@ export async function sendNotification(message, chat, client, NOTIFICATION_CHAT_
                 for (const targetChatId of chatIds) {
                     try {
                         // 尝试通过客户端发送消息
-                        // 首先需要获取目标聊天实体
-                        let targetChat;
-                        try {
-                            targetChat = await client.getEntity(targetChatId);
-                        } catch (entityError) {
-                            console.log(`⚠️  无法直接获取实体 ${targetChatId}，尝试使用InputDialog`);
-                            // 如果直接获取失败，尝试使用InputDialog
-                            targetChat = await client.getInputEntity(targetChatId);
-                        }
-                        
+                        const { targetChat, sentMessage } = await sendTextViaClient(client, targetChatId, formattedMessage);
+
                         if (targetChat) {
-                            // 发送消息，使用 HTML 解析模式
-                            const sentMessage = await client.sendMessage(targetChat, { 
-                                message: formattedMessage, 
-                                parseMode: "html"
-                            });
                             if (sentMessage && sentMessage.id) {
                                 // 记录消息ID以便后续可能的删除操作
-                                if (!sentNotificationMessages.has(targetChatId)) {
-                                    sentNotificationMessages.set(targetChatId, []);
-                                }
-                                const messageIds = sentNotificationMessages.get(targetChatId);
-                                messageIds.push(sentMessage.id);
+                                sentNotificationMessages?.add(targetChatId, sentMessage.id, notificationSource);
                                 console.log(`✅ 消息已发送到通知目标: ${targetChatId}`);
                                 successCount++;
+
+                                // 直接发送原始媒体，作为通知的回复
+                                if (forwardMedia) {
+                                    try {
+                                        const mediaMessageId = await sendMediaViaClient(client, targetChat, message, sentMessage.id);
+                                        if (mediaMessageId) {
+                                            sentNotificationMessages?.add(targetChatId, mediaMessageId, { ...notificationSource, media: true });
+                                        }
+                                    } catch (mediaError) {
+                                        console.error(`❌ 转发媒体到 ${targetChatId} 失败:`, mediaError.message);
+                                    }
+                                }
                             }
                         }
                     } catch (error) {
                         console.error(`❌ 使用用户客户端发送消息到 ${targetChatId} 失败:`, error.message);
+                        queueFailedDelivery({ channel: 'client', target: targetChatId, text: formattedMessage }, markClientError(error));
                     }
                 }
                 
                 console.log(`📤 使用用户客户端总共发送到 ${successCount}/${chatIds.length} 个目标`);
-                return successCount > 0;
+                return successCount > 0 || notifierSuccess;
             } catch (error) {
                 console.error('❌ 使用用户客户端发送通知时出错:', error.message);
-                return false;
+                return notifierSuccess;
             }
         }
     } catch (error) {
@@ -405,6 +663,177 @@ export async function sendNotification(message, chat, client, NOTIFICATION_CHAT_
     }
 }
 
+/**
+ * 重新投递通知重试队列中的一条通知（见 core/notification-queue.js）
+ *
+ * @param {Object} entry - 队列中的投递记录
+ * @param {Object} context - 投递所需的上下文
+ * @param {Object} context.client - Telegram 客户端
+ * @param {string} [context.telegramBotToken] - Telegram Bot Token（使用当前配置，不写入队列文件）
+ * @param {Object|null} [context.sentNotificationMessages] - 已发送通知消息的存储
+ * @returns {Promise<void>}
+ * @throws {Error} 投递失败时抛出，带有 retryAfter 或 permanent 供队列判断是否重试
+ */
+export async function deliverQueuedNotification(entry, { client, telegramBotToken, sentNotificationMessages = null }) {
+    switch (entry.channel) {
+        case 'bot': {
+            if (!telegramBotToken) {
+                throw Object.assign(new Error('未配置 TELEGRAM_BOT_TOKEN'), { permanent: true });
+            }
+            const response = await fetchBotApi('bot.send', `https://api.telegram.org/bot${telegramBotToken}/sendMessage`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    chat_id: entry.target,
+                    text: entry.text,
+                    parse_mode: 'HTML',
+                    ...(entry.replyMarkup && { reply_markup: entry.replyMarkup })
+                })
+            });
+            if (!response.ok) {
+                throw toBotApiError(response, await handleApiError(response));
+            }
+            const result = await response.json();
+            if (result.ok && result.result?.message_id) {
+                sentNotificationMessages?.add(entry.target, result.result.message_id, entry.source);
+            }
+            break;
+        }
+        case 'client': {
+            try {
+                const { sentMessage } = await sendTextViaClient(client, entry.target, entry.text);
+                if (sentMessage?.id) {
+                    sentNotificationMessages?.add(entry.target, sentMessage.id, entry.source);
+                }
+            } catch (error) {
+                throw markClientError(error);
+            }
+            break;
+        }
+        default:
+            // 其他投递方式为通知后端（webhook、discord、email 等），payload 为通知事件
+            if (!isNotifierBackend(entry.channel)) {
+                throw Object.assign(new Error(`不支持的投递方式: ${entry.channel}`), { permanent: true });
+            }
+            await deliverToNotifier(entry.channel, entry.target, entry.payload);
+    }
+
+    recordEvent('notification');
+}
+
+/**
+ * 原地编辑已发送的通知消息（如抽奖开奖后更新通知）
+ *
+ * 配置了机器人令牌时通过 Bot API editMessageText 编辑，否则通过用户客户端编辑；内容未变化时视为成功。
+ *
+ * @param {Object} client - Telegram 客户端
+ * @param {string} TELEGRAM_BOT_TOKEN - Telegram Bot Token
+ * @param {string} targetChatId - 通知所在的聊天ID
+ * @param {number} messageId - 通知消息ID
+ * @param {string} text - 新的通知文本（HTML 格式）
+ * @param {Object|null} [replyMarkup] - 内联键盘（Bot API 编辑时不传入会移除原有按钮）
+ * @returns {Promise<void>}
+ * @throws {Error} 编辑失败时抛出
+ */
+export async function editNotificationMessage(client, TELEGRAM_BOT_TOKEN, targetChatId, messageId, text, replyMarkup = null) {
+    if (TELEGRAM_BOT_TOKEN) {
+        const response = await fetchBotApi('bot.send', `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/editMessageText`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                chat_id: targetChatId,
+                message_id: messageId,
+                text,
+                parse_mode: 'HTML',
+                ...(replyMarkup && { reply_markup: replyMarkup })
+            })
+        });
+        if (!response.ok) {
+            const errorObj = await response.json().catch(() => null);
+            if (errorObj?.description?.includes('message is not modified')) return;
+            throw toBotApiError(response, errorObj);
+        }
+        return;
+    }
+
+    try {
+        const targetChat = await resolveTargetChat(client, targetChatId);
+        await schedule('client.send', () => client.editMessage(targetChat, {
+            message: messageId,
+            text,
+            parseMode: 'html'
+        }));
+    } catch (error) {
+        if (error?.message?.includes('MESSAGE_NOT_MODIFIED')) return;
+        throw error;
+    }
+}
+
+/**
+ * 原始消息被编辑后，原地更新已发送的 Telegram 通知
+ *
+ * 按编辑后的内容重新生成通知（标记“已编辑”），并附带编辑前后内容的对比。
+ * 只更新通知文本，附带的原始媒体和已推送到通知后端的通知不会更新。
+ *
+ * @param {Object} message - 编辑后的原始消息对象
+ * @param {Object} chat - 聊天上下文对象
+ * @param {Object} client - Telegram 客户端
+ * @param {string} TELEGRAM_BOT_TOKEN - Telegram Bot Token
+ * @param {Array<string>} USER_KEYWORDS - 用户定义的关键字列表
+ * @param {Object|null} sentNotificationMessages - 已发送通知消息的存储（见 core/notification-store.js）
+ * @param {Object} options - 额外选项
+ * @param {string} options.previousText - 编辑前的消息内容（去重缓存中记录的文本）
+ * @param {Array<string>} [options.matchedKeywords] - 命中的关键词列表
+ * @param {Array<string>} [options.matchedRuleNames] - 命中的过滤规则名称列表
+ * @param {Object} [options.lotteryTracker] - 抽奖开奖跟踪器，开奖时在更新后的通知上追加结果
+ * @param {boolean} [options.unmatched] - 编辑后的消息是否已不再命中任何规则（在通知中标记，且不再跟踪开奖）
+ * @returns {Promise<number>} 更新成功的通知数
+ */
+export async function updateNotification(message, chat, client, TELEGRAM_BOT_TOKEN, USER_KEYWORDS, sentNotificationMessages, options) {
+    const chatInfo = extractChatInfo(chat, message);
+    const records = (sentNotificationMessages?.findBySource(chatInfo.chatId, message.id) || []).filter(record => !record.media);
+    if (records.length === 0) {
+        console.warn(`⚠️  找不到消息 ${chatInfo.chatId}:${message.id} 的通知，无法更新编辑后的内容`);
+        return 0;
+    }
+
+    const { event, formattedMessage, replyMarkup } = await renderNotification(message, chatInfo, {
+        TELEGRAM_BOT_TOKEN,
+        USER_KEYWORDS,
+        matchedKeywords: options.matchedKeywords,
+        matchedRuleNames: options.matchedRuleNames,
+        edited: true
+    });
+    const text = buildEditedNotificationMessage(formattedMessage, options.previousText, event.message.text, { unmatched: options.unmatched });
+
+    let successCount = 0;
+    for (const record of records) {
+        try {
+            await editNotificationMessage(client, TELEGRAM_BOT_TOKEN, record.targetChatId, record.messageId, text, replyMarkup);
+            successCount++;
+            console.log(`✅ 已更新通知 ${record.messageId} (${record.targetChatId}) 的编辑后内容`);
+        } catch (error) {
+            console.error(`❌ 更新通知 ${record.messageId} (${record.targetChatId}) 的编辑后内容失败:`, error.message);
+        }
+    }
+
+    // 开奖时在更新后的通知上追加结果
+    if (hasLotteryDetails(event.lottery) && successCount > 0 && !options.unmatched) {
+        options.lotteryTracker?.track({
+            chatId: chatInfo.chatId,
+            messageId: message.id,
+            keyword: event.lottery.keyword,
+            text,
+            replyMarkup
+        });
+    }
+    return successCount;
+}
+
 /**
  * 安全获取当前用户信息
  * @param {TelegramClient} client - Telegram 客户端
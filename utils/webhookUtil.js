@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import { fetchWithRetry } from './telegramUtil.js';
+
+// Webhook 请求默认重试次数
+const WEBHOOK_MAX_RETRIES = 3;
+
+/**
+ * 解析 Webhook 地址配置，支持用逗号分隔多个地址
+ * @param {string} rawUrls - 原始配置字符串（NOTIFICATION_WEBHOOK_URL）
+ * @returns {Array<string>} Webhook 地址列表
+ */
+export function parseWebhookUrls(rawUrls) {
+    if (!rawUrls || typeof rawUrls !== 'string') return [];
+    return rawUrls.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * 使用 HMAC-SHA256 对请求体签名
+ * @param {string} body - 序列化后的请求体
+ * @param {string} secret - 签名密钥
+ * @returns {string} 形如 sha256=<hex> 的签名
+ */
+export function signWebhookBody(body, secret) {
+    const digest = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * 以 JSON 形式 POST 请求体，并将失败的响应转换为错误（供各通知后端使用）
+ *
+ * @param {string} url - 请求地址
+ * @param {Object|string} body - 请求体（对象会序列化为 JSON）
+ * @param {Object} [headers] - 额外的请求头
+ * @returns {Promise<Response>} 成功的响应
+ * @throws {Error} 发送失败时抛出，4xx（408、429 除外）带有 `permanent: true`，429 带有 Retry-After 对应的 `retryAfter`（秒）
+ */
+export async function postJson(url, body, headers = {}) {
+    const response = await fetchWithRetry(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'monitor-telegram-message',
+            ...headers
+        },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    }, WEBHOOK_MAX_RETRIES);
+
+    if (!response.ok) {
+        const error = new Error(`${response.status} ${response.statusText}`);
+        if (response.status === 429) {
+            error.retryAfter = parseInt(response.headers.get('retry-after'), 10) || null;
+        } else if (response.status >= 400 && response.status < 500 && response.status !== 408) {
+            error.permanent = true;
+        }
+        throw error;
+    }
+    return response;
+}
+
+/**
+ * 将结构化事件 POST 到单个 Webhook 地址
+ *
+ * 环境变量：
+ * NOTIFICATION_WEBHOOK_SECRET (可选，设置后会在 X-Webhook-Signature 头中附带 HMAC-SHA256 签名)
+ *
+ * @param {string} url - Webhook 地址
+ * @param {Object} payload - 由 buildNotificationEvent 构建的通知事件
+ * @returns {Promise<void>}
+ * @throws {Error} 发送失败时抛出（见 postJson）
+ */
+export async function postWebhook(url, payload) {
+    const body = JSON.stringify(payload);
+    const headers = {};
+
+    const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+    if (secret) {
+        headers['X-Webhook-Signature'] = signWebhookBody(body, secret);
+    }
+
+    await postJson(url, body, headers);
+}